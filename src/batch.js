@@ -0,0 +1,337 @@
+/**
+ * Batch module for the Excel Translation Tool
+ * Translates every input file found in directories or glob patterns in one
+ * process, with one translation memory and worker pool for all files. A
+ * manifest records the status of each file; files whose input, settings and
+ * output are unchanged since the last batch are skipped.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import TranslationMemory from './memory.js';
+import WorkerPool from './pool.js';
+import { config } from './config.js';
+import { getProvider } from './translator.js';
+import { hashInput } from './checkpoint.js';
+import { detectFormat } from './formats/index.js';
+
+// Default manifest, inside the output directory
+const MANIFEST_NAME = 'batch-manifest.json';
+
+/**
+ * Writes a JSON file atomically
+ * @param {string} filePath - Target path
+ * @param {Object} data - Data to write
+ */
+async function writeJson(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Converts a glob pattern to a regular expression
+ * Supports *, ?, ** (any number of directories) and {a,b} alternatives.
+ * @param {string} pattern - Pattern with forward slashes
+ * @returns {RegExp} Expression matching whole relative paths
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+        } else if (char === '}') {
+            source += ')';
+        } else if (char === ',' && source.lastIndexOf('(?:') > source.lastIndexOf(')')) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Lists the files below a directory
+ * @param {string} directory - Directory to search
+ * @param {boolean} recursive - Whether to search subdirectories
+ * @returns {Promise<Array<string>>} File paths; hidden entries are left out
+ */
+async function listFiles(directory, recursive) {
+    const files = [];
+    for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...await listFiles(entryPath, recursive));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Checks whether a file can be translated in a batch
+ * Outputs of earlier runs and lock files of spreadsheet apps are left out.
+ * @param {string} filePath - File path
+ * @returns {boolean} True for files of a supported format
+ */
+function isBatchInput(filePath) {
+    const { name } = path.parse(filePath);
+    if (name.startsWith('~$') || /_translated(?:_FINAL)?$/.test(name)) return false;
+    try {
+        return detectFormat(filePath) !== 'images';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Finds the input files of a batch
+ * @param {Array<string>} patterns - Files, directories or glob patterns such as "exports/*.xlsx"
+ * @param {Object} options - recursive: also search subdirectories of directories
+ * @returns {Promise<Array<Object>>} Inputs with their path and the base directory they were found in, sorted by path
+ */
+export async function discoverInputs(patterns, { recursive = false } = {}) {
+    const inputs = new Map();
+    const add = (filePath, base) => {
+        const resolved = path.resolve(filePath);
+        if (!inputs.has(resolved)) inputs.set(resolved, { path: resolved, base: path.resolve(base) });
+    };
+
+    for (const pattern of patterns) {
+        const stats = await fs.stat(pattern).catch(() => null);
+        if (stats?.isFile()) {
+            add(pattern, path.dirname(pattern));
+        } else if (stats?.isDirectory()) {
+            for (const file of await listFiles(pattern, recursive)) {
+                if (isBatchInput(file)) add(file, pattern);
+            }
+        } else if (/[*?{]/.test(pattern)) {
+            // Search from the directories before the first wildcard
+            const segments = pattern.split(/[\\/]/);
+            const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+            const base = segments.slice(0, firstGlob).join('/') || '.';
+            const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+            const deep = firstGlob < segments.length - 1 || pattern.includes('**');
+            const matches = await listFiles(base, deep).catch(() => []);
+            for (const file of matches) {
+                const relative = path.relative(base, file).split(path.sep).join('/');
+                if (matcher.test(relative) && isBatchInput(file)) add(file, base);
+            }
+        } else {
+            throw new Error(`Input not found: ${pattern}`);
+        }
+    }
+    return [...inputs.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Builds the output path of a batch input, keeping its place below the base directory
+ * @param {Object} input - path and base from discoverInputs()
+ * @param {string} outputDir - Output directory
+ * @returns {string} Output path
+ */
+function batchOutputPath(input, outputDir) {
+    const relative = path.relative(input.base, input.path);
+    const { dir, name, ext } = path.parse(relative);
+    return path.join(outputDir, dir, `${name}_translated${ext}`);
+}
+
+/**
+ * Describes the settings that change the output of a file
+ * @param {Object} options - Processing options of the batch
+ * @returns {Promise<Object>} Settings with the content hashes of mapping and glossary
+ */
+async function describeSettings(options) {
+    return {
+        provider: getProvider().name,
+        sourceLang: options.sourceLang,
+        targetLangs: options.targetLangs,
+        mapping: options.mappingPath ? await hashInput(options.mappingPath) : null,
+        glossary: options.glossaryPath ? await hashInput(options.glossaryPath) : null,
+        sheetNames: options.sheetNames ?? null,
+        columnNames: options.columnNames ?? null,
+        rowRange: options.selection?.rowRange ? [options.selection.rowRange.from, options.selection.rowRange.to] : null,
+        filters: options.selection?.filters ?? null,
+        sample: options.selection?.sample ? [options.selection.sample, options.selection.seed, options.selection.stratify] : null,
+        onlyMissing: Boolean(options.selection?.onlyMissing),
+        testMode: Boolean(options.testMode),
+        format: options.format ?? null,
+        protectSpans: options.protectSpans !== false,
+        fuzzyThreshold: options.fuzzyThreshold ?? null,
+        xmpMode: options.xmpMode ?? 'sidecar'
+    };
+}
+
+/**
+ * Checks whether the output recorded for a file in an earlier batch is still up to date
+ * @param {Object|undefined} previous - Manifest entry of the earlier batch
+ * @param {Object} entry - Manifest entry of this batch with its inputHash and output
+ * @param {string} settingsHash - Hash of the settings of this batch
+ * @returns {Promise<boolean>} True if input, settings and output are unchanged and nothing failed
+ */
+async function isUpToDate(previous, entry, settingsHash) {
+    if (!previous || !['completed', 'up-to-date'].includes(previous.status) || previous.failures > 0) return false;
+    if (previous.inputHash !== entry.inputHash || previous.settingsHash !== settingsHash || previous.output !== entry.output) return false;
+    const outputHash = await hashInput(entry.output).catch(() => null);
+    return outputHash !== null && outputHash === previous.outputHash;
+}
+
+/**
+ * Adds up the text counts of all files
+ * @param {Array<Object>} files - Manifest entries
+ * @returns {Object} Number of files per status, failed translations and texts per origin
+ */
+function summarize(files) {
+    const summary = { files: files.length, statuses: {}, failures: 0, texts: {} };
+    for (const file of files) {
+        summary.statuses[file.status] = (summary.statuses[file.status] || 0) + 1;
+        if (file.status === 'up-to-date') continue;
+        summary.failures += file.failures || 0;
+        for (const [origin, count] of Object.entries(file.texts || {})) {
+            summary.texts[origin] = (summary.texts[origin] || 0) + count;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Prints the summary of a batch
+ * @param {Object} manifest - Finished manifest
+ * @param {string} manifestPath - Path of the manifest
+ */
+function printSummary(manifest, manifestPath) {
+    const { summary } = manifest;
+    const statuses = Object.entries(summary.statuses).map(([status, count]) => `${count} ${status}`).join(', ');
+    console.log(`\nBatch ${manifest.status}:`);
+    console.log(`- Files: ${summary.files} (${statuses})`);
+    const texts = Object.entries(summary.texts).map(([origin, count]) => `${count} ${origin}`).join(', ');
+    if (texts) {
+        console.log(`- Texts by origin: ${texts}`);
+    }
+    if (summary.failures > 0) {
+        const files = manifest.files.filter(file => file.failures > 0 && file.status !== 'up-to-date').length;
+        console.log(`- Failed translations: ${summary.failures} in ${files} files (retry with the same batch command)`);
+    }
+    for (const file of manifest.files.filter(entry => entry.status === 'failed')) {
+        console.log(`    ${path.relative('.', file.input)}: ${file.error.replace(/\n/g, '\n      ')}`);
+    }
+    console.log(`- Manifest saved to: ${manifestPath}`);
+}
+
+/**
+ * Translates the input files of a batch one after another
+ * A file that cannot be translated is recorded as failed and the batch goes on.
+ * @param {Array<Object>} inputs - Inputs from discoverInputs()
+ * @param {Object} options - Batch options
+ * @param {Function} options.processFile - processExcelFile(inputPath, options)
+ * @param {Object} options.fileOptions - Processing options of every file
+ * @param {string|null} options.outputDir - Output directory, null for output/
+ * @param {string|null} options.manifestPath - Manifest file, null for batch-manifest.json in the output directory
+ * @param {boolean} options.force - Translate files even if their output is up to date
+ * @param {Function} options.isShuttingDown - Returns true once a shutdown was requested
+ * @returns {Promise<Object>} The manifest: status, summary and one entry per file
+ */
+export async function runBatch(inputs, { processFile, fileOptions, outputDir, manifestPath, force = false, isShuttingDown }) {
+    const outputBase = outputDir || 'output';
+    const manifestFile = manifestPath || path.join(outputBase, MANIFEST_NAME);
+    const previousFiles = new Map();
+    try {
+        const previous = JSON.parse(await fs.readFile(manifestFile, 'utf8'));
+        for (const file of previous.files || []) {
+            previousFiles.set(file.input, file);
+        }
+    } catch (error) {
+        // First batch with this manifest
+    }
+
+    const settings = await describeSettings(fileOptions);
+    const settingsHash = createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+    const files = inputs.map(input => ({
+        input: input.path,
+        output: path.resolve(batchOutputPath(input, outputBase)),
+        status: 'pending'
+    }));
+    const duplicate = files.find((file, i) => files.findIndex(other => other.output === file.output) !== i);
+    if (duplicate) {
+        throw new Error(`Two inputs would be written to ${duplicate.output}; give them separate directories`);
+    }
+
+    const manifest = { startedAt: new Date().toISOString(), finishedAt: null, status: 'running', settings, summary: null, files };
+    await writeJson(manifestFile, manifest);
+    console.log(`Batch of ${files.length} files, manifest: ${manifestFile}`);
+
+    // One translation memory and one worker pool for all files
+    const translationMemory = fileOptions.tmPath
+        ? await TranslationMemory.open(fileOptions.tmPath, { paged: Boolean(fileOptions.stream) })
+        : null;
+    const pool = new WorkerPool({
+        maxConcurrency: config.PARALLEL_BATCHES,
+        initialConcurrency: Math.ceil(config.PARALLEL_BATCHES / 2)
+    });
+
+    try {
+        for (const [index, file] of files.entries()) {
+            if (isShuttingDown()) break;
+            console.log(`\n=== File ${index + 1}/${files.length}: ${file.input} ===`);
+
+            try {
+                file.inputHash = await hashInput(file.input);
+                file.settingsHash = settingsHash;
+                const previous = previousFiles.get(file.input);
+                if (!force && await isUpToDate(previous, file, settingsHash)) {
+                    Object.assign(file, { ...previous, status: 'up-to-date' });
+                    console.log(`Output is up to date: ${file.output}`);
+                    continue;
+                }
+
+                file.status = 'running';
+                file.startedAt = new Date().toISOString();
+                await writeJson(manifestFile, manifest);
+
+                const result = await processFile(file.input, { ...fileOptions, outputPath: file.output, translationMemory, pool });
+                file.failures = result.failures;
+                file.texts = {};
+                for (const counts of Object.values(result.texts)) {
+                    for (const [origin, count] of Object.entries(counts)) {
+                        file.texts[origin] = (file.texts[origin] || 0) + count;
+                    }
+                }
+                file.report = result.report && path.resolve(result.report.jsonPath);
+                file.outputHash = await hashInput(file.output);
+                file.status = isShuttingDown() ? 'interrupted' : 'completed';
+            } catch (error) {
+                console.error(`Failed: ${error.message}`);
+                file.status = 'failed';
+                file.error = error.message;
+            }
+            file.finishedAt = new Date().toISOString();
+            await writeJson(manifestFile, manifest);
+        }
+    } finally {
+        await translationMemory?.close();
+    }
+
+    manifest.finishedAt = new Date().toISOString();
+    manifest.status = files.some(file => ['pending', 'interrupted'].includes(file.status)) ? 'interrupted' : 'completed';
+    manifest.summary = summarize(files);
+    await writeJson(manifestFile, manifest);
+    if (translationMemory) {
+        console.log(`\nTranslation memory hit rate: ${translationMemory.formatHitRate()}, ${translationMemory.added} new entries`);
+    }
+    printSummary(manifest, manifestFile);
+    return manifest;
+}
@@ -0,0 +1,127 @@
+/**
+ * Circuit breaker module for the Excel Translation Tool
+ * Pauses all requests when the translation backend fails repeatedly, probes
+ * it until it answers again and then lets the waiting requests continue, so
+ * that an outage does not use up the retries of every batch in flight
+ */
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} options.threshold - Consecutive failed requests that open the breaker
+     * @param {number} options.probeInterval - First delay between probes (ms), doubled after each failed probe
+     * @param {number} options.maxProbeInterval - Longest delay between probes (ms)
+     * @param {number} options.maxOpenTime - Time to keep probing before giving up (ms)
+     * @param {Function} options.probe - async (languages) => void, throws while the backend is down
+     */
+    constructor({ threshold, probeInterval, maxProbeInterval, maxOpenTime, probe }) {
+        this.threshold = threshold;
+        this.probeInterval = probeInterval;
+        this.maxProbeInterval = maxProbeInterval;
+        this.maxOpenTime = maxOpenTime;
+        this.probe = probe;
+        this.state = 'closed';            // 'closed', 'open' while probing, 'failed' after giving up
+        this.consecutiveFailures = 0;
+        this.lastError = null;
+        this.recovery = null;             // Resolves to true when the backend recovered
+        this.wake = null;                 // Ends the current wait between probes
+    }
+
+    /**
+     * Whether requests have to wait for the backend to recover
+     * @returns {boolean} True while probing
+     */
+    get isOpen() {
+        return this.state === 'open';
+    }
+
+    /**
+     * Whether the breaker gave up on the backend
+     * @returns {boolean} True after probing for maxOpenTime or release()
+     */
+    get hasFailed() {
+        return this.state === 'failed';
+    }
+
+    /**
+     * Records a successful request
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+    }
+
+    /**
+     * Records a timeout, network or server error and opens the breaker at the threshold
+     * @param {Error} error - The error that occurred
+     * @param {Object} languages - source and target language codes of the failed request, used by the probes
+     */
+    recordFailure(error, languages) {
+        this.lastError = error;
+        this.consecutiveFailures++;
+        if (this.state !== 'closed' || this.consecutiveFailures < this.threshold) return;
+
+        this.state = 'open';
+        console.log(`Circuit breaker: ${this.consecutiveFailures} requests failed in a row (${error.message}); pausing requests until the provider recovers`);
+        this.recovery = this.probeUntilRecovered(languages);
+    }
+
+    /**
+     * Waits until the breaker is closed
+     * @returns {Promise<boolean>} True if requests may be sent, false if the breaker gave up
+     */
+    async waitUntilClosed() {
+        if (this.state === 'open') return this.recovery;
+        return this.state === 'closed';
+    }
+
+    /**
+     * Gives up probing, e.g. on shutdown; waiting requests fail with the last error
+     */
+    release() {
+        if (this.state !== 'open') return;
+        this.state = 'failed';
+        this.wake?.();
+    }
+
+    /**
+     * Probes the backend with growing delays until it answers or maxOpenTime has passed
+     * @param {Object} languages - source and target language codes to probe
+     * @returns {Promise<boolean>} True if the backend recovered
+     */
+    async probeUntilRecovered(languages) {
+        const openedAt = Date.now();
+        let delay = this.probeInterval;
+
+        while (this.state === 'open') {
+            if (Date.now() - openedAt + delay > this.maxOpenTime) {
+                this.state = 'failed';
+                console.log(`Circuit breaker: provider still unavailable after ${Math.round((Date.now() - openedAt) / 1000)}s; giving up`);
+                break;
+            }
+
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, delay);
+                this.wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+            this.wake = null;
+            if (this.state !== 'open') break;
+
+            try {
+                await this.probe(languages);
+                this.state = 'closed';
+                this.consecutiveFailures = 0;
+                console.log(`Circuit breaker: provider recovered after ${Math.round((Date.now() - openedAt) / 1000)}s; resuming requests`);
+            } catch (error) {
+                this.lastError = error;
+                delay = Math.min(delay * 2, this.maxProbeInterval);
+                console.log(`Circuit breaker: probe failed (${error.message}); next probe in ${Math.round(delay / 1000)}s`);
+            }
+        }
+        return this.state === 'closed';
+    }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,42 @@
+/**
+ * Cache module for the Excel Translation Tool
+ * Keeps translations in memory up to a fixed number of entries
+ */
+
+/**
+ * Translation cache with an upper bound on entries
+ * The least recently used entries are dropped first.
+ */
+class BoundedCache {
+    /**
+     * @param {number} maxEntries - Maximum number of cached translations
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    has(text) {
+        return this.entries.has(text);
+    }
+
+    get(text) {
+        const translation = this.entries.get(text);
+        if (translation !== undefined) {
+            // Move to the end of the insertion order
+            this.entries.delete(text);
+            this.entries.set(text, translation);
+        }
+        return translation;
+    }
+
+    set(text, translation) {
+        this.entries.delete(text);
+        this.entries.set(text, translation);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+export default BoundedCache;
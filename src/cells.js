@@ -0,0 +1,69 @@
+/**
+ * Cell module for the Excel Translation Tool
+ * Splits cells into the texts to translate and rebuilds translated cells
+ */
+
+import { splitKeywords, joinKeywords, getKeywords } from './keywords.js';
+import { normalizeText } from './normalize.js';
+
+/**
+ * Whether a normalized text needs translation
+ * Texts without letters (numbers, dates, codes) are copied unchanged.
+ * @param {string} text - Normalized text
+ * @returns {boolean} True if the text contains a letter
+ */
+function hasLetters(text) {
+    return /\p{L}/u.test(text);
+}
+
+/**
+ * Returns the texts of a cell that need translation
+ * Texts are normalized, so cells that differ only in whitespace or Unicode
+ * form share one translation.
+ * @param {*} value - Cell value
+ * @param {Object} column - Resolved column mapping
+ * @returns {Array<string>} The cell text, or its keywords for keyword columns
+ */
+export function getCellTexts(value, column) {
+    if (!value) return [];
+    const texts = column.type === 'keywords' ? getKeywords(value) : [value];
+    return texts.map(normalizeText).filter(hasLetters);
+}
+
+/**
+ * Builds the translated value of a cell from the translation cache
+ * Texts without letters are copied as they are.
+ * @param {*} value - Source cell value
+ * @param {Object} column - Resolved column mapping
+ * @param {Map} translationCache - Map of source to translated texts
+ * @returns {string|null} Translated value, or null if any part is untranslated
+ */
+export function translateCell(value, column, translationCache) {
+    const lookup = text => {
+        const key = normalizeText(text);
+        return hasLetters(key) ? translationCache.get(key) || null : key;
+    };
+
+    if (column.type !== 'keywords') {
+        return lookup(value);
+    }
+
+    // Rebuild keyword lists in the original order with the original delimiters
+    const layout = splitKeywords(value);
+    const keywords = layout.keywords.map(keyword => keyword ? lookup(keyword) : '');
+    return keywords.includes(null) ? null : joinKeywords(keywords, layout);
+}
+
+/**
+ * Sums up where the translation of a cell came from
+ * @param {string|null} translation - Translated cell value, null if incomplete
+ * @param {Array<string>} textOrigins - Origin of each text of the cell
+ * @returns {string|null} 'api' if any text was sent to the provider, 'cache' if none was,
+ *   'failed' if a text failed, null if a text was not attempted
+ */
+export function cellOrigin(translation, textOrigins) {
+    if (translation === null) {
+        return textOrigins.includes('failed') ? 'failed' : null;
+    }
+    return textOrigins.includes('api') ? 'api' : 'cache';
+}
@@ -1,22 +1,74 @@
 /**
  * Checkpoint handling module for the Excel Translation Tool
  * Manages saving and loading of translation progress
+ *
+ * A checkpoint is a JSON snapshot plus an append-only journal next to it.
+ * Every completed translation is appended to the journal as one JSON line
+ * and synced to disk in groups of CHECKPOINT_INTERVAL records. Once the
+ * journal grows large it is compacted into a new snapshot and emptied.
+ * Loading replays the journal over the snapshot.
  */
 
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
 import path from 'path';
 import { config } from './config.js';
 
+const CHECKPOINT_DIR = 'checkpoints';
+
+/**
+ * Computes the content hash of an input file or image directory
+ * Directories hash the relative path and content of every visible file.
+ * @param {string} inputPath - Path to the input
+ * @returns {Promise<string>} Hex encoded SHA-256 hash
+ */
+export async function hashInput(inputPath) {
+    const hash = createHash('sha256');
+
+    const addToHash = async (filePath, relativePath) => {
+        const stats = await fs.stat(filePath);
+        if (stats.isDirectory()) {
+            const names = (await fs.readdir(filePath)).filter(name => !name.startsWith('.')).sort();
+            for (const name of names) {
+                await addToHash(path.join(filePath, name), path.posix.join(relativePath, name));
+            }
+            return;
+        }
+
+        if (relativePath) {
+            hash.update(`\u0000${relativePath}\u0000`);
+        }
+        for await (const chunk of createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+    };
+
+    await addToHash(inputPath, '');
+    return hash.digest('hex');
+}
+
 /**
- * Gets the checkpoint file path for a given input file
+ * Gets the checkpoint file path for a given input file and target language
  * @param {string} inputPath - Path to the input Excel file
+ * @param {string} targetLang - Target language code
+ * @param {string|null} inputHash - Content hash of the input from hashInput()
  * @returns {string} Path to the checkpoint file
  */
-export function getCheckpointPath(inputPath) {
+export function getCheckpointPath(inputPath, targetLang = 'en', inputHash = null) {
     const parsedPath = path.parse(inputPath);
-    const checkpointDir = 'checkpoints';
-    const checkpointFile = `${parsedPath.name}.checkpoint.json`;
-    return path.join(checkpointDir, checkpointFile);
+    const version = inputHash ? `.${inputHash.slice(0, 12)}` : '';
+    const checkpointFile = `${parsedPath.name}${version}.${targetLang}.checkpoint.json`;
+    return path.join(CHECKPOINT_DIR, checkpointFile);
+}
+
+/**
+ * Gets the journal path of a checkpoint
+ * @param {string} checkpointPath - Path to the checkpoint snapshot
+ * @returns {string} Path to the journal file
+ */
+export function getJournalPath(checkpointPath) {
+    return checkpointPath.replace(/\.json$/, '') + '.journal.jsonl';
 }
 
 /**
@@ -47,54 +99,108 @@ async function ensureCheckpointDirectory(checkpointPath) {
     }
 }
 
+// Marker that earlier versions stored in place of failed translations
+const LEGACY_FAILED = '[TRANSLATION FAILED]';
+
+/**
+ * Replays a journal over the translations and failures of a snapshot
+ * Unreadable lines are skipped; a crash during an append can leave a
+ * truncated last line.
+ * @param {string} journalPath - Path to the journal file
+ * @param {Object} translations - Translations of the snapshot, updated in place
+ * @param {Object} failures - Failure records of the snapshot, updated in place
+ * @returns {Promise<Object>} Number of replayed and skipped records
+ */
+async function replayJournal(journalPath, translations, failures) {
+    let content;
+    try {
+        content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { replayed: 0, skipped: 0 };
+        throw error;
+    }
+
+    let replayed = 0;
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            if (record.failure) {
+                failures[record.source] = record.failure;
+            } else {
+                translations[record.source] = record.target;
+                delete failures[record.source];
+            }
+            replayed++;
+        } catch (error) {
+            skipped++;
+        }
+    }
+    return { replayed, skipped };
+}
+
 /**
- * Loads progress from a checkpoint file
+ * Loads progress from a checkpoint snapshot and its journal
  * @param {string} checkpointPath - Path to load checkpoint from
- * @param {string} currentFile - Current input file being processed
  * @returns {Object|null} Loaded checkpoint data or null if not found
  */
-export async function loadCheckpoint(checkpointPath, currentFile) {
+export async function loadCheckpoint(checkpointPath) {
     try {
-        // First ensure we can write to the directory
-        await ensureCheckpointDirectory(checkpointPath);
-
-        // Try to read existing checkpoint
+        let checkpoint = null;
         try {
-            const data = await fs.readFile(checkpointPath, 'utf8');
+            checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf8'));
             console.log('Found existing checkpoint file');
-            
-            const checkpoint = JSON.parse(data);
-            
-            // Count non-empty translations
-            const translations = checkpoint.translations || {};
-            const completedTranslations = Object.entries(translations)
-                .filter(([_, translation]) => translation && translation.length > 0)
-                .length;
-            
-            console.log(`Checkpoint statistics:
-    - Total Texts: ${Object.keys(translations).length}
-    - Completed Translations: ${completedTranslations}
-    - Remaining: ${Object.keys(translations).length - completedTranslations}
-    - Progress: ${Math.floor((completedTranslations / Object.keys(translations).length) * 100)}%
-    - Timestamp: ${checkpoint.timestamp || 'N/A'}`);
-
-            console.log('\nResuming from existing checkpoint...');
-            
-            return {
-                processedRows: checkpoint.processedRows || 0,
-                translations: checkpoint.translations || {},
-                lastProcessedFile: currentFile,
-                totalRows: checkpoint.totalRows || 0,
-                timestamp: checkpoint.timestamp
-            };
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                console.log(`No previous checkpoint found at ${checkpointPath}, starting fresh`);
-            } else {
+            if (error.code !== 'ENOENT') {
                 console.warn(`Error reading checkpoint: ${error.message}`);
+                return null;
             }
+        }
+
+        const translations = checkpoint?.translations || {};
+        const failures = checkpoint?.failures || {};
+        const { replayed, skipped } = await replayJournal(getJournalPath(checkpointPath), translations, failures);
+        if (!checkpoint && replayed === 0) {
+            console.log(`No checkpoint found at ${checkpointPath}`);
             return null;
         }
+        if (skipped > 0) {
+            console.warn(`Checkpoint journal: skipped ${skipped} unreadable records`);
+        }
+
+        for (const [text, translation] of Object.entries(translations)) {
+            if (translation === LEGACY_FAILED) {
+                translations[text] = '';
+                failures[text] = { text, errorClass: 'provider', status: null, attempts: 0, message: 'Failed in an earlier version' };
+            }
+        }
+
+        // Count non-empty translations
+        const totalTexts = Object.keys(translations).length;
+        const completedTranslations = Object.values(translations)
+            .filter(translation => translation && translation.length > 0)
+            .length;
+
+        console.log(`Checkpoint statistics:
+    - Total Texts: ${totalTexts}
+    - Completed Translations: ${completedTranslations}
+    - Failed Translations: ${Object.keys(failures).length}
+    - Replayed From Journal: ${replayed}
+    - Remaining: ${totalTexts - completedTranslations}
+    - Progress: ${totalTexts > 0 ? Math.floor((completedTranslations / totalTexts) * 100) : 0}%
+    - Timestamp: ${checkpoint?.timestamp || 'N/A'}`);
+
+        return {
+            processedRows: completedTranslations,
+            translations,
+            failures,
+            lastProcessedFile: checkpoint?.lastProcessedFile,
+            inputHash: checkpoint?.inputHash,
+            targetLang: checkpoint?.targetLang,
+            totalRows: Math.max(checkpoint?.totalRows || 0, totalTexts),
+            timestamp: checkpoint?.timestamp
+        };
     } catch (error) {
         console.error(`Critical checkpoint error: ${error.message}`);
         return null;
@@ -102,51 +208,216 @@ export async function loadCheckpoint(checkpointPath, currentFile) {
 }
 
 /**
- * Saves progress to a checkpoint file
- * @param {string} checkpointPath - Path to save checkpoint
- * @param {Object} data - Progress data to save
+ * Finds the checkpoint of an input for one target language
+ * Falls back to the newest checkpoint of an earlier version of the same
+ * input file, which is reported as changed.
+ * @param {string} inputPath - Absolute path to the input
+ * @param {string} targetLang - Target language code
+ * @param {string} inputHash - Content hash of the input from hashInput()
+ * @returns {Promise<Object|null>} checkpoint, checkpointPath and changed flag, null if none exists
+ */
+export async function findCheckpoint(inputPath, targetLang, inputHash) {
+    const checkpointPath = getCheckpointPath(inputPath, targetLang, inputHash);
+    const checkpoint = await loadCheckpoint(checkpointPath);
+    if (checkpoint) {
+        return { checkpoint, checkpointPath, changed: false };
+    }
+
+    let names;
+    try {
+        names = await fs.readdir(CHECKPOINT_DIR);
+    } catch (error) {
+        return null;
+    }
+
+    // Same file name and language with another content hash, newest first
+    const prefix = `${path.parse(inputPath).name}.`;
+    const suffix = `.${targetLang}.checkpoint.json`;
+    const candidates = [];
+    for (const name of names) {
+        if (!name.startsWith(prefix) || !name.endsWith(suffix)) continue;
+        if (!/^[0-9a-f]{12}$/.test(name.slice(prefix.length, -suffix.length))) continue;
+        const candidatePath = path.join(CHECKPOINT_DIR, name);
+        const { mtimeMs } = await fs.stat(candidatePath);
+        candidates.push({ candidatePath, mtimeMs });
+    }
+    candidates.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+    for (const { candidatePath } of candidates) {
+        const candidate = await loadCheckpoint(candidatePath);
+        if (candidate && candidate.lastProcessedFile === inputPath) {
+            return { checkpoint: candidate, checkpointPath: candidatePath, changed: true };
+        }
+    }
+    return null;
+}
+
+/**
+ * Writes a checkpoint snapshot atomically
+ * @param {string} checkpointPath - Path of the snapshot
+ * @param {Map} translations - Map of source to translated texts
+ * @param {Map} failures - Map of source texts to failure records
+ * @param {Object} meta - lastProcessedFile, inputHash, targetLang and totalRows
  */
-export async function saveCheckpoint(checkpointPath, data) {
+async function writeSnapshot(checkpointPath, translations, failures, meta) {
+    let processedRows = 0;
+    for (const translation of translations.values()) {
+        if (translation) processedRows++;
+    }
+
+    const tempPath = `${checkpointPath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
     try {
-        const checkpointData = {
+        await handle.writeFile(JSON.stringify({
             timestamp: new Date().toISOString(),
-            processedRows: data.processedRows,
-            translations: data.translations,
-            lastProcessedFile: data.lastProcessedFile,
-            totalRows: data.totalRows,
-            config: config // Save current configuration
-        };
-        
-        // Create temporary file first
-        const tempPath = `${checkpointPath}.tmp`;
-        
-        try {
-            // Write to temp file
-            await fs.writeFile(tempPath, JSON.stringify(checkpointData, null, 2));
-            console.log('Wrote temporary checkpoint file');
-            
-            // Verify the temp file was written correctly
-            const verifyData = await fs.readFile(tempPath, 'utf8');
-            JSON.parse(verifyData); // Verify JSON is valid
-            
-            // Rename temp file to actual checkpoint file (atomic operation)
-            await fs.rename(tempPath, checkpointPath);
-            console.log(`Checkpoint saved: ${data.processedRows}/${data.totalRows} rows (${Math.floor((data.processedRows/data.totalRows)*100)}%)`);
-            
-            // Verify the final checkpoint file exists
-            await fs.access(checkpointPath, fs.constants.F_OK);
-            console.log('Verified checkpoint file exists');
-        } catch (error) {
-            console.error(`Error during checkpoint save: ${error.message}`);
-            // Try to clean up temp file if it exists
-            try {
-                await fs.unlink(tempPath);
-            } catch (e) {
-                // Ignore cleanup errors
-            }
-            throw error;
+            processedRows,
+            translations: Object.fromEntries(translations),
+            failures: Object.fromEntries(failures),
+            lastProcessedFile: meta.lastProcessedFile,
+            inputHash: meta.inputHash,
+            targetLang: meta.targetLang,
+            totalRows: meta.totalRows,
+            config
+        }));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    // Rename temp file to actual checkpoint file (atomic operation)
+    await fs.rename(tempPath, checkpointPath);
+    console.log(`Checkpoint saved: ${processedRows}/${meta.totalRows} texts (${meta.totalRows > 0 ? Math.floor((processedRows / meta.totalRows) * 100) : 0}%)`);
+}
+
+/**
+ * Write-ahead journal of the translations and failures of one run
+ * Appends and compactions run one after another in the order they were
+ * requested, so concurrent batches can append without waiting for each other.
+ * Failures are kept apart from the translations until a retry succeeds.
+ */
+export class CheckpointJournal {
+    constructor(checkpointPath, meta) {
+        this.checkpointPath = checkpointPath;
+        this.journalPath = getJournalPath(checkpointPath);
+        this.meta = meta;
+        this.failures = new Map();
+        this.handle = null;
+        this.queue = Promise.resolve();
+        this.records = 0;
+        this.unsynced = 0;
+    }
+
+    /**
+     * Starts a checkpoint with a snapshot of the given translations and an empty journal
+     * @param {string} checkpointPath - Path of the snapshot
+     * @param {Map} translations - Map of source to translated texts
+     * @param {Object} meta - lastProcessedFile, inputHash, targetLang and totalRows
+     * @param {Object} failures - Failure records by source text still awaiting a retry
+     * @returns {Promise<CheckpointJournal>} Open journal
+     */
+    static async create(checkpointPath, translations, meta, failures = {}) {
+        await ensureCheckpointDirectory(checkpointPath);
+        const journal = new CheckpointJournal(checkpointPath, meta);
+        journal.failures = new Map(Object.entries(failures));
+        await writeSnapshot(checkpointPath, translations, journal.failures, meta);
+        // Appending mode keeps writes at the end after the journal is truncated
+        await fs.writeFile(journal.journalPath, '');
+        journal.handle = await fs.open(journal.journalPath, 'a');
+        return journal;
+    }
+
+    /**
+     * Whether the journal holds enough records to be compacted
+     * Compacting once the journal is as large as the snapshot keeps the cost
+     * of snapshots proportional to the number of appended records.
+     * @param {Map} translations - Current translations
+     * @returns {boolean} True if compact() should be called
+     */
+    needsCompaction(translations) {
+        return this.records >= Math.max(config.CHECKPOINT_COMPACT_ENTRIES, translations.size);
+    }
+
+    /**
+     * Runs a journal operation after all operations requested before it
+     * @param {Function} operation - Async operation
+     * @returns {Promise} Result of the operation
+     */
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Appends completed translations to the journal
+     * @param {Iterable<Array<string>>} translations - [source, target] pairs
+     * @returns {Promise<void>} Resolves once the records are written
+     */
+    append(translations) {
+        const lines = [];
+        for (const [source, target] of translations) {
+            this.failures.delete(source);
+            lines.push(JSON.stringify({ source, target }));
         }
-    } catch (error) {
-        console.error(`Failed to save checkpoint: ${error.message}`);
+        return this.writeLines(lines);
     }
-} 
\ No newline at end of file
+
+    /**
+     * Appends failure records to the journal
+     * @param {Array<Object>} failures - Records with the failed text and its error details
+     * @returns {Promise<void>} Resolves once the records are written
+     */
+    appendFailures(failures) {
+        const lines = [];
+        for (const failure of failures) {
+            this.failures.set(failure.text, failure);
+            lines.push(JSON.stringify({ source: failure.text, failure }));
+        }
+        return this.writeLines(lines);
+    }
+
+    /**
+     * Writes journal lines, syncing every CHECKPOINT_INTERVAL records
+     * @param {Array<string>} lines - JSON records
+     * @returns {Promise<void>} Resolves once the lines are written
+     */
+    writeLines(lines) {
+        if (lines.length === 0) return Promise.resolve();
+        this.records += lines.length;
+
+        return this.enqueue(async () => {
+            await this.handle.write(lines.join('\n') + '\n');
+            this.unsynced += lines.length;
+            if (this.unsynced >= config.CHECKPOINT_INTERVAL) {
+                await this.handle.sync();
+                this.unsynced = 0;
+            }
+        });
+    }
+
+    /**
+     * Writes a new snapshot and empties the journal
+     * A crash between both steps only leaves records that the snapshot already holds.
+     * @param {Map} translations - Map of source to translated texts
+     * @returns {Promise<void>}
+     */
+    compact(translations) {
+        this.records = 0;
+        return this.enqueue(async () => {
+            await writeSnapshot(this.checkpointPath, translations, this.failures, this.meta);
+            await this.handle.truncate(0);
+            await this.handle.sync();
+            this.unsynced = 0;
+        });
+    }
+
+    /**
+     * Compacts the journal a last time and closes it
+     * @param {Map} translations - Map of source to translated texts
+     */
+    async close(translations) {
+        await this.compact(translations);
+        await this.handle.close();
+        this.handle = null;
+    }
+}
@@ -0,0 +1,452 @@
+/**
+ * Command line module for the Excel Translation Tool
+ * Defines the commands and their typed options, parses the command line and
+ * resolves option values in layers: defaults < project config file <
+ * environment variables < command line flags
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { listProviders } from './providers/index.js';
+import { listFormats } from './formats/index.js';
+import { normalizeEncoding } from './formats/encoding.js';
+import { parseLanguageList } from './columns.js';
+import { parseFilter } from './selection.js';
+
+// Project config file looked up in the working directory
+export const CONFIG_FILE = 'translator.config.json';
+
+/**
+ * Exit codes of the command line
+ */
+export const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,          // The command failed, e.g. unreadable input or unreachable provider
+    USAGE: 2,          // Unknown command or option, or an invalid option value
+    FAILURES: 3,       // The run completed, but some texts could not be translated
+    CHECKS_FAILED: 4,  // doctor or the preflight of a run found a problem
+    INTERRUPTED: 130   // Stopped with Ctrl+C
+};
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]+)?$/i;
+
+/**
+ * Options of all commands, by name
+ * The flag is the name in kebab case (apiUrl -> --api-url); config files use
+ * the name itself. env names the environment variable of the option, or
+ * derives it from the options resolved before it.
+ */
+const OPTIONS = {
+    config: { type: 'path', placeholder: 'file', description: `Project config file (default: ${CONFIG_FILE} in the working directory)`, env: 'TRANSLATOR_CONFIG' },
+    provider: { type: 'enum', values: listProviders(), placeholder: 'name', description: 'Translation backend', env: 'TRANSLATION_PROVIDER', default: config.PROVIDER },
+    apiUrl: { type: 'url', placeholder: 'url', description: 'Endpoint of the provider', env: ({ provider }) => `${provider.toUpperCase()}_API_URL` },
+    concurrency: { type: 'integer', min: 1, placeholder: 'n', description: 'Batches in flight at most', env: 'PARALLEL_BATCHES', default: config.PARALLEL_BATCHES },
+    batchSize: { type: 'integer', min: 1, placeholder: 'n', description: 'Texts per request, capped by the provider', env: 'BATCH_SIZE', default: config.BATCH_SIZE },
+    source: { type: 'language', placeholder: 'lang', description: 'Source language', env: 'SOURCE_LANG', default: config.SOURCE_LANG },
+    target: { type: 'languages', placeholder: 'langs', description: 'Comma separated target languages', env: 'TARGET_LANGS', default: config.TARGET_LANGS },
+    tm: { type: 'path', negatable: true, placeholder: 'file', description: 'Translation memory file; --no-tm disables it', env: 'TM_PATH', default: config.TM_PATH },
+    glossary: { type: 'path', placeholder: 'file', description: 'House glossary (JSON, CSV or TSV)', env: 'GLOSSARY_PATH', default: null },
+    mapping: { type: 'path', placeholder: 'file', description: 'Column mapping file (JSON or YAML)', env: 'MAPPING_PATH', default: null },
+    format: { type: 'enum', values: listFormats(), placeholder: 'name', description: 'Input format, overrides the file extension', default: null },
+    encoding: { type: 'encoding', placeholder: 'name', description: 'Encoding of CSV/TSV input: utf-8, windows-1252 or latin1', env: 'INPUT_ENCODING', default: 'utf-8' },
+    delimiter: { type: 'delimiter', placeholder: 'char', description: 'CSV delimiter, detected by default (tab for tabs)', default: null },
+    sheets: { type: 'list', placeholder: 'names', description: 'Comma separated sheets to translate', default: null },
+    columns: { type: 'list', placeholder: 'names', description: 'Comma separated source columns to translate', default: null },
+    rows: { type: 'range', placeholder: 'from-to', description: 'Rows to translate as numbered in the file, e.g. 2-500 or 1000-', default: null },
+    where: { type: 'filters', repeatable: true, placeholder: 'filter', description: 'Translate only rows where column=a|b, column!=value, column~pattern or column!~pattern; repeat to combine', default: null },
+    sample: { type: 'integer', min: 1, placeholder: 'n', description: 'Translate a random sample of n rows of each sheet', default: null },
+    seed: { type: 'integer', placeholder: 'n', description: 'Seed of the sample, to draw the same rows again (default: random)', default: null },
+    stratify: { type: 'string', placeholder: 'column', description: 'Sample every value of this column in proportion to its rows', default: null },
+    onlyMissing: { type: 'boolean', description: 'Translate only cells whose target is empty', default: false },
+    test: { type: 'boolean', description: 'Translate only the first 10 selected rows of each sheet', default: false },
+    xmp: { type: 'enum', values: ['sidecar', 'embed'], placeholder: 'mode', description: 'How translations of an image directory are written', default: 'sidecar' },
+    output: { type: 'path', placeholder: 'file', description: 'Output path (default: output/<name>_translated.<ext>)', default: null },
+    outputDir: { type: 'path', placeholder: 'dir', description: 'Output directory of a batch (default: output)', default: null },
+    manifest: { type: 'path', placeholder: 'file', description: 'Manifest of a batch (default: batch-manifest.json in the output directory)', default: null },
+    recursive: { type: 'boolean', description: 'Also search subdirectories of input directories', default: false },
+    force: { type: 'boolean', description: 'Translate files even if their output is up to date', default: false },
+    stream: { type: 'boolean', description: 'Read, translate and write the input in chunks of rows', default: false },
+    fresh: { type: 'boolean', description: 'Ignore checkpoints and earlier output', default: false },
+    fromCheckpoint: { type: 'path', placeholder: 'file', description: 'Take translations from this checkpoint file', default: null },
+    report: { type: 'boolean', description: 'Do not write the HTML and JSON run report', default: true },
+    protect: { type: 'boolean', description: 'Send numbers, dates, URLs and credits to the provider as they are', default: true },
+    preflight: { type: 'boolean', description: 'Do not check the languages, latency and output of the provider before the run', default: true },
+    calibrate: { type: 'boolean', description: 'Do not send a few batches to the provider to calibrate the time estimate (calibration requests are billed; their translations go to the translation memory)', default: true },
+    fuzzy: { type: 'number', min: 0, max: 1, placeholder: 'similarity', description: 'Reuse translations for near duplicates, e.g. 0.95', default: null },
+    all: { type: 'boolean', description: 'Export every entry, whatever its languages and provider', default: false },
+    port: { type: 'integer', min: 1, max: 65535, placeholder: 'port', description: 'Port of the job service', env: 'SERVE_PORT', default: config.SERVE_PORT },
+    host: { type: 'string', placeholder: 'address', description: 'Address of the job service', env: 'SERVE_HOST', default: config.SERVE_HOST }
+};
+
+const PROVIDER_OPTIONS = ['provider', 'apiUrl', 'concurrency', 'batchSize'];
+const LANGUAGE_OPTIONS = ['source', 'target'];
+const RESOURCE_OPTIONS = ['tm', 'glossary', 'mapping'];
+const INPUT_OPTIONS = ['format', 'encoding', 'delimiter', 'sheets', 'columns', 'rows', 'where', 'sample', 'seed', 'stratify', 'onlyMissing', 'test', 'xmp'];
+const RUN_OPTIONS = [...PROVIDER_OPTIONS, ...LANGUAGE_OPTIONS, ...RESOURCE_OPTIONS, ...INPUT_OPTIONS];
+
+/**
+ * Commands with their positional arguments and options
+ */
+const COMMANDS = {
+    translate: {
+        args: ['input'],
+        summary: 'Translate a file or image directory (default command)',
+        options: [...RUN_OPTIONS, 'output', 'stream', 'fresh', 'fromCheckpoint', 'report', 'protect', 'fuzzy', 'preflight']
+    },
+    estimate: {
+        args: ['input'],
+        summary: 'Estimate characters, batches, time and cost per column, without translating',
+        options: [...RUN_OPTIONS, 'fresh', 'fromCheckpoint', 'fuzzy', 'calibrate']
+    },
+    resume: {
+        args: ['input'],
+        summary: 'Continue an interrupted run, also from the checkpoint of an edited input',
+        options: [...RUN_OPTIONS, 'output', 'fromCheckpoint', 'report', 'protect', 'fuzzy', 'preflight']
+    },
+    batch: {
+        args: ['inputs...'],
+        summary: 'Translate every file in directories or glob patterns, with a manifest of their status',
+        options: [...RUN_OPTIONS, 'outputDir', 'manifest', 'recursive', 'force', 'stream', 'fresh', 'report', 'protect', 'fuzzy', 'preflight']
+    },
+    'retry-failed': {
+        args: ['input'],
+        summary: 'Translate only the texts that failed in the last run',
+        options: [...RUN_OPTIONS, 'output', 'report', 'protect', 'preflight']
+    },
+    'export-tm': {
+        args: ['file'],
+        summary: 'Write the translation memory to a JSONL, CSV or TSV file',
+        options: ['provider', 'source', 'target', 'tm', 'all']
+    },
+    'import-tm': {
+        args: ['file'],
+        summary: 'Add the translations of a JSONL, CSV or TSV file to the translation memory',
+        options: ['provider', 'source', 'target', 'tm']
+    },
+    doctor: {
+        args: [],
+        summary: 'Check the configuration, the provider and the files a run uses',
+        options: [...PROVIDER_OPTIONS, ...LANGUAGE_OPTIONS, ...RESOURCE_OPTIONS]
+    },
+    serve: {
+        args: [],
+        summary: 'Start the job service',
+        options: [...PROVIDER_OPTIONS, ...LANGUAGE_OPTIONS, ...RESOURCE_OPTIONS, 'encoding', 'report', 'protect', 'port', 'host']
+    }
+};
+
+// Flags of earlier versions that select a command
+const LEGACY_FLAGS = { '--dry-run': 'estimate', '--resume': 'resume' };
+
+/**
+ * Creates an error that ends the program with the usage exit code
+ * @param {string} message - Error message
+ * @returns {Error} Error with exitCode
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.USAGE;
+    return error;
+}
+
+/**
+ * Converts an option name to its flag
+ * @param {string} name - Option name, e.g. 'apiUrl'
+ * @returns {string} Flag, e.g. '--api-url'
+ */
+function toFlag(name) {
+    return `--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+const OPTIONS_BY_FLAG = new Map(Object.keys(OPTIONS).map(name => [toFlag(name), name]));
+
+/**
+ * Parses the command line into a command, its arguments and the raw flag values
+ * The first argument is a command name; any other first argument starts a
+ * translate command, so "node src/index.js export.xlsx --test" keeps working.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} command (null for the general help), args, flags and help
+ */
+export function parseCommandLine(argv) {
+    if (argv.length === 0 || argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+        return { command: COMMANDS[argv[1]] ? argv[1] : null, args: [], flags: {}, help: true };
+    }
+
+    let command = COMMANDS[argv[0]] ? argv[0] : 'translate';
+    const tokens = COMMANDS[argv[0]] ? argv.slice(1) : argv;
+
+    for (const [flag, legacyCommand] of Object.entries(LEGACY_FLAGS)) {
+        if (!tokens.includes(flag)) continue;
+        if (command !== 'translate' && command !== legacyCommand) {
+            throw usageError(`${flag} cannot be used with "${command}"`);
+        }
+        command = legacyCommand;
+    }
+
+    const args = [];
+    const flags = {};
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token === '--help' || token === '-h') {
+            return { command, args: [], flags: {}, help: true };
+        }
+        if (LEGACY_FLAGS[token]) continue;
+        if (!token.startsWith('--')) {
+            args.push(token);
+            continue;
+        }
+
+        const [flag, inlineValue] = token.includes('=') ? [token.slice(0, token.indexOf('=')), token.slice(token.indexOf('=') + 1)] : [token];
+        const negated = !OPTIONS_BY_FLAG.has(flag) && flag.startsWith('--no-');
+        const name = OPTIONS_BY_FLAG.get(negated ? `--${flag.slice(5)}` : flag);
+        if (!name) {
+            throw usageError(`Unknown option ${flag}`);
+        }
+        if (!COMMANDS[command].options.includes(name) && name !== 'config') {
+            throw usageError(`Option ${flag} is not available for "${command}"`);
+        }
+
+        const option = OPTIONS[name];
+        if (negated) {
+            if (option.type !== 'boolean' && !option.negatable) {
+                throw usageError(`Option ${flag} does not exist; ${toFlag(name)} takes a value`);
+            }
+            flags[name] = false;
+        } else if (option.type === 'boolean') {
+            flags[name] = inlineValue ?? true;
+        } else if (inlineValue === undefined && i + 1 >= tokens.length) {
+            throw usageError(`Option ${flag} needs a value (${option.placeholder})`);
+        } else {
+            const value = inlineValue ?? tokens[++i];
+            flags[name] = option.repeatable ? [...(flags[name] || []), value] : value;
+        }
+    }
+
+    const expected = COMMANDS[command].args;
+    const variadic = expected[expected.length - 1]?.endsWith('...');
+    if (args.length < expected.length) {
+        throw usageError(`Missing <${expected[args.length]}> for "${command}"`);
+    }
+    if (args.length > expected.length && !variadic) {
+        throw usageError(`Unexpected argument "${args[expected.length]}" for "${command}"`);
+    }
+    return { command, args, flags, help: false };
+}
+
+/**
+ * Converts a value from a flag, an environment variable or a config file to the option type
+ * @param {Object} option - Option definition
+ * @param {*} value - Raw value; strings from flags and variables, JSON values from config files
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {*} Typed value
+ */
+function parseValue(option, value, baseDir) {
+    if (value === false && option.negatable) return null;
+    if (value === null) return null;
+
+    switch (option.type) {
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return true;
+            if (['false', '0', 'no', 'off'].includes(text)) return false;
+            throw new Error(`expected true or false, got "${value}"`);
+        }
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (String(value).trim() === '' || !Number.isFinite(number) || (option.type === 'integer' && !Number.isInteger(number))) {
+                throw new Error(`expected ${option.type === 'integer' ? 'an integer' : 'a number'}, got "${value}"`);
+            }
+            if ((option.min !== undefined && number < option.min) || (option.max !== undefined && number > option.max)) {
+                const bounds = option.max === undefined ? `at least ${option.min}` : `from ${option.min} to ${option.max}`;
+                throw new Error(`expected a value ${bounds}, got ${number}`);
+            }
+            return number;
+        }
+        case 'enum': {
+            const text = String(value).toLowerCase();
+            if (!option.values.includes(text)) {
+                throw new Error(`expected one of ${option.values.join(', ')}, got "${value}"`);
+            }
+            return text;
+        }
+        case 'language':
+        case 'languages': {
+            const langs = parseLanguageList(value);
+            const invalid = langs.find(lang => !LANGUAGE_PATTERN.test(lang));
+            if (invalid || langs.length === 0) {
+                throw new Error(`expected a language code such as de or en, got "${invalid ?? value}"`);
+            }
+            if (option.type === 'language' && langs.length > 1) {
+                throw new Error(`expected a single language, got "${value}"`);
+            }
+            return option.type === 'language' ? langs[0] : langs;
+        }
+        case 'list': {
+            const list = (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+            if (list.length === 0) throw new Error('expected a comma separated list');
+            return list;
+        }
+        case 'filters': {
+            const filters = (Array.isArray(value) ? value : [value]).map(String);
+            for (const filter of filters) parseFilter(filter);
+            return filters;
+        }
+        case 'range': {
+            const match = String(value).trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+            if (!match || (!match[1] && !match[3]) || (match[1] && match[3] && !match[2])) {
+                throw new Error(`expected a row range such as 2-500, 1000- or -50, got "${value}"`);
+            }
+            const from = match[1] ? Number(match[1]) : 1;
+            const to = match[3] ? Number(match[3]) : (match[2] ? Infinity : from);
+            if (from > to) throw new Error(`the range ${value} is empty`);
+            return { from, to };
+        }
+        case 'url': {
+            let url;
+            try {
+                url = new URL(String(value));
+            } catch (error) {
+                throw new Error(`expected a URL, got "${value}"`);
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error(`expected an http or https URL, got "${value}"`);
+            }
+            return String(value).replace(/\/+$/, '');
+        }
+        case 'encoding':
+            normalizeEncoding(String(value));
+            return String(value);
+        case 'delimiter': {
+            const text = String(value);
+            if (text === '\\t' || text.toLowerCase() === 'tab') return '\t';
+            if (text.length !== 1) throw new Error(`expected a single character or tab, got "${value}"`);
+            return text;
+        }
+        case 'path':
+            if (typeof value !== 'string' || !value) throw new Error(`expected a path, got ${JSON.stringify(value)}`);
+            return baseDir ? path.resolve(baseDir, value) : value;
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Reads a project config file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Option values by option name
+ */
+function readConfigFile(filePath) {
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw usageError(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw usageError(`Config file ${filePath} must hold a JSON object of option values`);
+    }
+    const unknown = Object.keys(values).filter(name => !OPTIONS[name] || name === 'config');
+    if (unknown.length > 0) {
+        throw usageError(`Unknown options in config file ${filePath}: ${unknown.join(', ')}`);
+    }
+    return values;
+}
+
+/**
+ * Resolves the options of a command from defaults, the project config file,
+ * environment variables and flags, each overriding the one before
+ * Relative paths in the config file are relative to the file.
+ * @param {string} command - Command name
+ * @param {Object} flags - Raw flag values from parseCommandLine()
+ * @param {Object} env - Environment variables
+ * @returns {Object} Typed option values by name, and configPath (null without config file)
+ */
+export function resolveOptions(command, flags, env = process.env) {
+    const configPath = flags.config || env.TRANSLATOR_CONFIG || (fs.existsSync(CONFIG_FILE) ? CONFIG_FILE : null);
+    const fileValues = configPath ? readConfigFile(configPath) : {};
+    const options = { configPath };
+    const errors = [];
+
+    for (const name of COMMANDS[command].options) {
+        const option = OPTIONS[name];
+        let value = option.default ?? null;
+        const envName = typeof option.env === 'function' ? option.env(options) : option.env;
+        const layers = [
+            [fileValues[name], `${name} in ${configPath}`, path.dirname(configPath || '.')],
+            [env[envName] || undefined, envName],
+            [flags[name], toFlag(name)]
+        ];
+
+        for (const [raw, origin, baseDir] of layers) {
+            if (raw === undefined) continue;
+            try {
+                value = parseValue(option, raw, baseDir);
+            } catch (error) {
+                errors.push(`${origin}: ${error.message}`);
+            }
+        }
+        options[name] = value;
+    }
+
+    if (options.fresh && options.fromCheckpoint) {
+        errors.push('--fresh cannot be combined with --from-checkpoint');
+    }
+    if (options.stream && options.fuzzy) {
+        errors.push('--fuzzy cannot be combined with --stream');
+    }
+    if (options.stream && options.sample) {
+        errors.push('--sample needs the whole sheet and cannot be combined with --stream');
+    }
+    if ((Number.isInteger(options.seed) || options.stratify) && !options.sample) {
+        errors.push('--seed and --stratify need --sample');
+    }
+    if (options.stream && (options.fresh || options.fromCheckpoint)) {
+        errors.push('--stream writes no checkpoints and cannot be combined with --fresh or --from-checkpoint');
+    }
+    if (errors.length > 0) {
+        throw usageError(`Invalid options:\n- ${errors.join('\n- ')}`);
+    }
+    return options;
+}
+
+/**
+ * Formats the help text of the program or of one command
+ * @param {string|null} command - Command name, null for the list of commands
+ * @returns {string} Help text
+ */
+export function formatHelp(command) {
+    const lines = [];
+    if (!command) {
+        lines.push('Usage: node src/index.js <command> [options]', '', 'Commands:');
+        for (const [name, { args, summary }] of Object.entries(COMMANDS)) {
+            const usage = [name, ...args.map(arg => `<${arg}>`)].join(' ');
+            lines.push(`  ${usage.padEnd(24)}${summary}`);
+        }
+        lines.push(
+            '',
+            'Run "node src/index.js <command> --help" for the options of a command.',
+            `Option values are taken from ${CONFIG_FILE}, then environment variables, then flags.`
+        );
+        return lines.join('\n');
+    }
+
+    const { args, summary, options } = COMMANDS[command];
+    lines.push(`Usage: node src/index.js ${[command, ...args.map(arg => `<${arg}>`)].join(' ')} [options]`, '', summary, '', 'Options:');
+    for (const name of [...options, 'config']) {
+        const option = OPTIONS[name];
+        const flag = option.type === 'boolean' && option.default === true ? `--no-${toFlag(name).slice(2)}` : toFlag(name);
+        const usage = option.placeholder ? `${flag} <${option.placeholder}>` : flag;
+        const details = [];
+        if (option.type === 'enum' && name !== 'format') details.push(option.values.join('|'));
+        if (typeof option.env === 'string') details.push(`env ${option.env}`);
+        if (option.default !== undefined && option.default !== null && option.type !== 'boolean') {
+            details.push(`default ${[].concat(option.default).join(',')}`);
+        }
+        lines.push(`  ${usage.padEnd(30)}${option.description}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+    }
+    lines.push('  --help'.padEnd(32) + 'Show this help');
+    return lines.join('\n');
+}
@@ -0,0 +1,37 @@
+/**
+ * Column naming module for the Excel Translation Tool
+ * Derives target column names from source columns and language codes
+ */
+
+/**
+ * Builds the target column name for a source column
+ * Replaces the source language token wherever it appears as a `_XX` segment,
+ * e.g. IPTC_DE_Headline -> IPTC_EN_Headline, AI_keywords_DE -> AI_keywords_EN
+ * @param {string} sourceColumn - Name of the source column
+ * @param {string} sourceLang - Source language code (e.g. 'de')
+ * @param {string} targetLang - Target language code (e.g. 'en')
+ * @returns {string} Name of the target column
+ */
+export function getTargetColumn(sourceColumn, sourceLang, targetLang) {
+    const token = new RegExp(`(^|_)(${sourceLang})(?=_|$)`, 'gi');
+    let replaced = false;
+    const targetColumn = sourceColumn.replace(token, (match, prefix, lang) => {
+        replaced = true;
+        const isUpper = lang === lang.toUpperCase();
+        return prefix + (isUpper ? targetLang.toUpperCase() : targetLang.toLowerCase());
+    });
+
+    // Columns without a language token get the target language appended
+    return replaced ? targetColumn : `${sourceColumn}_${targetLang.toUpperCase()}`;
+}
+
+/**
+ * Parses a comma separated list of language codes
+ * @param {string|Array<string>} value - e.g. 'en,fr,es'
+ * @returns {Array<string>} Lower-case language codes
+ */
+export function parseLanguageList(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(lang => lang.trim().toLowerCase()).filter(Boolean);
+}
+
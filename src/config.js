@@ -36,6 +36,15 @@ export const COLUMNS_TO_TRANSLATE = [
     'AI_keywords_DE'
 ];
 
+/**
+ * Columns holding delimited keyword lists
+ * Each keyword is translated on its own and the list is rebuilt in order
+ */
+export const KEYWORD_COLUMNS = [
+    'IPTC_DE_User_Keywords',
+    'AI_keywords_DE'
+];
+
 /**
  * Columns to explicitly ignore
  * These columns will be skipped even if they end with _DE
@@ -55,16 +64,29 @@ function calculateOptimalConfig() {
     
     // Conservative settings prioritizing stability
     return {
-        BATCH_SIZE: 3,                    // Process 3 texts at a time
-        PARALLEL_BATCHES: Math.min(5, Math.floor(cpuCount / 2)),  // Use half of CPU cores
+        BATCH_SIZE: 25,                   // Texts sent in one request (capped by the provider)
+        PARALLEL_BATCHES: Math.max(1, Math.min(5, Math.floor(cpuCount / 2))),  // Upper bound of batches in flight
         MAX_RETRIES: 3,                   // Maximum retry attempts
         RETRY_DELAY: 2000,                // Base delay between retries (ms)
-        BATCH_DELAY: 1000,                // Delay between batches (ms)
-        CHUNK_SIZE: 25,                   // Number of texts per chunk
+        CHUNK_SIZE: 500,                  // Rows read per chunk in streaming mode
         MAX_TEXT_LENGTH: 5000,            // Maximum combined text length per batch
-        CHECKPOINT_INTERVAL: 50,          // Save progress every 50 texts
+        CHECKPOINT_INTERVAL: 50,          // Sync the checkpoint journal every 50 texts
+        CHECKPOINT_COMPACT_ENTRIES: 10000,  // Minimum journal records before a new snapshot
         MAX_MEMORY_USAGE: 0.85,           // Maximum memory usage (85%)
-        SAVE_INTERVAL: 60000,             // Save every minute
+        PROVIDER: 'libretranslate',       // Translation backend (see src/providers)
+        SOURCE_LANG: 'de',                // Language of the source columns
+        TARGET_LANGS: ['en'],             // One output column per source column and target
+        TM_PATH: 'tm/translation-memory.jsonl',  // Persistent translation memory
+        STREAM_CACHE_SIZE: 50000,         // Translations kept in memory in streaming mode
+        SENTENCE_CACHE_SIZE: 20000,       // Sentences of long texts kept in memory
+        SERVE_HOST: '127.0.0.1',          // Address of the job service (serve mode)
+        SERVE_PORT: 8787,                 // Port of the job service
+        JOBS_DIR: 'jobs',                 // Uploads and job records of the job service
+        MAX_UPLOAD_SIZE: 200 * 1024 * 1024,  // Largest accepted upload (bytes)
+        BREAKER_THRESHOLD: 5,             // Failed requests in a row that pause all requests
+        BREAKER_PROBE_INTERVAL: 5000,     // First delay between probes of a paused provider (ms)
+        BREAKER_MAX_PROBE_INTERVAL: 60000,  // Longest delay between probes (ms)
+        BREAKER_MAX_OPEN_TIME: 30 * 60 * 1000,  // Time to wait for a provider to recover (ms)
     };
 }
 
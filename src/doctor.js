@@ -0,0 +1,74 @@
+/**
+ * Doctor module for the Excel Translation Tool
+ * Checks the environment before a long run: Node.js, the config file, the
+ * provider and its language pairs and the files a run reads and writes
+ */
+
+import fs from 'fs';
+import path from 'path';
+import TranslationMemory from './memory.js';
+import { loadGlossary } from './glossary.js';
+import { loadMapping } from './mapping.js';
+import { getProvider } from './translator.js';
+import { providerChecks, runChecks } from './health.js';
+
+const MIN_NODE_VERSION = 18;
+
+/**
+ * Checks that a directory can be written, or created below its nearest existing parent
+ * @param {string} directory - Directory path
+ * @returns {Promise<string>} Description of the result
+ */
+async function checkWritable(directory) {
+    let existing = path.resolve(directory);
+    while (!fs.existsSync(existing)) {
+        existing = path.dirname(existing);
+    }
+    await fs.promises.access(existing, fs.constants.W_OK);
+    return existing === path.resolve(directory) ? `${directory} is writable` : `${directory} will be created`;
+}
+
+/**
+ * Runs all checks and prints their results
+ * @param {Object} options - Resolved command line options: configPath, source, target, tm, glossary, mapping
+ * @returns {Promise<boolean>} True if every check passed
+ */
+export async function runDoctor(options) {
+    const checks = [
+        ['Node.js', async () => {
+            const major = Number(process.versions.node.split('.')[0]);
+            if (major < MIN_NODE_VERSION) {
+                throw new Error(`version ${process.versions.node} is too old, ${MIN_NODE_VERSION} or newer is needed`);
+            }
+            return `version ${process.versions.node}`;
+        }],
+        ['Config file', async () => options.configPath || 'none, using defaults, environment and flags'],
+        ...providerChecks(getProvider(), options.source, options.target),
+        ['Translation memory', async () => {
+            if (!options.tm) return 'disabled';
+            if (!fs.existsSync(options.tm)) {
+                return `${options.tm} does not exist yet; ${await checkWritable(path.dirname(options.tm))}`;
+            }
+            await fs.promises.access(options.tm, fs.constants.W_OK);
+            const memory = await TranslationMemory.open(options.tm);
+            await memory.close();
+            return `${memory.size} entries in ${options.tm}`;
+        }],
+        ['Glossary', async () => {
+            if (!options.glossary) return 'none';
+            const glossary = await loadGlossary(options.glossary);
+            return `${glossary.size} terms in ${options.glossary}`;
+        }],
+        ['Column mapping', async () => {
+            if (!options.mapping) return 'built-in defaults';
+            const mapping = await loadMapping(options.mapping);
+            return `${mapping.rules.length} rules in ${options.mapping}`;
+        }],
+        ['Output directory', () => checkWritable('output')],
+        ['Checkpoint directory', () => checkWritable('checkpoints')]
+    ];
+
+    const passed = await runChecks(checks);
+    console.log(passed ? '\nAll checks passed' : '\nSome checks failed');
+    return passed;
+}
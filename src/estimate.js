@@ -0,0 +1,313 @@
+/**
+ * Estimate module for the Excel Translation Tool
+ * Estimates what translating the pending texts of a run takes: characters,
+ * batches, time and cost, in total and per column. The time is calibrated on
+ * a few batches sent to the provider; the cost uses its per-character price.
+ */
+
+import { config } from './config.js';
+import { translateBatch, groupTextsByLength, getProvider } from './translator.js';
+import { formatDuration } from './utils.js';
+
+// Batches sent to the provider to measure its speed: the shortest, a middle and the longest
+const CALIBRATION_BATCHES = 3;
+
+/**
+ * Counts the characters of texts
+ * @param {Array<string>} texts - Texts
+ * @returns {number} Total length
+ */
+function countChars(texts) {
+    return texts.reduce((sum, text) => sum + text.length, 0);
+}
+
+/**
+ * Describes a batch by the quantities its time depends on
+ * Providers without batch support get one request per text.
+ * @param {Array<string>} batch - Texts of the batch
+ * @returns {Object} requests and chars
+ */
+function measureBatch(batch) {
+    return { requests: getProvider().limits.batch ? 1 : batch.length, chars: countChars(batch) };
+}
+
+/**
+ * Sends a few batches to the provider and times them
+ * Batches that fail are left out; they do not tell the speed of the provider.
+ * The translations are paid for, so they are stored in the translation memory
+ * for the real run.
+ * @param {Array<Array<string>>} batches - Batches of the run, shortest texts first
+ * @param {Object} languages - source and target language codes
+ * @param {TranslationMemory|null} translationMemory - Memory receiving the translations
+ * @returns {Promise<Object>} samples (requests, chars, texts and ms of each batch), error of the last
+ *   failed batch and the number of translations stored
+ */
+async function calibrate(batches, languages, translationMemory) {
+    const picks = [...new Set([0, Math.floor((batches.length - 1) / 2), batches.length - 1])].slice(0, CALIBRATION_BATCHES);
+    const samples = [];
+    let error = null;
+    let stored = 0;
+
+    for (const [i, index] of picks.entries()) {
+        const batch = batches[index];
+        const started = Date.now();
+        const { translations, failures } = await translateBatch(batch, i + 1, languages);
+        if (translationMemory) {
+            translationMemory.addMany(translations, languages, getProvider().name);
+            stored += translations.size;
+        }
+        if (translations.size === 0) {
+            error = failures[0]?.message || 'no translations returned';
+            continue;
+        }
+        samples.push({ ...measureBatch(batch), texts: batch.length, ms: Date.now() - started });
+    }
+    return { samples, error, stored: translationMemory ? stored : null };
+}
+
+/**
+ * Fits the time of a batch as perRequest * requests + perChar * chars
+ * Both terms are only fitted together from three samples or more; otherwise
+ * the single term that explains the samples best is used.
+ * @param {Array<Object>} samples - Timed batches
+ * @returns {Object} perRequest and perChar in milliseconds
+ */
+function fitModel(samples) {
+    const sum = fn => samples.reduce((total, sample) => total + fn(sample), 0);
+    const candidates = [
+        { perRequest: sum(s => s.ms * s.requests) / sum(s => s.requests ** 2), perChar: 0 },
+        { perRequest: 0, perChar: sum(s => s.ms * s.chars) / Math.max(1, sum(s => s.chars ** 2)) }
+    ];
+
+    if (samples.length >= 3) {
+        // Least squares without intercept: solve the 2x2 normal equations
+        const rr = sum(s => s.requests ** 2);
+        const cc = sum(s => s.chars ** 2);
+        const rc = sum(s => s.requests * s.chars);
+        const rt = sum(s => s.requests * s.ms);
+        const ct = sum(s => s.chars * s.ms);
+        const determinant = rr * cc - rc * rc;
+        if (determinant > 0) {
+            const perRequest = (rt * cc - ct * rc) / determinant;
+            const perChar = (ct * rr - rt * rc) / determinant;
+            if (perRequest >= 0 && perChar >= 0) candidates.push({ perRequest, perChar });
+        }
+    }
+
+    const squaredError = model => sum(s => (s.ms - predict(model, s)) ** 2);
+    return candidates.reduce((best, model) => squaredError(model) < squaredError(best) ? model : best);
+}
+
+/**
+ * Predicts the time of a batch
+ * @param {Object} model - Model from fitModel()
+ * @param {Object} batch - requests and chars of the batch
+ * @returns {number} Milliseconds
+ */
+function predict(model, { requests, chars }) {
+    return model.perRequest * requests + model.perChar * chars;
+}
+
+/**
+ * Estimates the wall clock time of batches run by the worker pool
+ * The expected time assumes PARALLEL_BATCHES batches in flight and the model
+ * as fitted; the range spans the fastest and slowest sample relative to the
+ * model, and the pool starting at half its concurrency. No estimate is below
+ * the time the rate limit of the provider needs for the requests.
+ * @param {Array<Object>} batches - requests and chars of every batch
+ * @param {Object} model - Model from fitModel()
+ * @param {Array<Object>} samples - Timed batches
+ * @returns {Object} seconds, low and high
+ */
+function estimateTime(batches, model, samples) {
+    const sequential = batches.reduce((total, batch) => total + predict(model, batch), 0) / 1000;
+    const ratios = samples.map(sample => sample.ms / Math.max(1, predict(model, sample)));
+    const maxConcurrency = Math.max(1, Math.min(config.PARALLEL_BATCHES, batches.length));
+    const minConcurrency = Math.max(1, Math.min(Math.ceil(config.PARALLEL_BATCHES / 2), batches.length));
+
+    const { requests, window } = getProvider().limits.rateLimit;
+    const totalRequests = batches.reduce((total, batch) => total + batch.requests, 0);
+    const rateLimited = Number.isFinite(requests) ? (totalRequests / requests) * (window / 1000) : 0;
+
+    return {
+        seconds: Math.max(sequential / maxConcurrency, rateLimited),
+        low: Math.max((sequential * Math.min(...ratios)) / maxConcurrency, rateLimited),
+        high: Math.max((sequential * Math.max(...ratios)) / minConcurrency, rateLimited)
+    };
+}
+
+/**
+ * Computes the cost of characters
+ * @param {number} chars - Characters
+ * @param {Object} pricing - Pricing of the provider
+ * @returns {number} Cost
+ */
+function cost(chars, pricing) {
+    return (chars / 1000000) * pricing.perMillionChars;
+}
+
+/**
+ * Estimates the translation of the pending texts into one target language
+ * @param {Array<string>} pendingTexts - Unique texts that would be sent to the provider
+ * @param {Object} languages - source and target language codes
+ * @param {Object} options - textColumns (Map of every unique text to the first column it is in),
+ *   origins (Map of reused text to its origin), calibrate (false to skip the timed sample) and
+ *   translationMemory (receives the translations of the sample, null to discard them)
+ * @returns {Promise<Object>} Estimate with totals, columns, time, cost and calibration
+ */
+export async function estimateTranslation(pendingTexts, languages, { textColumns, origins, calibrate: shouldCalibrate = true, translationMemory = null }) {
+    const provider = getProvider();
+    const pending = new Set(pendingTexts);
+    const columns = new Map();
+    for (const [text, column] of textColumns) {
+        if (!columns.has(column)) {
+            columns.set(column, { column, texts: 0, memoryHits: 0, pending: [] });
+        }
+        const entry = columns.get(column);
+        entry.texts++;
+        if (origins.get(text) === 'memory') entry.memoryHits++;
+        if (pending.has(text)) entry.pending.push(text);
+    }
+
+    const batches = groupTextsByLength(pendingTexts);
+    const calibration = shouldCalibrate && batches.length > 0 ? await calibrate(batches, languages, translationMemory) : null;
+    const model = calibration?.samples.length > 0 ? fitModel(calibration.samples) : null;
+    const time = model ? estimateTime(batches.map(measureBatch), model, calibration.samples) : null;
+    const pricing = provider.pricing;
+    const costOf = texts => pricing ? cost(countChars(texts), pricing) : null;
+
+    // Columns get their share of the time by the predicted time of their own batches
+    const columnBatches = [...columns.values()].map(entry => groupTextsByLength(entry.pending).map(measureBatch));
+    const columnShares = model ? columnBatches.map(list => list.reduce((total, batch) => total + predict(model, batch), 0)) : [];
+    const sharesTotal = columnShares.reduce((total, share) => total + share, 0);
+
+    const chars = countChars(pendingTexts);
+    return {
+        provider: provider.name,
+        languages,
+        totals: {
+            texts: textColumns.size,
+            memoryHits: [...origins.values()].filter(origin => origin === 'memory').length,
+            pending: pendingTexts.length,
+            chars,
+            batches: batches.length,
+            cost: costOf(pendingTexts)
+        },
+        columns: [...columns.values()].map((entry, i) => ({
+            column: entry.column,
+            texts: entry.texts,
+            memoryHits: entry.memoryHits,
+            pending: entry.pending.length,
+            chars: countChars(entry.pending),
+            batches: columnBatches[i].length,
+            seconds: time && sharesTotal > 0 ? (time.seconds * columnShares[i]) / sharesTotal : null,
+            cost: costOf(entry.pending)
+        })),
+        time,
+        pricing,
+        calibration: calibration && {
+            batches: calibration.samples.length,
+            texts: calibration.samples.reduce((total, sample) => total + sample.texts, 0),
+            chars: calibration.samples.reduce((total, sample) => total + sample.chars, 0),
+            ms: calibration.samples.reduce((total, sample) => total + sample.ms, 0),
+            model,
+            error: calibration.error,
+            stored: calibration.stored
+        }
+    };
+}
+
+/**
+ * Formats an amount of money
+ * @param {number|null} amount - Amount, null if the price is unknown
+ * @param {Object|null} pricing - Pricing of the provider
+ * @returns {string} Amount with currency, "free" or "unknown"
+ */
+function formatCost(amount, pricing) {
+    if (amount === null) return 'unknown';
+    if (pricing.perMillionChars === 0) return 'free';
+    return `${amount.toFixed(amount < 1 ? 3 : 2)} ${pricing.currency}`;
+}
+
+/**
+ * Formats an estimated time with its range
+ * @param {Object|null} time - seconds, low and high
+ * @returns {string} Time such as "12m 05s (8m 10s to 20m 30s)"
+ */
+function formatTime(time) {
+    if (!time) return 'unknown';
+    return `${formatDuration(time.seconds)} (${formatDuration(time.low)} to ${formatDuration(time.high)})`;
+}
+
+/**
+ * Prints an estimate with one line per column
+ * @param {Object} estimate - Estimate from estimateTranslation()
+ */
+export function printEstimate(estimate) {
+    const { languages, totals, columns, time, pricing, calibration } = estimate;
+    const number = value => value.toLocaleString('en-US');
+    const header = ['Column', 'Texts', 'TM hits', 'To translate', 'Characters', 'Batches', 'Time', 'Cost'];
+    const rows = columns.map(entry => [
+        entry.column, number(entry.texts), number(entry.memoryHits), number(entry.pending), number(entry.chars),
+        number(entry.batches), entry.seconds === null ? 'unknown' : formatDuration(entry.seconds), formatCost(entry.cost, pricing)
+    ]);
+    rows.push([
+        'Total', number(totals.texts), number(totals.memoryHits), number(totals.pending), number(totals.chars),
+        number(totals.batches), time ? formatDuration(time.seconds) : 'unknown', formatCost(totals.cost, pricing)
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const formatRow = row => '  ' + row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+
+    console.log(`\nEstimate ${languages.source.toUpperCase()} -> ${languages.target.toUpperCase()} with ${estimate.provider}:`);
+    console.log(formatRow(header));
+    for (const row of rows) console.log(formatRow(row));
+
+    if (!calibration) {
+        console.log('Calibration: skipped, no time estimate');
+    } else if (calibration.batches === 0) {
+        console.log(`Calibration: failed (${calibration.error}), no time estimate`);
+    } else {
+        const { perRequest, perChar } = calibration.model;
+        console.log(`Calibration: ${calibration.batches} batches, ${number(calibration.texts)} texts, ${number(calibration.chars)} characters in ${formatDuration(calibration.ms / 1000)}` +
+            ` (${Math.round(perRequest)}ms per request + ${perChar.toFixed(2)}ms per character)`);
+    }
+    if (calibration?.stored) {
+        console.log(`Calibration: ${number(calibration.stored)} translations stored in the translation memory for the real run`);
+    } else if (calibration?.stored === null && calibration.batches > 0) {
+        console.log('Calibration: translations discarded, no translation memory is open');
+    }
+    if (time) {
+        console.log(`Time: ${formatTime(time)} with at most ${config.PARALLEL_BATCHES} ${config.PARALLEL_BATCHES === 1 ? 'batch' : 'batches'} in flight`);
+    }
+    if (!pricing) {
+        console.log(`Cost: unknown, set ${estimate.provider.toUpperCase()}_PRICE_PER_MILLION_CHARS to estimate it`);
+    } else if (pricing.perMillionChars === 0) {
+        console.log(`Cost: free${pricing.note ? `; ${pricing.note}` : ''}`);
+    } else {
+        const sample = calibration?.chars ? `, of which the calibration sample cost ${formatCost(cost(calibration.chars, pricing), pricing)}` : '';
+        const note = pricing.note ? `; ${pricing.note}` : '';
+        console.log(`Cost: ${formatCost(totals.cost, pricing)} at ${pricing.perMillionChars} ${pricing.currency} per million characters${sample}${note}`);
+    }
+}
+
+/**
+ * Prints the total of several target languages, translated one after another
+ * @param {Array<Object>} estimates - Estimates from estimateTranslation()
+ */
+export function printEstimateTotal(estimates) {
+    const sum = fn => estimates.reduce((total, estimate) => total + fn(estimate), 0);
+    const { pricing } = estimates[0];
+    const timed = estimates.every(estimate => estimate.time);
+    const time = timed ? {
+        seconds: sum(estimate => estimate.time.seconds),
+        low: sum(estimate => estimate.time.low),
+        high: sum(estimate => estimate.time.high)
+    } : null;
+
+    console.log(`\nEstimate for all ${estimates.length} target languages:`);
+    console.log(`- Texts to translate: ${sum(estimate => estimate.totals.pending).toLocaleString('en-US')}`);
+    console.log(`- Characters: ${sum(estimate => estimate.totals.chars).toLocaleString('en-US')}`);
+    console.log(`- Batches: ${sum(estimate => estimate.totals.batches).toLocaleString('en-US')}`);
+    console.log(`- Time: ${formatTime(time)}`);
+    console.log(`- Cost: ${pricing ? formatCost(sum(estimate => estimate.totals.cost), pricing) : 'unknown'}`);
+}
@@ -1,116 +1,233 @@
 /**
  * Excel handling module for the Excel Translation Tool
  * Manages reading and writing Excel files
+ *
+ * The output is the original workbook patched in place: every sheet, column
+ * width, number format and formula is kept, and target columns are inserted
+ * after their source column and its existing target columns (or filled in
+ * where they already exist).
  */
 
 import pkg from 'xlsx';
 const { readFile, utils, writeFile } = pkg;
+import fs from 'fs/promises';
 import path from 'path';
-import { COLUMNS_TO_TRANSLATE, COLUMNS_TO_IGNORE } from './config.js';
+
+// Read options that keep as much of the workbook as the xlsx library allows
+const READ_OPTIONS = {
+    cellFormula: true,
+    cellNF: true,
+    cellStyles: true,
+    cellDates: false
+};
 
 /**
- * Loads existing translations from a translated Excel file
- * @param {string} inputPath - Path to the original input file
- * @returns {Object} Map of original texts to translations
+ * Finds the column index of every header
+ * @param {Object} worksheet - xlsx worksheet
+ * @returns {Map} Map of header to column index
  */
-export async function loadExistingTranslations(inputPath) {
-    try {
-        const parsedPath = path.parse(inputPath);
-        const translatedPath = path.join(
-            parsedPath.dir,
-            `${parsedPath.name}_translated${parsedPath.ext}`
-        );
-
-        console.log('Checking for existing translations...');
-        
-        try {
-            const workbook = readFile(translatedPath);
-            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-            const jsonData = utils.sheet_to_json(worksheet);
-            
-            const translations = {};
-            let translatedCount = 0;
-            
-            // Extract translations from the translated file
-            for (const row of jsonData) {
-                for (const col of Object.keys(row)) {
-                    if (col.endsWith('_DE')) {
-                        const germanText = row[col];
-                        const englishCol = col.replace('_DE', '_EN');
-                        const englishText = row[englishCol];
-                        
-                        if (germanText && englishText && englishText.length > 0) {
-                            translations[germanText] = englishText;
-                            translatedCount++;
-                        }
-                    }
-                }
-            }
-            
-            console.log(`Found existing translations file with ${translatedCount} translations`);
-            return translations;
-            
-        } catch (error) {
-            console.log('No existing translations file found');
-            return {};
+function headerIndex(worksheet) {
+    const index = new Map();
+    if (!worksheet['!ref']) return index;
+    const range = utils.decode_range(worksheet['!ref']);
+    for (let col = range.s.c; col <= range.e.c; col++) {
+        const cell = worksheet[utils.encode_cell({ r: range.s.r, c: col })];
+        if (cell && cell.v !== undefined && cell.v !== '' && !index.has(String(cell.v))) {
+            index.set(String(cell.v), col);
         }
-    } catch (error) {
-        console.warn('Error loading existing translations:', error.message);
-        return {};
     }
+    return index;
 }
 
 /**
- * Saves current progress to Excel file
- * @param {Array} jsonData - Data to save
- * @param {string} basePath - Base path for the output file
- * @param {boolean} isFinal - Whether this is the final save
+ * Reads a workbook and the rows of the selected sheets
+ * @param {string} inputPath - Path to the input Excel or ODS file
+ * @param {Object} options - sheetNames to read, null for all
+ * @returns {Object} The workbook as document and one { name, headers, rows } entry per sheet
  */
-export async function saveToExcel(jsonData, basePath, isFinal = false) {
-    const newWorksheet = utils.json_to_sheet(jsonData);
-    const newWorkbook = utils.book_new();
-    utils.book_append_sheet(newWorkbook, newWorksheet, 'Translated');
-
-    const parsedPath = path.parse(basePath);
-    const suffix = isFinal ? '_translated_FINAL' : '_translated';
-    const outputPath = path.join(
-        'output',
-        `${parsedPath.name}${suffix}${parsedPath.ext}`
-    );
+export function readWorkbook(inputPath, { sheetNames = null } = {}) {
+    console.log('Reading Excel file...');
+    const workbook = readFile(inputPath, READ_OPTIONS);
+
+    const missing = (sheetNames || []).filter(name => !workbook.SheetNames.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`Sheet(s) not found: ${missing.join(', ')} (available: ${workbook.SheetNames.join(', ')})`);
+    }
 
-    writeFile(newWorkbook, outputPath);
-    if (isFinal) {
-        console.log(`\nFinal output saved to: ${outputPath}`);
-    } else {
-        console.log(`\nIntermediate result saved to: ${outputPath}`);
+    const sheets = (sheetNames || workbook.SheetNames).map(name => {
+        const worksheet = workbook.Sheets[name];
+        // Every row object carries its sheet row in the non-enumerable __rowNum__
+        const rows = utils.sheet_to_json(worksheet);
+        return { name, headers: [...headerIndex(worksheet).keys()], rows };
+    });
+
+    if (sheets.every(sheet => sheet.rows.length === 0)) {
+        throw new Error('Excel file is empty');
     }
+
+    return { document: workbook, sheets };
 }
 
 /**
- * Reads an Excel file and returns its contents as JSON
- * @param {string} inputPath - Path to the input Excel file
- * @returns {Object} Object containing the JSON data and German columns
+ * Shifts A1 references in a formula for columns inserted at `insertAt`
+ * Cell references, ranges and whole-column ranges (A:A, $C:$D) are
+ * rewritten; references to other sheets are left alone unless they name the
+ * patched sheet. Both ends of a range belong to the sheet named before it.
+ * @param {string} formula - Formula without the leading "="
+ * @param {number} insertAt - First column index that moves
+ * @param {number} count - Number of inserted columns
+ * @param {string} sheetName - Name of the patched sheet
+ * @param {boolean} isSameSheet - Whether the formula lives on the patched sheet
+ * @returns {string} Formula with shifted references
  */
-export function readExcelFile(inputPath) {
-    console.log('Reading Excel file...');
-    const workbook = readFile(inputPath);
-    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    const jsonData = utils.sheet_to_json(worksheet);
+export function shiftFormula(formula, insertAt, count, sheetName, isSameSheet) {
+    const cell = String.raw`\$?[A-Z]{1,3}\$?\d+`;
+    const column = String.raw`\$?[A-Z]{1,3}`;
+    const reference = new RegExp(
+        String.raw`(^|[^A-Za-z0-9_.'!:$])((?:'(?:[^']|'')+'|[A-Za-z0-9_.]+)!)?(${cell}(?::${cell})?|${column}:${column})(?![A-Za-z0-9_(])`,
+        'g'
+    );
 
-    if (jsonData.length === 0) {
-        throw new Error('Excel file is empty');
+    // Leave string literals untouched: odd segments are inside quotes
+    return formula.split('"').map((segment, i) => i % 2 === 1 ? segment : segment.replace(
+        reference,
+        (match, prefix, qualifier, area) => {
+            const qualifiedSheet = qualifier
+                ? qualifier.slice(0, -1).replace(/^'|'$/g, '').replace(/''/g, "'")
+                : null;
+            const refersToSheet = qualifiedSheet ? qualifiedSheet === sheetName : isSameSheet;
+            if (!refersToSheet) return match;
+            const shifted = area.replace(/(\$?)([A-Z]{1,3})/g, (letters, colAbs, name) => {
+                const col = utils.decode_col(name);
+                return col < insertAt ? letters : `${colAbs}${utils.encode_col(col + count)}`;
+            });
+            return `${prefix}${qualifier || ''}${shifted}`;
+        }
+    )).join('"');
+}
+
+/**
+ * Inserts empty columns into a worksheet, moving cells, widths and merges right
+ * Formulas and defined names referring to moved cells are shifted as well.
+ * @param {Object} workbook - xlsx workbook
+ * @param {string} sheetName - Sheet to patch
+ * @param {number} insertAt - Index of the first new column
+ * @param {number} count - Number of columns to insert
+ */
+function insertColumns(workbook, sheetName, insertAt, count) {
+    const worksheet = workbook.Sheets[sheetName];
+    const range = utils.decode_range(worksheet['!ref']);
+
+    // Move cells from right to left so nothing is overwritten
+    const moved = Object.keys(worksheet)
+        .filter(key => key[0] !== '!')
+        .map(key => ({ key, address: utils.decode_cell(key) }))
+        .filter(({ address }) => address.c >= insertAt)
+        .sort((a, b) => b.address.c - a.address.c);
+
+    for (const { key, address } of moved) {
+        worksheet[utils.encode_cell({ r: address.r, c: address.c + count })] = worksheet[key];
+        delete worksheet[key];
     }
 
-    // Column identification
-    const headers = Object.keys(jsonData[0]);
-    const germanColumns = headers.filter(header => 
-        COLUMNS_TO_TRANSLATE.includes(header) || 
-        (header.endsWith('_DE') && !COLUMNS_TO_IGNORE.includes(header))
+    range.e.c += count;
+    worksheet['!ref'] = utils.encode_range(range);
+
+    if (worksheet['!cols']) {
+        worksheet['!cols'].splice(insertAt, 0, ...new Array(count).fill(undefined).map(() => ({})));
+    }
+
+    for (const merge of worksheet['!merges'] || []) {
+        if (merge.s.c >= insertAt) merge.s.c += count;
+        if (merge.e.c >= insertAt) merge.e.c += count;
+    }
+
+    if (worksheet['!autofilter']?.ref) {
+        const filterRange = utils.decode_range(worksheet['!autofilter'].ref);
+        if (filterRange.e.c >= insertAt) filterRange.e.c += count;
+        if (filterRange.s.c >= insertAt) filterRange.s.c += count;
+        worksheet['!autofilter'].ref = utils.encode_range(filterRange);
+    }
+
+    // Keep formulas on every sheet pointing at the cells they referenced before
+    for (const name of workbook.SheetNames) {
+        const sheet = workbook.Sheets[name];
+        for (const key of Object.keys(sheet)) {
+            if (key[0] === '!' || !sheet[key].f) continue;
+            sheet[key].f = shiftFormula(sheet[key].f, insertAt, count, sheetName, name === sheetName);
+        }
+    }
+
+    // Defined names as well; names scoped to a sheet may omit the sheet in their references
+    for (const definedName of workbook.Workbook?.Names || []) {
+        if (!definedName.Ref) continue;
+        const isSameSheet = definedName.Sheet !== undefined && workbook.SheetNames[definedName.Sheet] === sheetName;
+        definedName.Ref = shiftFormula(definedName.Ref, insertAt, count, sheetName, isSameSheet);
+    }
+}
+
+/**
+ * Writes translated columns into a sheet of the original workbook
+ * Missing target columns are inserted after the last existing target column
+ * of their source, or right after the source when it has none yet.
+ * @param {Object} workbook - xlsx workbook returned by readWorkbook()
+ * @param {Object} sheet - Sheet entry with name and translated rows
+ * @param {Array<Object>} columns - Resolved column mapping of the sheet
+ * @param {Array<string>} targetLangs - Target language codes, in column order
+ */
+export function writeTranslations(workbook, sheet, columns, targetLangs) {
+    const worksheet = workbook.Sheets[sheet.name];
+    const headerRow = utils.decode_range(worksheet['!ref']).s.r;
+    let positions = headerIndex(worksheet);
+
+    // Column after which the missing targets of a source go: its rightmost existing target
+    const anchor = column => Math.max(
+        positions.get(column.source),
+        ...Object.values(column.targets).filter(target => positions.has(target)).map(target => positions.get(target))
     );
 
-    if (germanColumns.length === 0) {
-        throw new Error('No matching German columns found');
+    // Insert missing target columns, rightmost anchor first so indices stay valid
+    const sortedColumns = [...columns].sort((a, b) => anchor(b) - anchor(a));
+    for (const column of sortedColumns) {
+        const missingTargets = targetLangs
+            .map(lang => column.targets[lang])
+            .filter(target => !positions.has(target));
+        if (missingTargets.length === 0) continue;
+
+        const insertAt = anchor(column) + 1;
+        insertColumns(workbook, sheet.name, insertAt, missingTargets.length);
+        missingTargets.forEach((target, i) => {
+            worksheet[utils.encode_cell({ r: headerRow, c: insertAt + i })] = { t: 's', v: target };
+        });
+        positions = headerIndex(worksheet);
     }
 
-    return { jsonData, germanColumns };
-} 
\ No newline at end of file
+    // Write the translated values into their cells
+    for (const row of sheet.rows) {
+        for (const column of columns) {
+            for (const lang of targetLangs) {
+                const target = column.targets[lang];
+                const value = row[target];
+                if (value === undefined || value === null || value === '') continue;
+
+                const address = utils.encode_cell({ r: row.__rowNum__, c: positions.get(target) });
+                const cell = worksheet[address] || {};
+                delete cell.f;
+                delete cell.w;
+                delete cell.r;
+                delete cell.h;
+                worksheet[address] = { ...cell, t: 's', v: String(value) };
+            }
+        }
+    }
+}
+
+/**
+ * Saves the patched workbook in the format of its file extension (xlsx, xls, ods, ...)
+ * @param {Object} workbook - xlsx workbook
+ * @param {string} outputPath - Path of the output file
+ */
+export async function saveWorkbook(workbook, outputPath) {
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    writeFile(workbook, outputPath, { cellStyles: true });
+}
@@ -0,0 +1,469 @@
+/**
+ * CSV/TSV format module for the Excel Translation Tool
+ * Reads and writes delimited text files, keeping the input dialect:
+ * delimiter, encoding, byte order mark, line endings and quoting
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { createDecoder, decodeText, encodeText, normalizeEncoding } from './encoding.js';
+import { writeToStream } from '../utils.js';
+
+const CANDIDATE_DELIMITERS = [';', ',', '\t', '|'];
+
+/**
+ * Guesses the delimiter from the header line
+ * @param {string} text - Decoded file content
+ * @returns {string} Most frequent candidate delimiter outside quotes
+ */
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Picks the delimiter: explicit option, file extension or detection
+ * @param {string} inputPath - Path to the input file
+ * @param {string} text - Decoded start of the file
+ * @param {string|null} delimiter - Explicit delimiter
+ * @returns {string} Field delimiter
+ */
+function resolveDelimiter(inputPath, text, delimiter) {
+    const extension = path.extname(inputPath).toLowerCase();
+    return delimiter || (extension === '.tsv' || extension === '.tab' ? '\t' : detectDelimiter(text));
+}
+
+/**
+ * Incremental parser for delimited text (RFC 4180, quoted fields may span lines)
+ * Text can be pushed in chunks; records are returned as soon as they are complete.
+ */
+class CsvParser {
+    /**
+     * @param {string} delimiter - Field delimiter
+     */
+    constructor(delimiter) {
+        this.delimiter = delimiter;
+        this.records = [];
+        this.fields = [];
+        this.quoted = [];
+        this.field = '';
+        this.isQuoted = false;
+        this.inQuotes = false;
+        this.pendingQuote = false;      // quote at the end of a chunk inside quotes
+        this.skipLineFeed = false;      // \r at the end of the previous line
+        this.lastChar = '';
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.quoted.push(this.isQuoted);
+        this.field = '';
+        this.isQuoted = false;
+    }
+
+    endRecord() {
+        this.endField();
+        this.records.push({ fields: this.fields, quoted: this.quoted });
+        this.fields = [];
+        this.quoted = [];
+    }
+
+    /**
+     * Parses the next chunk of text
+     * @param {string} text - Decoded text
+     * @returns {Array<Object>} Completed records with fields and per-field quoted flags
+     */
+    push(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (this.pendingQuote) {
+                // The previous chunk ended with a quote: "" is an escaped quote
+                this.pendingQuote = false;
+                if (char === '"') {
+                    this.field += '"';
+                    continue;
+                }
+                this.inQuotes = false;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"' && i + 1 === text.length) {
+                    this.pendingQuote = true;
+                } else if (char === '"' && text[i + 1] === '"') {
+                    this.field += '"';
+                    i++;
+                } else if (char === '"') {
+                    this.inQuotes = false;
+                } else {
+                    this.field += char;
+                }
+            } else if (char === '"' && this.field === '' && !this.isQuoted) {
+                this.inQuotes = true;
+                this.isQuoted = true;
+            } else if (char === this.delimiter) {
+                this.endField();
+            } else if (char === '\r' || char === '\n') {
+                this.skipLineFeed = char === '\r';
+                this.endRecord();
+            } else {
+                this.field += char;
+            }
+        }
+
+        if (text.length > 0) {
+            this.lastChar = text[text.length - 1];
+        }
+        const records = this.records;
+        this.records = [];
+        return records;
+    }
+
+    /**
+     * Finishes parsing
+     * @returns {Array<Object>} The last record if the text did not end with a line break
+     */
+    end() {
+        if (this.pendingQuote) {
+            this.pendingQuote = false;
+            this.inQuotes = false;
+        }
+        if (this.field !== '' || this.isQuoted || this.fields.length > 0) {
+            this.endRecord();
+        }
+        const records = this.records;
+        this.records = [];
+        return records;
+    }
+
+    /**
+     * Whether the parsed text ended with a line break
+     * @returns {boolean}
+     */
+    get trailingNewline() {
+        return this.lastChar === '\n' || this.lastChar === '\r';
+    }
+}
+
+/**
+ * Formats one field for output
+ * @param {string} value - Field value
+ * @param {boolean} quote - Whether the field was quoted in the input
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Field text
+ */
+function formatField(value, quote, delimiter) {
+    const text = value ?? '';
+    const needsQuotes = quote || text.includes(delimiter) || /["\r\n]/.test(text);
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats one record for output
+ * @param {Object} record - Record with fields and quoted flags
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Line without line ending
+ */
+function formatRecord(record, delimiter) {
+    return record.fields
+        .map((value, i) => formatField(value, record.quoted[i], delimiter))
+        .join(delimiter);
+}
+
+/**
+ * Builds the dialect of a file from its start and header record
+ * @param {string} text - Decoded start of the file
+ * @param {Object} header - Header record
+ * @param {Object} options - delimiter, encoding and hasBom
+ * @returns {Object} Dialect used to write the output
+ */
+function createDialect(text, header, { delimiter, encoding, hasBom }) {
+    const dialect = {
+        delimiter,
+        encoding: normalizeEncoding(encoding),
+        hasBom,
+        lineEnding: /\r\n/.test(text) ? '\r\n' : '\n',
+        trailingNewline: /\r?\n$/.test(text),
+        quoteAll: header.quoted.every(Boolean)
+    };
+    console.log(`CSV dialect: delimiter ${JSON.stringify(delimiter)}, ${dialect.encoding}${hasBom ? ' with BOM' : ''}`);
+    return dialect;
+}
+
+/**
+ * Turns a record into a row object keyed by header
+ * @param {Object} header - Header record
+ * @param {Object} record - Data record
+ * @param {number} rowNum - Index of the record after the header
+ * @returns {Object} Row with the non-enumerable __rowNum__
+ */
+function recordToRow(header, record, rowNum) {
+    const row = {};
+    header.fields.forEach((name, i) => {
+        if (record.fields[i] !== undefined && record.fields[i] !== '') {
+            row[name] = record.fields[i];
+        }
+    });
+    Object.defineProperty(row, '__rowNum__', { value: rowNum, enumerable: false });
+    return row;
+}
+
+/**
+ * Inserts missing target columns into the header after their source and its
+ * existing target columns
+ * @param {Object} header - Header record, modified in place
+ * @param {Array<Object>} columns - Resolved column mapping
+ * @param {Array<string>} targetLangs - Target language codes, in column order
+ * @param {boolean} quoteAll - Whether new fields are quoted
+ * @returns {Array<Object>} Insertions { at, count }, rightmost first
+ */
+function insertTargetColumns(header, columns, targetLangs, quoteAll) {
+    const insertions = [];
+
+    // Column after which the missing targets of a source go: its rightmost existing target
+    const anchor = column => Math.max(...[column.source, ...Object.values(column.targets)].map(name => header.fields.indexOf(name)));
+
+    // Rightmost anchor first so indices stay valid
+    const sortedColumns = [...columns].sort((a, b) => anchor(b) - anchor(a));
+    for (const column of sortedColumns) {
+        const missingTargets = targetLangs
+            .map(lang => column.targets[lang])
+            .filter(target => !header.fields.includes(target));
+        if (missingTargets.length === 0) continue;
+
+        const at = anchor(column) + 1;
+        header.fields.splice(at, 0, ...missingTargets);
+        header.quoted.splice(at, 0, ...missingTargets.map(() => quoteAll));
+        insertions.push({ at, count: missingTargets.length });
+    }
+    return insertions;
+}
+
+/**
+ * Applies column insertions and translated values to one record
+ * @param {Object} record - Data record, modified in place
+ * @param {Object|undefined} row - Row with translated values
+ * @param {Object} header - Header record with target columns
+ * @param {Array<Object>} insertions - Insertions from insertTargetColumns()
+ * @param {Array<Object>} columns - Resolved column mapping
+ * @param {Array<string>} targetLangs - Target language codes
+ * @param {boolean} quoteAll - Whether new fields are quoted
+ */
+function patchRecord(record, row, header, insertions, columns, targetLangs, quoteAll) {
+    for (const { at, count } of insertions) {
+        if (record.fields.length < at) continue;
+        record.fields.splice(at, 0, ...new Array(count).fill(''));
+        record.quoted.splice(at, 0, ...new Array(count).fill(quoteAll));
+    }
+
+    if (!row) return;
+    for (const column of columns) {
+        for (const lang of targetLangs) {
+            const target = column.targets[lang];
+            const value = row[target];
+            if (value === undefined || value === null || value === '') continue;
+
+            const index = header.fields.indexOf(target);
+            while (record.fields.length <= index) {
+                record.fields.push('');
+                record.quoted.push(quoteAll);
+            }
+            record.fields[index] = String(value);
+        }
+    }
+}
+
+/**
+ * Reads a CSV or TSV file
+ * @param {string} inputPath - Path to the input file
+ * @param {Object} options - encoding and delimiter overrides
+ * @returns {Promise<Object>} The document and its single sheet
+ */
+export async function readCsv(inputPath, { encoding = 'utf-8', delimiter } = {}) {
+    console.log('Reading delimited text file...');
+    const { text, hasBom } = decodeText(await fs.readFile(inputPath), encoding);
+    const fieldDelimiter = resolveDelimiter(inputPath, text, delimiter);
+
+    const parser = new CsvParser(fieldDelimiter);
+    const records = [...parser.push(text), ...parser.end()];
+    if (records.length < 2) {
+        throw new Error('CSV file is empty');
+    }
+
+    const [header, ...body] = records;
+    const dialect = createDialect(text, header, { delimiter: fieldDelimiter, encoding, hasBom });
+    const rows = body.map((record, index) => recordToRow(header, record, index));
+
+    const document = { dialect, header, records: body };
+    const sheet = { name: path.parse(inputPath).name, headers: header.fields.filter(Boolean), rows };
+    return { document, sheets: [sheet] };
+}
+
+/**
+ * Writes translated columns into the CSV document
+ * Missing target columns are inserted after their source column and its
+ * existing target columns (see insertTargetColumns).
+ * @param {Object} document - Document returned by readCsv()
+ * @param {Object} sheet - Sheet with translated rows
+ * @param {Array<Object>} columns - Resolved column mapping
+ * @param {Array<string>} targetLangs - Target language codes, in column order
+ */
+export function applyCsvTranslations(document, sheet, columns, targetLangs) {
+    const { header, records, dialect } = document;
+    const insertions = insertTargetColumns(header, columns, targetLangs, dialect.quoteAll);
+
+    const rowsByNum = new Map(sheet.rows.map(row => [row.__rowNum__, row]));
+    records.forEach((record, index) => {
+        patchRecord(record, rowsByNum.get(index), header, insertions, columns, targetLangs, dialect.quoteAll);
+    });
+}
+
+/**
+ * Saves the CSV document in its original dialect
+ * @param {Object} document - Document returned by readCsv()
+ * @param {string} outputPath - Path of the output file
+ */
+export async function saveCsv(document, outputPath) {
+    const { header, records, dialect } = document;
+    const lines = [header, ...records].map(record => formatRecord(record, dialect.delimiter));
+    const text = lines.join(dialect.lineEnding) + (dialect.trailingNewline ? dialect.lineEnding : '');
+
+    const { buffer, replaced } = encodeText(text, dialect.encoding, dialect.hasBom);
+    if (replaced > 0) {
+        console.warn(`Warning: ${replaced} characters cannot be represented in ${dialect.encoding} and were replaced with "?"`);
+    }
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, buffer);
+}
+
+/**
+ * Streams a CSV or TSV file in chunks of rows
+ * Each row carries its parsed record in the non-enumerable __record__.
+ * @param {string} inputPath - Path to the input file
+ * @param {Object} options - encoding, delimiter and chunkSize (rows)
+ * @yields {Object} One { type: 'sheet' } event, then { type: 'rows' } chunks
+ */
+export async function* streamCsv(inputPath, { encoding = 'utf-8', delimiter, chunkSize = 500 } = {}) {
+    const decoder = createDecoder(encoding);
+    const name = path.parse(inputPath).name;
+    let parser = null;
+    let header = null;
+    let dialect = null;
+    let hasBom = false;
+    let rowNum = 0;
+    let chunk = [];
+
+    function* takeRecords(records, text) {
+        if (!header && records.length > 0) {
+            header = records.shift();
+            dialect = createDialect(text, header, { delimiter: parser.delimiter, encoding, hasBom });
+            yield { type: 'sheet', sheet: { name, headers: header.fields.filter(Boolean) }, context: { header, dialect } };
+        }
+        for (const record of records) {
+            const row = recordToRow(header, record, rowNum++);
+            Object.defineProperty(row, '__record__', { value: record, enumerable: false });
+            chunk.push(row);
+            if (chunk.length >= chunkSize) {
+                yield { type: 'rows', rows: chunk };
+                chunk = [];
+            }
+        }
+    }
+
+    for await (const buffer of createReadStream(inputPath)) {
+        if (!parser) {
+            hasBom = normalizeEncoding(encoding) === 'utf-8' && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF;
+        }
+        const text = decoder.decode(buffer);
+        parser = parser || new CsvParser(resolveDelimiter(inputPath, text, delimiter));
+        yield* takeRecords(parser.push(text), text);
+    }
+
+    if (!parser) {
+        throw new Error('CSV file is empty');
+    }
+    const text = decoder.end();
+    yield* takeRecords([...parser.push(text), ...parser.end()], text);
+    if (!header) {
+        throw new Error('CSV file is empty');
+    }
+    if (chunk.length > 0) {
+        yield { type: 'rows', rows: chunk };
+    }
+
+    // Known only once the whole file was read; the writer uses it on close
+    dialect.trailingNewline = parser.trailingNewline;
+}
+
+/**
+ * Creates a writer for streamed CSV output in the input dialect
+ * @param {string} outputPath - Path of the output file
+ * @returns {Object} startSheet(event, columns, targetLangs), writeRows(rows) and close()
+ */
+export function createCsvWriter(outputPath) {
+    let stream = null;
+    let header = null;
+    let dialect = null;
+    let insertions = [];
+    let columns = [];
+    let targetLangs = [];
+    let replaced = 0;
+
+    const write = async (text) => {
+        const encoded = encodeText(text, dialect.encoding, false);
+        replaced += encoded.replaced;
+        await writeToStream(stream, encoded.buffer);
+    };
+
+    return {
+        async startSheet(event, sheetColumns, sheetTargetLangs) {
+            ({ header, dialect } = event.context);
+            columns = sheetColumns;
+            targetLangs = sheetTargetLangs;
+            insertions = insertTargetColumns(header, columns, targetLangs, dialect.quoteAll);
+
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            stream = createWriteStream(outputPath);
+            if (dialect.hasBom) {
+                await writeToStream(stream, encodeText('', 'utf-8', true).buffer);
+            }
+            await write(formatRecord(header, dialect.delimiter));
+        },
+
+        async writeRows(rows) {
+            const lines = rows.map(row => {
+                patchRecord(row.__record__, row, header, insertions, columns, targetLangs, dialect.quoteAll);
+                return dialect.lineEnding + formatRecord(row.__record__, dialect.delimiter);
+            });
+            await write(lines.join(''));
+        },
+
+        async close() {
+            if (!stream) return;
+            if (dialect.trailingNewline) {
+                await write(dialect.lineEnding);
+            }
+            stream.end();
+            await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+            if (replaced > 0) {
+                console.warn(`Warning: ${replaced} characters cannot be represented in ${dialect.encoding} and were replaced with "?"`);
+            }
+        }
+    };
+}
@@ -0,0 +1,133 @@
+/**
+ * Text encoding helpers for the Excel Translation Tool
+ * Decodes and encodes delimited text files in UTF-8 and single-byte code pages
+ */
+
+const BOM = '\uFEFF';
+
+// Windows-1252 differs from ISO-8859-1 only in 0x80-0x9F
+const CP1252_HIGH = [
+    '€', undefined, '‚', 'ƒ', '„', '…', '†', '‡',
+    'ˆ', '‰', 'Š', '‹', 'Œ', undefined, 'Ž', undefined,
+    undefined, '‘', '’', '“', '”', '•', '–', '—',
+    '˜', '™', 'š', '›', 'œ', undefined, 'ž', 'Ÿ'
+];
+
+/**
+ * Normalizes an encoding name
+ * @param {string} encoding - e.g. 'utf8', 'cp1252', 'Windows-1252', 'latin1'
+ * @returns {string} Encoding label
+ */
+export function normalizeEncoding(encoding = 'utf-8') {
+    const name = encoding.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (name === 'utf8') return 'utf-8';
+    if (name === 'cp1252' || name === 'windows1252' || name === 'win1252' || name === 'ansi') return 'windows-1252';
+    if (name === 'latin1' || name === 'iso88591') return 'iso-8859-1';
+    throw new Error(`Unsupported encoding "${encoding}" (use utf-8, windows-1252 or latin1)`);
+}
+
+/**
+ * Returns the character of a single-byte code page position
+ * @param {number} byte - Byte value
+ * @param {string} label - Encoding label
+ * @returns {string|undefined} Character, undefined if the byte is unassigned
+ */
+function singleByteChar(byte, label) {
+    if (label === 'windows-1252' && byte >= 0x80 && byte <= 0x9F) {
+        return CP1252_HIGH[byte - 0x80];
+    }
+    return String.fromCharCode(byte);
+}
+
+/**
+ * Decodes a file buffer
+ * @param {Buffer} buffer - Raw file content
+ * @param {string} encoding - Encoding label
+ * @returns {Object} Decoded text and whether a UTF-8 byte order mark was present
+ */
+export function decodeText(buffer, encoding) {
+    const label = normalizeEncoding(encoding);
+    if (label === 'utf-8') {
+        const hasBom = buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF;
+        const text = new TextDecoder('utf-8').decode(hasBom ? buffer.subarray(3) : buffer);
+        return { text, hasBom };
+    }
+
+    let text = '';
+    for (const byte of buffer) {
+        text += singleByteChar(byte, label) ?? '\uFFFD';
+    }
+    return { text, hasBom: false };
+}
+
+/**
+ * Creates a decoder for a file read in chunks
+ * Multi-byte UTF-8 sequences split across chunks are joined; a leading
+ * byte order mark is dropped.
+ * @param {string} encoding - Encoding label
+ * @returns {Object} decode(buffer) for each chunk and end() for the remainder
+ */
+export function createDecoder(encoding) {
+    const label = normalizeEncoding(encoding);
+    if (label !== 'utf-8') {
+        return { decode: buffer => decodeText(buffer, label).text, end: () => '' };
+    }
+
+    const decoder = new TextDecoder('utf-8');
+    return {
+        decode: buffer => decoder.decode(buffer, { stream: true }),
+        end: () => decoder.decode()
+    };
+}
+
+// Reverse tables for single-byte encodings, built on first use
+const encoderTables = new Map();
+
+/**
+ * Builds the character -> byte table of a single-byte encoding
+ * @param {string} label - Encoding label
+ * @returns {Map} Map of character to byte value
+ */
+function encoderTable(label) {
+    if (!encoderTables.has(label)) {
+        const table = new Map();
+        for (let byte = 0; byte < 256; byte++) {
+            const char = singleByteChar(byte, label);
+            if (char !== undefined) {
+                table.set(char, byte);
+            }
+        }
+        encoderTables.set(label, table);
+    }
+    return encoderTables.get(label);
+}
+
+/**
+ * Encodes text for writing
+ * Characters the target code page cannot represent are replaced with "?".
+ * @param {string} text - Text to encode
+ * @param {string} encoding - Encoding label
+ * @param {boolean} withBom - Whether to write a UTF-8 byte order mark
+ * @returns {Object} Encoded buffer and the number of replaced characters
+ */
+export function encodeText(text, encoding, withBom = false) {
+    const label = normalizeEncoding(encoding);
+    if (label === 'utf-8') {
+        return { buffer: Buffer.from((withBom ? BOM : '') + text, 'utf8'), replaced: 0 };
+    }
+
+    const table = encoderTable(label);
+    const bytes = Buffer.alloc(text.length);
+    let length = 0;
+    let replaced = 0;
+    for (const char of text) {
+        const byte = table.get(char);
+        if (byte === undefined) {
+            bytes[length++] = 0x3F;   // '?'
+            replaced++;
+        } else {
+            bytes[length++] = byte;
+        }
+    }
+    return { buffer: bytes.subarray(0, length), replaced };
+}
@@ -0,0 +1,178 @@
+/**
+ * Image directory format module for the Excel Translation Tool
+ * Scans a directory of JPEG and TIFF files and presents their IPTC/XMP caption
+ * fields as one sheet with a row per image, named like the IPTC export columns
+ * (IPTC_DE_Caption, IPTC_DE_Keywords, ...). Translations are written back as
+ * XMP language alternatives, into .xmp sidecars or into copies of the images.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ColumnMapping } from '../mapping.js';
+import { IMAGE_FIELDS, getImageType, getSidecarPath, readImageMetadata, buildXmp, writeImageXmp } from '../metadata/index.js';
+
+export const XMP_MODES = ['sidecar', 'embed'];
+
+// Column label and mapping type of each field
+const FIELD_COLUMNS = {
+    caption: { label: 'Caption', type: 'text' },
+    headline: { label: 'Headline', type: 'text' },
+    keywords: { label: 'Keywords', type: 'keywords' },
+    city: { label: 'City', type: 'location' },
+    state: { label: 'State', type: 'location' },
+    country: { label: 'Country', type: 'location' }
+};
+
+/**
+ * Builds the column name of a field in a language
+ * @param {string} field - Field name
+ * @param {string} lang - Language code
+ * @returns {string} Column name, e.g. IPTC_DE_Caption
+ */
+function columnName(field, lang) {
+    return `IPTC_${lang.toUpperCase()}_${FIELD_COLUMNS[field].label}`;
+}
+
+/**
+ * Lists the image files below a directory, skipping hidden entries
+ * @param {string} root - Directory to scan
+ * @returns {Promise<Array<string>>} Sorted image paths
+ */
+async function findImages(root) {
+    const entries = await fs.readdir(root, { withFileTypes: true, recursive: true });
+    return entries
+        .filter(entry => entry.isFile() && getImageType(entry.name))
+        .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+        .filter(filePath => !path.relative(root, filePath).split(path.sep).some(part => part.startsWith('.')))
+        .sort();
+}
+
+/**
+ * Reads the caption fields of every image in a directory
+ * @param {string} inputPath - Directory with JPEG/TIFF files
+ * @param {Object} options - sourceLang and xmpMode ('sidecar' or 'embed')
+ * @returns {Promise<Object>} The document and its single sheet
+ */
+export async function readImages(inputPath, { sourceLang = 'de', xmpMode = 'sidecar' } = {}) {
+    if (!XMP_MODES.includes(xmpMode)) {
+        throw new Error(`Unknown XMP mode "${xmpMode}" (use ${XMP_MODES.join(' or ')})`);
+    }
+
+    console.log('Reading image metadata...');
+    const imagePaths = await findImages(inputPath);
+    if (imagePaths.length === 0) {
+        throw new Error(`No JPEG or TIFF files found in ${inputPath}`);
+    }
+
+    const files = [];
+    const rows = [];
+    const headers = new Set(['File', ...IMAGE_FIELDS.map(field => columnName(field, sourceLang))]);
+
+    for (const filePath of imagePaths) {
+        const relative = path.relative(inputPath, filePath);
+        let metadata;
+        try {
+            metadata = await readImageMetadata(filePath, sourceLang);
+        } catch (error) {
+            console.warn(`Skipping ${relative}: ${error.message}`);
+            continue;
+        }
+
+        const row = { File: relative };
+        for (const field of IMAGE_FIELDS) {
+            const value = metadata.values[field];
+            if (value !== undefined && value !== '') {
+                row[columnName(field, sourceLang)] = Array.isArray(value) ? value.join(', ') : value;
+            }
+            // Existing translations show up as their own columns
+            for (const [lang, text] of Object.entries(metadata.translations[field])) {
+                row[columnName(field, lang)] = text;
+                headers.add(columnName(field, lang));
+            }
+        }
+        Object.defineProperty(row, '__rowNum__', { value: files.length, enumerable: false });
+
+        files.push({ path: filePath, relative, metadata, updates: {} });
+        rows.push(row);
+    }
+
+    console.log(`Found ${files.length} images`);
+
+    const document = {
+        sourceLang,
+        xmpMode,
+        files,
+        fieldsByColumn: Object.fromEntries(IMAGE_FIELDS.map(field => [columnName(field, sourceLang), field]))
+    };
+    const sheet = { name: path.basename(inputPath), headers: [...headers], rows };
+    return { document, sheets: [sheet] };
+}
+
+/**
+ * Default column mapping for image directories: every caption field
+ * @param {string} sourceLang - Source language code
+ * @returns {ColumnMapping} Mapping with one explicit column per field
+ */
+export function imageMapping(sourceLang) {
+    return new ColumnMapping({
+        columns: IMAGE_FIELDS.map(field => ({ source: columnName(field, sourceLang), type: FIELD_COLUMNS[field].type }))
+    });
+}
+
+/**
+ * Collects the translated fields of every image
+ * @param {Object} document - Document returned by readImages()
+ * @param {Object} sheet - Sheet with translated rows
+ * @param {Array<Object>} columns - Resolved column mapping
+ * @param {Array<string>} targetLangs - Target language codes
+ */
+export function applyImageTranslations(document, sheet, columns, targetLangs) {
+    for (const row of sheet.rows) {
+        const file = document.files[row.__rowNum__];
+        for (const column of columns) {
+            const field = document.fieldsByColumn[column.source];
+            if (!field) continue;
+
+            for (const lang of targetLangs) {
+                const value = row[column.targets[lang]];
+                if (!value || value === file.metadata.translations[field][lang]) continue;
+                file.updates[field] = { ...file.updates[field], [lang]: value };
+            }
+        }
+    }
+}
+
+/**
+ * Writes the translations as XMP sidecars or as image copies with embedded XMP
+ * Only images with new or changed translations are written.
+ * @param {Object} document - Document returned by readImages()
+ * @param {string} outputPath - Output directory
+ */
+export async function saveImages(document, outputPath) {
+    let written = 0;
+    let failed = 0;
+
+    for (const file of document.files) {
+        if (Object.keys(file.updates).length === 0) continue;
+
+        const { metadata } = file;
+        try {
+            if (document.xmpMode === 'embed') {
+                const packet = buildXmp(metadata.xmp, metadata.values, file.updates, document.sourceLang);
+                await writeImageXmp(file.path, path.join(outputPath, file.relative), packet);
+            } else {
+                const packet = buildXmp(metadata.sidecarXmp || metadata.xmp, metadata.values, file.updates, document.sourceLang);
+                const sidecarPath = getSidecarPath(path.join(outputPath, file.relative));
+                await fs.mkdir(path.dirname(sidecarPath), { recursive: true });
+                await fs.writeFile(sidecarPath, packet, 'utf8');
+            }
+            written++;
+        } catch (error) {
+            console.warn(`Could not write XMP for ${file.relative}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    const kind = document.xmpMode === 'embed' ? 'images with embedded XMP' : 'XMP sidecars';
+    console.log(`Wrote ${written} ${kind}${failed > 0 ? `, ${failed} failed` : ''}`);
+}
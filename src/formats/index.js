@@ -0,0 +1,190 @@
+/**
+ * Format registry for the Excel Translation Tool
+ * Picks the reader and writer for an input file by extension or --format;
+ * a directory is read as a folder of images
+ *
+ * Every format provides:
+ *   read(inputPath, options)                        -> { document, sheets }
+ *   apply(document, sheet, columns, targetLangs)    -> writes translated rows into the document
+ *   save(document, outputPath)                      -> writes the document in its input dialect
+ *   rowNumber(row)                                  -> number of a row as users see it in the file
+ * and may provide defaultMapping(sourceLang) for its fixed set of columns.
+ *
+ * Formats that can be processed in streaming mode also provide:
+ *   stream(inputPath, options)                      -> async events: { type: 'sheet' }, { type: 'rows' }
+ *   createWriter(outputPath)                        -> startSheet(event, columns, targetLangs), writeRows(rows), close()
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readWorkbook, writeTranslations, saveWorkbook } from '../excel.js';
+import { streamXlsx, createXlsxWriter } from './xlsx-stream.js';
+import { readCsv, applyCsvTranslations, saveCsv, streamCsv, createCsvWriter } from './csv.js';
+import { readJsonl, applyJsonlTranslations, saveJsonl, streamJsonl, createJsonlWriter } from './jsonl.js';
+import { readImages, applyImageTranslations, saveImages, imageMapping } from './images.js';
+import { splitKeywords } from '../keywords.js';
+import { normalizeText } from '../normalize.js';
+
+// Rows carry their 0-based index in __rowNum__: the sheet row, the CSV record
+// after the header, the JSONL line or the image number
+const oneBased = row => row.__rowNum__ + 1;
+const afterHeader = row => row.__rowNum__ + 2;
+
+const workbookFormat = { read: readWorkbook, apply: writeTranslations, save: saveWorkbook, rowNumber: oneBased };
+const xlsxFormat = { ...workbookFormat, stream: streamXlsx, createWriter: createXlsxWriter };
+const csvFormat = { read: readCsv, apply: applyCsvTranslations, save: saveCsv, rowNumber: afterHeader, stream: streamCsv, createWriter: createCsvWriter };
+const jsonlFormat = { read: readJsonl, apply: applyJsonlTranslations, save: saveJsonl, rowNumber: oneBased, stream: streamJsonl, createWriter: createJsonlWriter };
+const imagesFormat = { read: readImages, apply: applyImageTranslations, save: saveImages, rowNumber: oneBased, defaultMapping: imageMapping };
+
+const FORMATS = {
+    xlsx: xlsxFormat,
+    xlsm: workbookFormat,
+    xls: workbookFormat,
+    ods: workbookFormat,
+    csv: csvFormat,
+    tsv: csvFormat,
+    jsonl: jsonlFormat,
+    images: imagesFormat
+};
+
+const EXTENSION_ALIASES = {
+    tab: 'tsv',
+    txt: 'csv',
+    ndjson: 'jsonl'
+};
+
+/**
+ * Lists the names of all supported formats
+ * @returns {Array<string>} Format names
+ */
+export function listFormats() {
+    return Object.keys(FORMATS);
+}
+
+/**
+ * Determines the format of an input file
+ * @param {string} inputPath - Path to the input file
+ * @param {string} format - Explicit format name, overrides the extension
+ * @returns {string} Format name
+ */
+export function detectFormat(inputPath, format) {
+    if (!format && fs.statSync(inputPath, { throwIfNoEntry: false })?.isDirectory()) {
+        return 'images';
+    }
+    const extension = path.extname(inputPath).slice(1).toLowerCase();
+    const name = (format || EXTENSION_ALIASES[extension] || extension).toLowerCase();
+    if (!FORMATS[name]) {
+        throw new Error(`Unsupported input format "${name || inputPath}". Supported: ${listFormats().join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Returns the reader and writer of a format
+ * @param {string} name - Format name from detectFormat()
+ * @returns {Object} Format with read, apply and save
+ */
+export function getFormat(name) {
+    return FORMATS[name];
+}
+
+/**
+ * Returns the streaming reader and writer of a format
+ * @param {string} name - Format name from detectFormat()
+ * @returns {Object} Format with stream and createWriter
+ */
+export function getStreamFormat(name) {
+    const format = FORMATS[name];
+    if (!format.stream) {
+        const supported = Object.keys(FORMATS).filter(key => FORMATS[key].stream);
+        throw new Error(`Streaming is not supported for ${name} input. Supported: ${supported.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Builds the output path for an input file, keeping its extension
+ * @param {string} inputPath - Path to the input file
+ * @param {boolean} isFinal - Whether this is the final save
+ * @returns {string} Path inside the output directory
+ */
+export function getOutputPath(inputPath, isFinal = false) {
+    const parsedPath = path.parse(inputPath);
+    const suffix = isFinal ? '_translated_FINAL' : '_translated';
+    return path.join('output', `${parsedPath.name}${suffix}${parsedPath.ext}`);
+}
+
+/**
+ * Loads existing translations from an earlier output of the input
+ * The output directory is checked first, then a translated file next to the input.
+ * @param {string} inputPath - Path to the original input file
+ * @param {Object} columnsBySheet - Resolved column mapping per sheet name
+ * @param {string} targetLang - Target language code
+ * @param {Object} readOptions - format, encoding and delimiter of the input
+ * @returns {Object} Map of original texts to translations
+ */
+export async function loadExistingTranslations(inputPath, columnsBySheet, targetLang = 'en', readOptions = {}) {
+    const parsedPath = path.parse(inputPath);
+    const candidatePaths = [
+        getOutputPath(inputPath),
+        path.join(parsedPath.dir, `${parsedPath.name}_translated${parsedPath.ext}`)
+    ];
+
+    console.log(`Checking for existing ${targetLang.toUpperCase()} translations...`);
+
+    const format = getFormat(detectFormat(inputPath, readOptions.format));
+    let sheets = null;
+    for (const translatedPath of candidatePaths) {
+        try {
+            ({ sheets } = await format.read(translatedPath, readOptions));
+            console.log(`Reading existing translations from ${translatedPath}`);
+            break;
+        } catch (error) {
+            // Try the next location
+        }
+    }
+    if (!sheets) {
+        console.log('No existing translations file found');
+        return {};
+    }
+
+    const translations = {};
+    let translatedCount = 0;
+
+    // Extract translations from every translated sheet; single-sheet formats
+    // name their sheet after the file, so a lone sheet matches a lone sheet
+    const mappedSheets = Object.values(columnsBySheet);
+    for (const sheet of sheets) {
+        const columns = columnsBySheet[sheet.name] ||
+            (sheets.length === 1 && mappedSheets.length === 1 ? mappedSheets[0] : null);
+        if (!columns) continue;
+
+        for (const row of sheet.rows) {
+            for (const column of columns) {
+                const sourceText = row[column.source];
+                const targetText = row[column.targets[targetLang]];
+
+                if (!sourceText || !targetText || String(targetText).length === 0) continue;
+
+                if (column.type === 'keywords') {
+                    // Reuse keyword pairs when both lists line up
+                    const sourceKeywords = splitKeywords(sourceText).keywords;
+                    const targetKeywords = splitKeywords(targetText).keywords;
+                    if (sourceKeywords.length !== targetKeywords.length) continue;
+                    sourceKeywords.forEach((keyword, i) => {
+                        if (keyword && targetKeywords[i]) {
+                            translations[normalizeText(keyword)] = targetKeywords[i];
+                            translatedCount++;
+                        }
+                    });
+                } else {
+                    translations[normalizeText(sourceText)] = String(targetText);
+                    translatedCount++;
+                }
+            }
+        }
+    }
+
+    console.log(`Found existing translations file with ${translatedCount} translations`);
+    return translations;
+}
@@ -0,0 +1,241 @@
+/**
+ * JSONL format module for the Excel Translation Tool
+ * Reads and writes one JSON object per line; untouched lines are kept verbatim
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { writeToStream } from '../utils.js';
+
+/**
+ * Parses one line
+ * @param {string} raw - Line without line ending
+ * @param {number} index - Zero-based line number
+ * @returns {Object} The entry { raw, data } and its row, null for blank and non-object lines
+ */
+function parseLine(raw, index) {
+    if (!raw.trim()) return { entry: { raw, data: null }, row: null };
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { entry: { raw, data: null }, row: null };
+    }
+
+    const row = { ...data };
+    Object.defineProperty(row, '__rowNum__', { value: index, enumerable: false });
+    return { entry: { raw, data }, row };
+}
+
+/**
+ * Reads a JSONL file
+ * @param {string} inputPath - Path to the input file
+ * @returns {Promise<Object>} The document and its single sheet
+ */
+export async function readJsonl(inputPath) {
+    console.log('Reading JSONL file...');
+    const text = await fs.readFile(inputPath, 'utf8');
+    const lineEnding = /\r\n/.test(text) ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
+    const trailingNewline = lines[lines.length - 1] === '';
+    if (trailingNewline) lines.pop();
+
+    const headers = new Set();
+    const rows = [];
+    const entries = lines.map((raw, index) => {
+        const { entry, row } = parseLine(raw, index);
+        if (row) {
+            Object.keys(row).forEach(key => headers.add(key));
+            rows.push(row);
+        }
+        return entry;
+    });
+
+    if (rows.length === 0) {
+        throw new Error('JSONL file is empty');
+    }
+
+    const document = { lines: entries, lineEnding, trailingNewline };
+    const sheet = { name: path.parse(inputPath).name, headers: [...headers], rows };
+    return { document, sheets: [sheet] };
+}
+
+/**
+ * Writes the translated fields of a row into its entry
+ * The object is rebuilt so that new target fields follow their source field;
+ * entries without changes keep their original text.
+ * @param {Object} entry - Entry { raw, data }, modified in place
+ * @param {Object} row - Row with translated values
+ * @param {Array<Object>} columns - Resolved column mapping
+ * @param {Array<string>} targetLangs - Target language codes, in field order
+ */
+function patchEntry(entry, row, columns, targetLangs) {
+    const updates = new Map();
+    for (const column of columns) {
+        for (const lang of targetLangs) {
+            const target = column.targets[lang];
+            if (row[target] !== undefined && row[target] !== entry.data[target]) {
+                updates.set(target, row[target]);
+            }
+        }
+    }
+    if (updates.size === 0) return;
+
+    const data = {};
+    for (const [key, value] of Object.entries(entry.data)) {
+        data[key] = updates.has(key) ? updates.get(key) : value;
+        const column = columns.find(column => column.source === key);
+        if (!column) continue;
+        for (const lang of targetLangs) {
+            const target = column.targets[lang];
+            if (updates.has(target) && !(target in entry.data)) {
+                data[target] = updates.get(target);
+            }
+        }
+    }
+    entry.data = data;
+    entry.raw = JSON.stringify(data);
+}
+
+/**
+ * Writes translated fields into the JSONL document
+ * Target fields are placed right after their source field.
+ * @param {Object} document - Document returned by readJsonl()
+ * @param {Object} sheet - Sheet with translated rows
+ * @param {Array<Object>} columns - Resolved column mapping
+ * @param {Array<string>} targetLangs - Target language codes, in field order
+ */
+export function applyJsonlTranslations(document, sheet, columns, targetLangs) {
+    for (const row of sheet.rows) {
+        patchEntry(document.lines[row.__rowNum__], row, columns, targetLangs);
+    }
+}
+
+/**
+ * Saves the JSONL document
+ * @param {Object} document - Document returned by readJsonl()
+ * @param {string} outputPath - Path of the output file
+ */
+export async function saveJsonl(document, outputPath) {
+    const text = document.lines.map(entry => entry.raw).join(document.lineEnding) +
+        (document.trailingNewline ? document.lineEnding : '');
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, text, 'utf8');
+}
+
+/**
+ * Streams a JSONL file in chunks of rows
+ * Columns are the keys of the first chunk; each row carries its entry in the
+ * non-enumerable __record__.
+ * @param {string} inputPath - Path to the input file
+ * @param {Object} options - chunkSize (rows)
+ * @yields {Object} One { type: 'sheet' } event, then { type: 'rows' } chunks
+ */
+export async function* streamJsonl(inputPath, { chunkSize = 500 } = {}) {
+    const context = { lineEnding: null, trailingNewline: false };
+    const decoder = new TextDecoder('utf-8');
+    let pending = '';
+    let index = 0;
+    let sheetSent = false;
+    let chunk = [];
+
+    function* takeLines(lines) {
+        for (const line of lines) {
+            const raw = line.endsWith('\r') ? line.slice(0, -1) : line;
+            const { entry, row } = parseLine(raw, index);
+
+            // Blank and non-object lines pass through as empty rows
+            const item = row || {};
+            if (!row) Object.defineProperty(item, '__rowNum__', { value: index, enumerable: false });
+            Object.defineProperty(item, '__record__', { value: entry, enumerable: false });
+            index++;
+            chunk.push(item);
+            if (chunk.length >= chunkSize) {
+                yield* flush();
+            }
+        }
+    }
+
+    function* flush() {
+        if (!sheetSent) {
+            const headers = new Set(chunk.flatMap(row => Object.keys(row)));
+            yield { type: 'sheet', sheet: { name: path.parse(inputPath).name, headers: [...headers] }, context };
+            sheetSent = true;
+        }
+        if (chunk.length > 0) {
+            yield { type: 'rows', rows: chunk };
+            chunk = [];
+        }
+    }
+
+    for await (const buffer of createReadStream(inputPath)) {
+        const lines = (pending + decoder.decode(buffer, { stream: true })).split('\n');
+        pending = lines.pop();
+        if (context.lineEnding === null && lines.length > 0) {
+            context.lineEnding = lines[0].endsWith('\r') ? '\r\n' : '\n';
+        }
+        yield* takeLines(lines);
+    }
+
+    pending += decoder.decode();
+    context.lineEnding = context.lineEnding || '\n';
+    context.trailingNewline = pending === '' && index > 0;
+    if (pending !== '') {
+        yield* takeLines([pending]);
+    }
+    if (index === 0) {
+        throw new Error('JSONL file is empty');
+    }
+    yield* flush();
+}
+
+/**
+ * Creates a writer for streamed JSONL output
+ * Lines without translations are written unchanged.
+ * @param {string} outputPath - Path of the output file
+ * @returns {Object} startSheet(event, columns, targetLangs), writeRows(rows) and close()
+ */
+export function createJsonlWriter(outputPath) {
+    let stream = null;
+    let context = null;
+    let columns = [];
+    let targetLangs = [];
+    let first = true;
+
+    return {
+        async startSheet(event, sheetColumns, sheetTargetLangs) {
+            context = event.context;
+            columns = sheetColumns;
+            targetLangs = sheetTargetLangs;
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            stream = createWriteStream(outputPath);
+        },
+
+        async writeRows(rows) {
+            const lines = rows.map(row => {
+                const entry = row.__record__;
+                if (entry.data) {
+                    patchEntry(entry, row, columns, targetLangs);
+                }
+                const line = (first ? '' : context.lineEnding) + entry.raw;
+                first = false;
+                return line;
+            });
+            await writeToStream(stream, lines.join(''));
+        },
+
+        async close() {
+            if (!stream) return;
+            if (context.trailingNewline) {
+                await writeToStream(stream, context.lineEnding);
+            }
+            stream.end();
+            await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+        }
+    };
+}
@@ -0,0 +1,276 @@
+/**
+ * Streaming Excel module for the Excel Translation Tool
+ * Reads and writes .xlsx files row by row for workbooks too large to load at
+ * once. Every sheet is copied with its values and formulas; target columns
+ * are inserted after the existing targets of their source as in the regular
+ * output. Cell styles, column widths and merges are not carried over.
+ *
+ * The stream reader does not tell which cell a shared formula belongs to, so
+ * shared formulas are replaced by their results. References to inserted
+ * columns are shifted on the same sheet and on later sheets; sheets written
+ * before the insertion cannot be changed any more. Both cases are warned about.
+ */
+
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import path from 'path';
+import { shiftFormula } from '../excel.js';
+
+/**
+ * Returns the plain value of a cell as the regular reader would
+ * @param {*} value - exceljs cell value
+ * @returns {*} Text, number, boolean or Date; undefined for empty cells and errors
+ */
+function plainValue(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    if (typeof value !== 'object' || value instanceof Date) return value;
+    if (value.richText) return value.richText.map(run => run.text).join('');
+    if ('formula' in value || 'sharedFormula' in value) return plainValue(value.result);
+    if ('text' in value) return plainValue(value.text);
+    return undefined;
+}
+
+/**
+ * Finds the column number of every header
+ * @param {Array} values - Sparse, 1-based values of the header row
+ * @returns {Map} Map of header to column number
+ */
+function headerPositions(values) {
+    const positions = new Map();
+    values.forEach((value, col) => {
+        const header = plainValue(value);
+        if (header !== undefined && !positions.has(String(header))) {
+            positions.set(String(header), col);
+        }
+    });
+    return positions;
+}
+
+/**
+ * Returns the sheet names a formula refers to
+ * @param {string} formula - Formula without the leading "="
+ * @returns {Array<string>} Names of qualified sheets
+ */
+function referencedSheets(formula) {
+    // Leave string literals out: odd segments are inside quotes
+    const outside = formula.split('"').filter((segment, i) => i % 2 === 0).join(' ');
+    return [...outside.matchAll(/(?:'((?:[^']|'')+)'|([A-Za-z0-9_.]+))!/g)]
+        .map(([, quoted, plain]) => quoted ? quoted.replace(/''/g, "'") : plain);
+}
+
+/**
+ * Streams the sheets of an .xlsx file in chunks of rows
+ * Each row carries its cell values in the non-enumerable __record__ and its
+ * 0-based sheet row index in __rowNum__, like rows of the regular reader.
+ * @param {string} inputPath - Path to the input file
+ * @param {Object} options - chunkSize (rows) and sheetNames to translate, null for all
+ * @yields {Object} Per sheet a { type: 'sheet' } event, then { type: 'rows' } chunks
+ */
+export async function* streamXlsx(inputPath, { chunkSize = 500, sheetNames = null } = {}) {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(inputPath, {
+        sharedStrings: 'cache',
+        styles: 'cache',
+        hyperlinks: 'ignore',
+        worksheets: 'emit',
+        entries: 'ignore'
+    });
+    const seenSheets = [];
+
+    for await (const worksheet of reader) {
+        const name = worksheet.name;
+        const selected = !sheetNames || sheetNames.includes(name);
+        seenSheets.push(name);
+        let positions = null;
+        let chunk = [];
+
+        for await (const row of worksheet) {
+            const values = row.values;
+
+            // The first row with values holds the headers
+            if (!positions) {
+                positions = headerPositions(values);
+                yield {
+                    type: 'sheet',
+                    sheet: { name, headers: [...positions.keys()] },
+                    context: { headerRow: row.number, headerValues: values },
+                    selected
+                };
+                continue;
+            }
+
+            const item = {};
+            for (const [header, col] of positions) {
+                const value = plainValue(values[col]);
+                if (value !== undefined) item[header] = value;
+            }
+            Object.defineProperty(item, '__rowNum__', { value: row.number - 1, enumerable: false });
+            Object.defineProperty(item, '__record__', { value: values, enumerable: false });
+            chunk.push(item);
+
+            if (chunk.length >= chunkSize) {
+                yield { type: 'rows', rows: chunk };
+                chunk = [];
+            }
+        }
+
+        if (!positions) {
+            // Empty sheets are copied as empty sheets
+            yield { type: 'sheet', sheet: { name, headers: [] }, context: { headerRow: null, headerValues: [] }, selected: false };
+        } else if (chunk.length > 0) {
+            yield { type: 'rows', rows: chunk };
+        }
+    }
+
+    const missing = (sheetNames || []).filter(name => !seenSheets.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`Sheet(s) not found: ${missing.join(', ')} (available: ${seenSheets.join(', ')})`);
+    }
+}
+
+/**
+ * Creates a writer for streamed .xlsx output
+ * @param {string} outputPath - Path of the output file
+ * @returns {Object} startSheet(event, columns, targetLangs), writeRows(rows) and close()
+ */
+export function createXlsxWriter(outputPath) {
+    let workbook = null;
+    let worksheet = null;
+    let sheetName = null;
+    let insertions = [];
+    let positions = new Map();
+    let columns = [];
+    let targetLangs = [];
+    let sharedFormulas = 0;
+    const insertionsBySheet = new Map();
+    const referencedByWritten = new Set();
+
+    /**
+     * Warns about the shared formulas of the current sheet
+     */
+    const finishSheet = () => {
+        if (sharedFormulas > 0) {
+            console.warn(`Sheet "${sheetName}": ${sharedFormulas} cells with shared formulas were replaced by their results`);
+        }
+        sharedFormulas = 0;
+    };
+
+    /**
+     * Inserts empty cells for the new target columns and shifts formulas
+     * @param {Array} values - Sparse, 1-based row values, modified in place
+     */
+    const insertCells = (values) => {
+        for (const { at, count } of insertions) {
+            if (values.length > at) {
+                values.splice(at, 0, ...new Array(count).fill(undefined));
+            }
+        }
+
+        values.forEach((value, col) => {
+            if (!value || typeof value !== 'object') return;
+            if ('sharedFormula' in value || value.formula === '') {
+                // Shared formulas refer to their master cell; keep the result
+                values[col] = value.result;
+                sharedFormulas++;
+            } else if (typeof value.formula === 'string') {
+                let formula = value.formula;
+                for (const name of referencedSheets(formula)) {
+                    referencedByWritten.add(name);
+                }
+                for (const [name, sheetInsertions] of insertionsBySheet) {
+                    for (const { at, count } of sheetInsertions) {
+                        formula = shiftFormula(formula, at - 1, count, name, name === sheetName);
+                    }
+                }
+                values[col] = { ...value, formula };
+            }
+        });
+    };
+
+    return {
+        async startSheet(event, sheetColumns, sheetTargetLangs) {
+            if (!workbook) {
+                await fs.mkdir(path.dirname(outputPath), { recursive: true });
+                workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: outputPath, useStyles: true, useSharedStrings: false });
+            }
+            if (worksheet) {
+                finishSheet();
+                worksheet.commit();
+            }
+
+            sheetName = event.sheet.name;
+            columns = sheetColumns;
+            targetLangs = sheetTargetLangs;
+            worksheet = workbook.addWorksheet(sheetName);
+
+            // Column after which the missing targets of a source go: its rightmost existing target
+            const headerValues = event.context.headerValues;
+            positions = headerPositions(headerValues);
+            const anchor = column => Math.max(
+                positions.get(column.source),
+                ...Object.values(column.targets).filter(target => positions.has(target)).map(target => positions.get(target))
+            );
+
+            // Rightmost anchor first so positions stay valid
+            insertions = [];
+            const sortedColumns = [...columns].sort((a, b) => anchor(b) - anchor(a));
+            for (const column of sortedColumns) {
+                const missingTargets = targetLangs
+                    .map(lang => column.targets[lang])
+                    .filter(target => !positions.has(target));
+                if (missingTargets.length === 0) continue;
+                insertions.push({ at: anchor(column) + 1, count: missingTargets.length, names: missingTargets });
+            }
+            if (insertions.length > 0) {
+                insertionsBySheet.set(sheetName, insertions);
+                if (referencedByWritten.has(sheetName)) {
+                    console.warn(`Sheet "${sheetName}": formulas on earlier sheets refer to it and are not shifted for the inserted target columns`);
+                }
+            }
+
+            if (event.context.headerRow === null) return;
+
+            for (const { at, names } of insertions) {
+                if (headerValues.length > at) {
+                    headerValues.splice(at, 0, ...names);
+                } else {
+                    names.forEach((name, i) => {
+                        headerValues[at + i] = name;
+                    });
+                }
+            }
+            positions = headerPositions(headerValues);
+            const headerRow = worksheet.getRow(event.context.headerRow);
+            headerRow.values = headerValues;
+            headerRow.commit();
+        },
+
+        async writeRows(rows) {
+            for (const row of rows) {
+                const values = row.__record__;
+                insertCells(values);
+
+                for (const column of columns) {
+                    for (const lang of targetLangs) {
+                        const target = column.targets[lang];
+                        const value = row[target];
+                        if (value === undefined || value === null || value === '') continue;
+                        values[positions.get(target)] = String(value);
+                    }
+                }
+
+                const outputRow = worksheet.getRow(row.__rowNum__ + 1);
+                outputRow.values = values;
+                outputRow.commit();
+            }
+        },
+
+        async close() {
+            if (!workbook) return;
+            if (worksheet) {
+                finishSheet();
+                worksheet.commit();
+            }
+            await workbook.commit();
+        }
+    };
+}
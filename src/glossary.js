@@ -0,0 +1,252 @@
+/**
+ * Glossary module for the Excel Translation Tool
+ * Enforces house terminology: forced translations and do-not-translate terms
+ *
+ * Glossary files are JSON:
+ *   { "protected": ["dpa", "Nordrhein-Westfalen"],
+ *     "forced": { "en": { "Bundesland": "federal state" } } }
+ * or CSV/TSV with the columns source, target, lang. An empty target marks a
+ * protected term; an empty lang applies the entry to every target language.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Splits one CSV/TSV line, honouring double-quoted fields
+ * @param {string} line - Line to split
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>} Field values
+ */
+function splitLine(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields.map(value => value.trim());
+}
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a whole-word pattern for a term
+ * @param {string} term - Glossary term
+ * @returns {string} Pattern that does not match inside longer words
+ */
+function termPattern(term) {
+    return `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`;
+}
+
+class Glossary {
+    constructor() {
+        this.protectedTerms = new Set();
+        this.forced = new Map();      // lang ('*' for all) -> Map(source -> target)
+        this.patterns = new Map();    // lang -> compiled RegExp of all terms
+    }
+
+    /**
+     * Adds a forced translation
+     * @param {string} source - Source term
+     * @param {string} target - Required translation
+     * @param {string} lang - Target language, '*' for all
+     */
+    addForced(source, target, lang = '*') {
+        if (!this.forced.has(lang)) {
+            this.forced.set(lang, new Map());
+        }
+        this.forced.get(lang).set(source, target);
+        this.patterns.clear();
+    }
+
+    /**
+     * Adds a term that must stay unchanged
+     * @param {string} term - Protected term
+     */
+    addProtected(term) {
+        this.protectedTerms.add(term);
+        this.patterns.clear();
+    }
+
+    get size() {
+        let forcedCount = 0;
+        for (const terms of this.forced.values()) forcedCount += terms.size;
+        return this.protectedTerms.size + forcedCount;
+    }
+
+    /**
+     * Resolves the required output of every term for one target language
+     * @param {string} targetLang - Target language code
+     * @returns {Map} Map of source term to required output
+     */
+    termsFor(targetLang) {
+        const terms = new Map();
+        for (const term of this.protectedTerms) terms.set(term, term);
+        for (const [source, target] of this.forced.get('*') || []) terms.set(source, target);
+        for (const [source, target] of this.forced.get(targetLang) || []) terms.set(source, target);
+        return terms;
+    }
+
+    /**
+     * Returns a regular expression matching any term, longest terms first
+     * @param {string} targetLang - Target language code
+     * @returns {RegExp|null} Combined pattern or null for an empty glossary
+     */
+    patternFor(targetLang) {
+        if (!this.patterns.has(targetLang)) {
+            const terms = [...this.termsFor(targetLang).keys()].sort((a, b) => b.length - a.length);
+            this.patterns.set(targetLang, terms.length > 0
+                ? new RegExp(terms.map(termPattern).join('|'), 'gu')
+                : null);
+        }
+        return this.patterns.get(targetLang);
+    }
+
+    /**
+     * Replaces glossary terms with placeholders before translation
+     * @param {string} text - Source text
+     * @param {string} targetLang - Target language code
+     * @returns {Object} Masked text and the placeholders to restore
+     */
+    mask(text, targetLang) {
+        const pattern = this.patternFor(targetLang);
+        if (!pattern) return { text, placeholders: [] };
+
+        const terms = this.termsFor(targetLang);
+        const placeholders = [];
+        const masked = text.replace(pattern, term => {
+            const token = `{{G${placeholders.length}}}`;
+            placeholders.push({ token, source: term, replacement: terms.get(term) });
+            return token;
+        });
+        return { text: masked, placeholders };
+    }
+
+    /**
+     * Restores placeholders in a translation
+     * @param {string} text - Translated text containing placeholders
+     * @param {Array<Object>} placeholders - Placeholders returned by mask()
+     * @returns {string} Translation with required terms in place
+     */
+    unmask(text, placeholders) {
+        let restored = text;
+        for (let i = placeholders.length - 1; i >= 0; i--) {
+            // Engines sometimes add spaces inside the braces
+            const token = new RegExp(`\\{\\s*\\{\\s*G${i}\\s*\\}\\s*\\}`, 'g');
+            restored = restored.replace(token, () => placeholders[i].replacement);
+        }
+        return restored;
+    }
+
+    /**
+     * Checks a translation against the glossary
+     * @param {string} sourceText - Original text
+     * @param {string} translatedText - Translation to check
+     * @param {string} targetLang - Target language code
+     * @returns {Array<Object>} Violations: term, expected output and reason
+     */
+    check(sourceText, translatedText, targetLang) {
+        const pattern = this.patternFor(targetLang);
+        if (!pattern) return [];
+
+        const terms = this.termsFor(targetLang);
+        const violations = [];
+        const seen = new Set();
+
+        for (const [term] of sourceText.matchAll(pattern)) {
+            if (seen.has(term)) continue;
+            seen.add(term);
+
+            const expected = terms.get(term);
+            if (!new RegExp(termPattern(expected), 'u').test(translatedText)) {
+                violations.push({
+                    term,
+                    expected,
+                    reason: this.protectedTerms.has(term) && expected === term
+                        ? 'protected term changed'
+                        : 'forced translation not used'
+                });
+            }
+        }
+
+        if (/\{\s*\{\s*G\d+\s*\}\s*\}/.test(translatedText)) {
+            violations.push({ term: null, expected: null, reason: 'unrestored placeholder' });
+        }
+
+        return violations;
+    }
+}
+
+/**
+ * Loads a glossary from a JSON, CSV or TSV file
+ * @param {string} filePath - Path to the glossary file
+ * @returns {Promise<Glossary>} Loaded glossary
+ */
+export async function loadGlossary(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const glossary = new Glossary();
+
+    if (extension === '.json') {
+        const data = JSON.parse(content);
+        for (const term of data.protected || []) {
+            glossary.addProtected(term);
+        }
+        for (const [lang, terms] of Object.entries(data.forced || {})) {
+            for (const [source, target] of Object.entries(terms)) {
+                glossary.addForced(source, target, lang.toLowerCase());
+            }
+        }
+    } else if (extension === '.csv' || extension === '.tsv' || extension === '.txt') {
+        const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        const delimiter = extension === '.tsv' || lines[0]?.includes('\t')
+            ? '\t'
+            : (lines[0]?.includes(';') ? ';' : ',');
+
+        for (const [index, line] of lines.entries()) {
+            const [source, target = '', lang = ''] = splitLine(line, delimiter);
+            if (index === 0 && source.toLowerCase() === 'source') continue;   // Header row
+            if (!source) continue;
+
+            if (target) {
+                glossary.addForced(source, target, lang.toLowerCase() || '*');
+            } else {
+                glossary.addProtected(source);
+            }
+        }
+    } else {
+        throw new Error(`Unsupported glossary format: ${extension} (use .json, .csv or .tsv)`);
+    }
+
+    console.log(`Glossary: ${glossary.size} terms loaded from ${filePath}`);
+    return glossary;
+}
+
+export { Glossary };
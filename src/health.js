@@ -0,0 +1,136 @@
+/**
+ * Provider health module for the Excel Translation Tool
+ * Checks a translation backend before a run: whether it supports the language
+ * pairs, how fast it answers and whether it translates a known sentence
+ */
+
+// Time a single check may take
+export const CHECK_TIMEOUT = 30000;
+
+// Known sentences by source language
+const TEST_SENTENCES = {
+    de: 'Das ist ein Test.',
+    en: 'This is a test.',
+    fr: 'Ceci est un test.',
+    es: 'Esto es una prueba.',
+    it: 'Questo è un test.',
+    nl: 'Dit is een test.'
+};
+
+// Words a translation of the test sentence contains, by target language
+const EXPECTED_WORDS = {
+    de: /test/i,
+    en: /test/i,
+    fr: /test|essai/i,
+    es: /prueba|test/i,
+    it: /test|prova/i,
+    nl: /test/i,
+    pt: /teste/i,
+    pl: /test/i,
+    sv: /test/i,
+    da: /test/i
+};
+
+/**
+ * Returns the primary subtag of a language code
+ * @param {string} code - Language code such as de, en-US or pt-BR
+ * @returns {string} Lower case primary subtag
+ */
+function primaryLanguage(code) {
+    return code.toLowerCase().split('-')[0];
+}
+
+/**
+ * Returns the test sentence of a source language
+ * Source languages without a known sentence are tested with a single word.
+ * @param {string} source - Source language code
+ * @returns {string} Sentence to translate
+ */
+export function getTestSentence(source) {
+    return TEST_SENTENCES[primaryLanguage(source)] || 'Test';
+}
+
+/**
+ * Checks that the backend lists a language pair
+ * @param {Array<Object>} languages - Languages from provider.languages()
+ * @param {string} source - Source language code
+ * @param {string} target - Target language code
+ * @returns {boolean} True if the pair is supported
+ */
+function supportsPair(languages, source, target) {
+    const sourceEntry = languages.find(language => primaryLanguage(language.code) === primaryLanguage(source));
+    if (!sourceEntry) return false;
+    const targets = sourceEntry.targets || languages.map(language => language.code);
+    return targets.some(code => primaryLanguage(code) === primaryLanguage(target));
+}
+
+/**
+ * Translates the test sentence and checks the result
+ * @param {TranslationProvider} provider - Provider to check
+ * @param {string} source - Source language code
+ * @param {string} target - Target language code
+ * @returns {Promise<string>} Translation and latency
+ * @throws {Error} If the request fails or the translation is implausible
+ */
+async function checkTranslation(provider, source, target) {
+    const sentence = getTestSentence(source);
+    const started = Date.now();
+    const [translation] = await provider.translate([sentence], {
+        source,
+        target,
+        signal: AbortSignal.timeout(CHECK_TIMEOUT)
+    });
+    const latency = Date.now() - started;
+
+    if (typeof translation !== 'string' || !translation.trim()) {
+        throw new Error(`${provider.name} returned no translation of "${sentence}"`);
+    }
+    if (translation.trim() === sentence && primaryLanguage(source) !== primaryLanguage(target)) {
+        throw new Error(`${provider.name} returned "${sentence}" untranslated`);
+    }
+    const expected = TEST_SENTENCES[primaryLanguage(source)] && EXPECTED_WORDS[primaryLanguage(target)];
+    if (expected && !expected.test(translation)) {
+        throw new Error(`${provider.name} translated "${sentence}" to "${translation}", which does not look like ${target}`);
+    }
+    return `"${sentence}" -> "${translation}" in ${latency}ms`;
+}
+
+/**
+ * Builds the checks of a provider for the given language pairs
+ * @param {TranslationProvider} provider - Provider to check
+ * @param {string} source - Source language code
+ * @param {Array<string>} targets - Target language codes
+ * @returns {Array<Array>} Pairs of check name and async function returning a description
+ */
+export function providerChecks(provider, source, targets) {
+    return [
+        [`Provider ${provider.name} languages`, async () => {
+            const languages = await provider.languages({ signal: AbortSignal.timeout(CHECK_TIMEOUT) });
+            if (!languages) return 'not reported by the backend, pairs are checked by translating';
+            const unsupported = targets.filter(target => !supportsPair(languages, source, target));
+            if (unsupported.length > 0) {
+                throw new Error(`${source} -> ${unsupported.join(', ')} not supported; the backend offers ${languages.map(language => language.code).join(', ')}`);
+            }
+            return `${source} -> ${targets.join(', ')} supported`;
+        }],
+        ...targets.map(target => [`Provider ${source} -> ${target}`, () => checkTranslation(provider, source, target)])
+    ];
+}
+
+/**
+ * Runs checks one after another and prints their results
+ * @param {Array<Array>} checks - Pairs of check name and async function returning a description
+ * @returns {Promise<boolean>} True if every check passed
+ */
+export async function runChecks(checks) {
+    let passed = true;
+    for (const [name, check] of checks) {
+        try {
+            console.log(`[ok]   ${name}: ${await check()}`);
+        } catch (error) {
+            passed = false;
+            console.log(`[fail] ${name}: ${error.message}`);
+        }
+    }
+    return passed;
+}
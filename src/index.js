@@ -23,12 +23,28 @@ import fs from 'fs/promises';
 import os from 'os';
 import http from 'http';
 import ProgressMonitor from './progress.js';
+import WorkerPool from './pool.js';
+import TranslationMemory from './memory.js';
+import { loadGlossary } from './glossary.js';
 
 import { config } from './config.js';
-import { translateBatch, groupTextsByLength } from './translator.js';
-import { loadCheckpoint, saveCheckpoint, getCheckpointPath } from './checkpoint.js';
-import { loadExistingTranslations, saveToExcel, readExcelFile } from './excel.js';
-import { formatProgress, checkMemory, sleep, formatTimeRemaining } from './utils.js';
+import { translateBatch, groupTextsByLength, classifyError, useProvider, getProvider, useGlossary, useSpanProtection, releaseCircuitBreaker } from './translator.js';
+import { loadCheckpoint, findCheckpoint, hashInput, getCheckpointPath, CheckpointJournal } from './checkpoint.js';
+import { detectFormat, getFormat, getOutputPath, loadExistingTranslations } from './formats/index.js';
+import { formatProgress, checkMemory, sleep, confirm } from './utils.js';
+import { loadMapping, defaultMapping } from './mapping.js';
+import { getCellTexts, translateCell, cellOrigin } from './cells.js';
+import { translateStream } from './stream.js';
+import { RunReport, writeReport } from './report.js';
+import { NearDuplicateIndex } from './normalize.js';
+import { startServer } from './server.js';
+import { estimateTranslation, printEstimate, printEstimateTotal } from './estimate.js';
+import { selectRows, hasRowSelection, describeSelection, isTargetMissing } from './selection.js';
+import { parseCommandLine, resolveOptions, formatHelp, EXIT_CODES } from './cli.js';
+import { exportTranslationMemory, importTranslationMemory } from './tm-transfer.js';
+import { runDoctor } from './doctor.js';
+import { providerChecks, runChecks } from './health.js';
+import { discoverInputs, runBatch } from './batch.js';
 
 // Load environment variables
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -41,229 +57,980 @@ let isShuttingDown = false;
 process.on('SIGINT', () => {
     console.log('\nGraceful shutdown initiated...');
     isShuttingDown = true;
+    releaseCircuitBreaker();
 });
 
 /**
- * Main function to process Excel file
- * @param {string} inputPath - Path to input Excel file
- * @param {boolean} testMode - Whether to run in test mode
- * @param {boolean} dryRun - Whether to estimate without translating
+ * Iterates over the cells to translate in the given sheets
+ * Sheets translated with --only-missing name their target language in
+ * onlyMissingLang; cells whose target already holds a value are left out.
+ * @param {Array<Object>} sheets - Sheets with rows and resolved columns
+ * @yields {Object} sheet, row and column of each cell
  */
-async function processExcelFile(inputPath, testMode = false, dryRun = false) {
-    try {
-        // Resolve the full path to the input file
-        const resolvedInputPath = path.resolve(inputPath);
-        console.log(`Processing file: ${resolvedInputPath}`);
-        
-        // Load existing translations first
-        const existingTranslations = await loadExistingTranslations(resolvedInputPath);
-        
-        // Get checkpoint path based on input file
-        const checkpointPath = getCheckpointPath(resolvedInputPath);
-        console.log(`Checkpoint file: ${checkpointPath}`);
+function* iterateCells(sheets) {
+    for (const sheet of sheets) {
+        for (const row of sheet.rows) {
+            for (const column of sheet.columns) {
+                if (sheet.onlyMissingLang && !isTargetMissing(row, column, sheet.onlyMissingLang)) continue;
+                yield { sheet, row, column };
+            }
+        }
+    }
+}
 
-        // Read the Excel file
-        let { jsonData, germanColumns } = readExcelFile(resolvedInputPath);
+/**
+ * Iterates over every text to translate in the given sheets
+ * Keyword cells contribute each keyword as its own text.
+ * @param {Array<Object>} sheets - Sheets with rows and resolved columns
+ * @yields {Object} sourceText and the column it came from
+ */
+function* iterateSourceTexts(sheets) {
+    for (const { row, column } of iterateCells(sheets)) {
+        for (const sourceText of getCellTexts(row[column.source], column)) {
+            yield { sourceText, column };
+        }
+    }
+}
 
-        // Test mode or dry run modifications
-        if (testMode) {
-            console.log('TEST MODE: Processing only first 10 rows');
-            jsonData = jsonData.slice(0, 10);
-        } else if (dryRun) {
-            console.log('DRY RUN: Estimating processing time without translating');
-        }
-
-        const startTime = Date.now();
-        let lastMemoryCheck = Date.now();
-        let lastSaveTime = Date.now();
-        let consecutiveErrors = 0;
-        
-        // Initialize translation cache with existing translations
-        const translationCache = new Map();
-        let completedTranslations = 0;
-        
-        // Build translation map and count completed translations
-        console.log('Building translation map...');
-        for (const row of jsonData) {
-            for (const germanCol of germanColumns) {
-                if (row[germanCol]) {
-                    const germanText = row[germanCol];
-                    if (existingTranslations[germanText]) {
-                        translationCache.set(germanText, existingTranslations[germanText]);
-                        completedTranslations++;
-                    } else {
-                        translationCache.set(germanText, '');
-                    }
-                }
-            }
+/**
+ * Picks the checkpoint translations to reuse for one target language
+ * A checkpoint of the same input content is resumed. A checkpoint of an
+ * earlier version of the input is reused only with --resume, when retrying
+ * failures or after confirmation; only texts that are still in the input are
+ * taken from it.
+ * @param {Array<Object>} sheets - Sheets to translate, each with rows and resolved columns
+ * @param {string} resolvedInputPath - Absolute path of the input file
+ * @param {string} target - Target language code
+ * @param {Object} resume - resumeMode ('auto', 'resume' or 'fresh'), fromCheckpoint path, inputHash and retryFailed flag
+ * @returns {Promise<Object>} translations and failures, both keyed by source text
+ */
+async function resolveCheckpoint(sheets, resolvedInputPath, target, { resumeMode, fromCheckpoint, inputHash, retryFailed }) {
+    const none = { translations: {}, failures: {} };
+    if (resumeMode === 'fresh') {
+        console.log('Starting fresh: existing checkpoints are ignored');
+        return none;
+    }
+
+    if (fromCheckpoint) {
+        const checkpoint = await loadCheckpoint(fromCheckpoint);
+        if (!checkpoint) {
+            throw new Error(`Checkpoint not found: ${fromCheckpoint}`);
+        }
+        const checkpointLang = checkpoint.targetLang || path.basename(fromCheckpoint).match(/\.([a-z-]+)\.checkpoint\.json$/i)?.[1];
+        if (checkpointLang && checkpointLang !== target) {
+            console.log(`Checkpoint ${fromCheckpoint} holds ${checkpointLang.toUpperCase()} translations, not used for ${target.toUpperCase()}`);
+            return none;
         }
+        return checkpoint;
+    }
 
-        // Filter out already translated texts
-        const uniqueTexts = Array.from(translationCache.keys())
-            .filter(text => !translationCache.get(text));
-        
-        const totalTexts = translationCache.size;
-        const remainingTexts = uniqueTexts.length;
+    const found = await findCheckpoint(resolvedInputPath, target, inputHash);
+    if (!found) {
+        return none;
+    }
+    if (!found.changed) {
+        console.log('Resuming from existing checkpoint...');
+        return found.checkpoint;
+    }
 
-        // Initialize progress monitor
-        const progressMonitor = new ProgressMonitor(totalTexts, completedTranslations);
-        
-        console.log(`Translation Progress:
+    // Count the translated texts that the changed input still contains
+    const { translations, timestamp } = found.checkpoint;
+    const matching = new Set();
+    for (const { sourceText } of iterateSourceTexts(sheets)) {
+        if (translations[sourceText]) {
+            matching.add(sourceText);
+        }
+    }
+
+    console.warn(`The input changed since checkpoint ${found.checkpointPath} was written (${timestamp || 'unknown time'})`);
+    console.warn(`${matching.size} of its translations match texts of the current input`);
+    if (resumeMode === 'resume' || retryFailed) {
+        return found.checkpoint;
+    }
+    if (matching.size === 0) {
+        return none;
+    }
+    if (!process.stdin.isTTY) {
+        console.warn('Not reusing them; run with --resume to reuse them or --fresh to silence this warning');
+        return none;
+    }
+    return await confirm(`Reuse the ${matching.size} matching translations?`) ? found.checkpoint : none;
+}
+
+/**
+ * Finds where failed texts occur in the sheets
+ * @param {Array<Object>} sheets - Sheets with rows and resolved columns
+ * @param {Array<Object>} failures - Failure records with the failed text
+ * @param {Function} rowNumber - Row number of a row as shown in the file, from the format
+ * @returns {Array<Object>} Failure records with locations: sheet, row and column
+ */
+function locateFailures(sheets, failures, rowNumber) {
+    const locations = new Map(failures.map(failure => [failure.text, []]));
+    for (const { sheet, row, column } of iterateCells(sheets)) {
+        for (const text of getCellTexts(row[column.source], column)) {
+            locations.get(text)?.push({ sheet: sheet.name, row: rowNumber(row), column: column.source });
+        }
+    }
+    return failures.map(failure => ({ ...failure, locations: locations.get(failure.text) }));
+}
+
+/**
+ * Translates all unique source texts of the given columns into one target language
+ * @param {Array<Object>} sheets - Sheets to translate, each with rows and resolved columns
+ * @param {string} resolvedInputPath - Absolute path of the input file
+ * @param {Object} languages - source and target language codes
+ * @param {Object} options - dryRun and calibrate flags, readOptions, rowNumber of the format, resume options,
+ *   shared translationMemory, glossary and run report, fuzzyThreshold, onProgress and a shared worker pool
+ * @returns {Promise<Object|null>} translationCache (Map of source to translated texts) and
+ *   origins (Map of source text to 'fixed', 'existing', 'checkpoint', 'memory', 'api' or 'failed');
+ *   on dry run only the estimate. Failed texts are left out of the cache and recorded in runReport.failures.
+ */
+async function translateColumns(sheets, resolvedInputPath, languages, { dryRun, calibrate, readOptions, rowNumber, resume, translationMemory, glossary, runReport, fuzzyThreshold, onProgress, pool: sharedPool }) {
+    const { source, target } = languages;
+    const providerName = getProvider().name;
+    console.log(`\n=== Translating ${source.toUpperCase()} -> ${target.toUpperCase()} ===`);
+
+    // Load existing translations first, unless starting fresh
+    const existingTranslations = resume.resumeMode === 'fresh' ? {} : await loadExistingTranslations(
+        resolvedInputPath,
+        Object.fromEntries(sheets.map(sheet => [sheet.name, sheet.columns])),
+        target,
+        readOptions
+    );
+    
+    // Get checkpoint path based on input content and target language
+    const checkpointPath = getCheckpointPath(resolvedInputPath, target, resume.inputHash);
+    console.log(`Checkpoint file: ${checkpointPath}`);
+    const { translations: checkpointTranslations, failures: checkpointFailures } =
+        await resolveCheckpoint(sheets, resolvedInputPath, target, resume);
+
+    let lastMemoryCheck = Date.now();
+    let consecutiveErrors = 0;
+    
+    // Initialize translation cache with existing translations
+    const translationCache = new Map();
+    const origins = new Map();
+    let completedTranslations = 0;
+    let memoryHits = 0;
+    let checkpointHits = 0;
+    
+    // Build translation map across all sheets and count completed translations
+    console.log('Building translation map...');
+    const textColumns = new Map();
+    for (const { sourceText, column } of iterateSourceTexts(sheets)) {
+        if (translationCache.has(sourceText)) continue;
+        textColumns.set(sourceText, column.source);
+
+        // Fixed values declared for enum columns in the mapping
+        const fixedValue = column.values[target]?.[sourceText];
+        if (fixedValue) {
+            translationCache.set(sourceText, fixedValue);
+            origins.set(sourceText, 'fixed');
+            completedTranslations++;
+            continue;
+        }
+
+        if (existingTranslations[sourceText]) {
+            translationCache.set(sourceText, existingTranslations[sourceText]);
+            origins.set(sourceText, 'existing');
+            completedTranslations++;
+            continue;
+        }
+
+        // Translations of an earlier, interrupted run
+        const resumed = checkpointTranslations[sourceText];
+        if (resumed) {
+            translationCache.set(sourceText, resumed);
+            origins.set(sourceText, 'checkpoint');
+            completedTranslations++;
+            checkpointHits++;
+            continue;
+        }
+
+        // Consult the translation memory before any API call
+        const remembered = translationMemory?.get(sourceText, languages, providerName);
+        if (remembered) {
+            translationCache.set(sourceText, remembered);
+            origins.set(sourceText, 'memory');
+            completedTranslations++;
+            memoryHits++;
+        } else {
+            translationCache.set(sourceText, '');
+        }
+    }
+
+    // Filter out already translated texts; a retry only sends the failed ones
+    const pendingTexts = Array.from(translationCache.keys())
+        .filter(text => !translationCache.get(text))
+        .filter(text => !resume.retryFailed || checkpointFailures[text]);
+    if (resume.retryFailed) {
+        console.log(`Retrying ${pendingTexts.length} failed texts from the last checkpoint`);
+    }
+
+    // Near duplicates take the translation of the text they resemble
+    const nearDuplicates = fuzzyThreshold ? findNearDuplicates(translationCache, pendingTexts, fuzzyThreshold) : new Map();
+    const uniqueTexts = pendingTexts.filter(text => !nearDuplicates.has(text));
+    
+    const totalTexts = translationCache.size;
+    const remainingTexts = uniqueTexts.length;
+
+    // Initialize progress monitor
+    const progressMonitor = new ProgressMonitor(totalTexts, completedTranslations);
+    
+    console.log(`Translation Progress:
 - Total Unique Texts: ${totalTexts}
 - Already Translated: ${completedTranslations}
+- From Checkpoint: ${checkpointHits}
+- From Translation Memory: ${memoryHits}
+- Near Duplicates: ${nearDuplicates.size}
 - Remaining to Translate: ${remainingTexts}
 - Current Progress: ${Math.floor((completedTranslations / totalTexts) * 100)}%`);
 
-        if (dryRun) {
-            const estimatedTimeSeconds = (remainingTexts / (config.BATCH_SIZE * config.PARALLEL_BATCHES)) * 2;
-            console.log(`Estimated remaining time: ${formatTimeRemaining(estimatedTimeSeconds)}`);
-            return;
-        }
+    if (dryRun) {
+        const estimate = await estimateTranslation(uniqueTexts, languages, { textColumns, origins, calibrate, translationMemory });
+        printEstimate(estimate);
+        return { estimate };
+    }
 
-        // Create checkpoint with existing translations
-        console.log('Saving checkpoint with existing translations...');
-        await saveCheckpoint(checkpointPath, {
-            processedRows: completedTranslations,
-            translations: Object.fromEntries(translationCache),
-            lastProcessedFile: resolvedInputPath,
-            totalRows: totalTexts
-        });
+    // Create checkpoint with existing translations
+    console.log('Saving checkpoint with existing translations...');
+    // Failures that are not retried now stay on record for a later retry
+    const retriedTexts = new Set(uniqueTexts);
+    const openFailures = Object.fromEntries(
+        Object.entries(checkpointFailures).filter(([text]) => translationCache.get(text) === '' && !retriedTexts.has(text))
+    );
+    const checkpoint = await CheckpointJournal.create(checkpointPath, translationCache, {
+        lastProcessedFile: resolvedInputPath,
+        inputHash: resume.inputHash,
+        targetLang: target,
+        totalRows: totalTexts
+    }, openFailures);
 
-        if (remainingTexts === 0) {
-            console.log('All texts are already translated. Nothing to do.');
-            return;
-        }
+    if (remainingTexts === 0) {
+        await checkpoint.close(translationCache);
+        console.log('All texts are already translated. Nothing to do.');
+        applyNearDuplicates(nearDuplicates, translationCache, origins, target, runReport);
+        runReport.addTextCounts(target, countOrigins(origins));
+        return { translationCache, origins };
+    }
+
+    console.log(`\nContinuing translation for remaining ${remainingTexts} texts...\n`);
 
-        console.log(`\nContinuing translation for remaining ${remainingTexts} texts...\n`);
+    // Group texts by length for optimal processing
+    const textGroups = groupTextsByLength(uniqueTexts);
+    console.log(`\nStarting translation of remaining ${remainingTexts} texts...\n`);
 
-        // Group texts by length for optimal processing
-        const textGroups = groupTextsByLength(uniqueTexts);
-        console.log(`\nStarting translation of remaining ${remainingTexts} texts...\n`);
+    // Keep up to PARALLEL_BATCHES batches in flight; the pool adapts the
+    // actual number to latency and server errors
+    const pool = sharedPool || new WorkerPool({
+        maxConcurrency: config.PARALLEL_BATCHES,
+        initialConcurrency: Math.ceil(config.PARALLEL_BATCHES / 2)
+    });
+    let stopRequested = false;
+    const failures = [];
+    const hooks = { onRequestError: error => pool.recordError(error) };
 
-        // Process groups sequentially with robust error handling
-        for (let i = 0; i < textGroups.length && !isShuttingDown; i++) {
-            const batch = textGroups[i];
+    await pool.run(textGroups, async (batch, i) => {
+        try {
+            // Check memory usage periodically
+            if (Date.now() - lastMemoryCheck > 30000) {
+                checkMemory();
+                lastMemoryCheck = Date.now();
+            }
+
+            // Translate batch
+            const { translations: batchTranslations, failures: batchFailures } = await translateBatch(batch, i, languages, hooks);
             
-            try {
-                // Check memory usage periodically
-                if (Date.now() - lastMemoryCheck > 30000) {
-                    checkMemory();
-                    lastMemoryCheck = Date.now();
-                }
+            // Update translations map as soon as the batch completes;
+            // failed texts stay untranslated and are recorded separately
+            for (const [original, translated] of batchTranslations) {
+                translationCache.set(original, translated);
+                origins.set(original, 'api');
+            }
+            for (const failure of batchFailures) {
+                origins.set(failure.text, 'failed');
+            }
+            completedTranslations += batchTranslations.size;
+            failures.push(...batchFailures);
+            await checkpoint.append(batchTranslations);
+            await checkpoint.appendFailures(batchFailures);
+
+            // Remember new translations for later files and runs
+            translationMemory?.addMany(batchTranslations, languages, providerName);
+
+            // Update progress
+            const status = progressMonitor.updateProgress(completedTranslations + failures.length);
+            console.log(`${progressMonitor.formatProgressMessage(status)} | Workers: ${pool.concurrency}`);
+            onProgress?.({ targetLang: target, ...status });
 
-                // Translate batch
-                const batchTranslations = await translateBatch(batch, i);
+            // Check for stalls
+            if (status.isStalled) {
+                console.error('\nWARNING: Translation progress appears to be stalled!');
+                console.error('Consider checking the LibreTranslate service or network connection.');
                 
-                // Update translations map
-                for (const [original, translated] of batchTranslations) {
-                    translationCache.set(original, translated);
+                // If stalled for too long, exit
+                if (status.timeSinceLastProgress > 15 * 60) { // 15 minutes
+                    stopRequested = true;
+                    throw new Error('Translation stalled for too long, exiting...');
                 }
+            }
 
-                // Update progress
-                const status = progressMonitor.updateProgress(translationCache.size);
-                console.log(progressMonitor.formatProgressMessage(status));
-
-                // Check for stalls
-                if (status.isStalled) {
-                    console.error('\nWARNING: Translation progress appears to be stalled!');
-                    console.error('Consider checking the LibreTranslate service or network connection.');
-                    
-                    // If stalled for too long, exit
-                    if (status.timeSinceLastProgress > 15 * 60) { // 15 minutes
-                        throw new Error('Translation stalled for too long, exiting...');
-                    }
-                }
+            // Reset consecutive errors counter on success
+            consecutiveErrors = 0;
 
-                // Reset consecutive errors counter on success
-                consecutiveErrors = 0;
-
-                // Save progress periodically
-                if (Date.now() - lastSaveTime > config.SAVE_INTERVAL) {
-                    await saveCheckpoint(checkpointPath, {
-                        processedRows: translationCache.size,
-                        translations: Object.fromEntries(translationCache),
-                        lastProcessedFile: resolvedInputPath,
-                        totalRows: totalTexts
-                    });
-                    lastSaveTime = Date.now();
-                }
+            // Fold the journal into a new snapshot once it has grown large
+            if (checkpoint.needsCompaction(translationCache)) {
+                await checkpoint.compact(translationCache);
+            }
+        } catch (error) {
+            console.error(`\nError processing batch ${i}:`, error.message);
 
-                // Add delay between batches
-                await sleep(config.BATCH_DELAY);
-            } catch (error) {
-                console.error(`\nError processing batch ${i}:`, error.message);
-                
-                // Track consecutive errors
-                consecutiveErrors++;
-                
-                // If too many consecutive errors, exit
-                if (consecutiveErrors >= 5) {
-                    console.error('Too many consecutive errors, exiting...');
-                    break;
-                }
+            // Texts the batch did not settle fail with its error, so they are
+            // counted and can be translated again with retry-failed
+            const batchFailures = [...new Set(batch)]
+                .filter(text => text && !origins.has(text))
+                .map(text => ({
+                    text,
+                    errorClass: error.errorClass || classifyError(error),
+                    status: error.status ?? null,
+                    attempts: error.attempts || 1,
+                    message: error.message
+                }));
+            for (const failure of batchFailures) {
+                origins.set(failure.text, 'failed');
+            }
+            failures.push(...batchFailures);
+            try {
+                await checkpoint.appendFailures(batchFailures);
+            } catch (checkpointError) {
+                console.error(`Could not record the failures of batch ${i}:`, checkpointError.message);
+            }
 
-                // Save progress before continuing
-                await saveCheckpoint(checkpointPath, {
-                    processedRows: translationCache.size,
-                    translations: Object.fromEntries(translationCache),
-                    lastProcessedFile: resolvedInputPath,
-                    totalRows: totalTexts
-                });
-                
-                // Add longer delay after error
-                await sleep(5000);
+            // Track consecutive errors
+            consecutiveErrors++;
+            
+            // If too many consecutive errors, stop dispatching new batches
+            if (consecutiveErrors >= 5) {
+                console.error('Too many consecutive errors, exiting...');
+                stopRequested = true;
             }
+
+            // Let the pool back off as well
+            throw error;
         }
+    }, () => isShuttingDown || stopRequested);
 
-        // Final save
-        await saveCheckpoint(checkpointPath, {
-            processedRows: translationCache.size,
-            translations: Object.fromEntries(translationCache),
-            lastProcessedFile: resolvedInputPath,
-            totalRows: totalTexts
-        });
-
-        // Apply translations to Excel file
-        console.log('\nApplying translations to Excel file...');
-        for (const row of jsonData) {
-            for (const germanCol of germanColumns) {
-                if (row[germanCol]) {
-                    const englishCol = germanCol.replace('_DE', '_EN');
-                    const translation = translationCache.get(row[germanCol]);
-                    if (translation && translation !== '[TRANSLATION FAILED]') {
-                        row[englishCol] = translation;
-                    }
-                }
+    // Final save; near-duplicate translations are not checkpointed
+    await checkpoint.close(translationCache);
+    const nearDuplicateCount = applyNearDuplicates(nearDuplicates, translationCache, origins, target, runReport);
+
+    console.log(`\n${target.toUpperCase()} translation summary:`);
+    console.log(`- Total texts: ${totalTexts}`);
+    console.log(`- Successfully translated: ${completedTranslations}`);
+    if (nearDuplicates.size > 0) {
+        console.log(`- From near duplicates: ${nearDuplicateCount}`);
+    }
+    console.log(`- Failed translations: ${failures.length}`);
+    const notAttempted = totalTexts - completedTranslations - nearDuplicateCount - failures.length;
+    if (notAttempted > 0) {
+        console.log(`- Not attempted: ${notAttempted}`);
+    }
+    console.log(`- Translation memory hits: ${memoryHits}/${totalTexts} (${totalTexts > 0 ? Math.round((memoryHits / totalTexts) * 100) : 0}%)`);
+
+    for (const failure of locateFailures(sheets, failures, rowNumber)) {
+        runReport.failures.push({ targetLang: target, ...failure });
+    }
+    runReport.addTextCounts(target, countOrigins(origins));
+
+    if (glossary) {
+        checkGlossaryTerms(translationCache, glossary, target, runReport);
+    }
+
+    return { translationCache, origins };
+}
+
+/**
+ * Matches untranslated texts with similar texts
+ * Translated texts are indexed first; of several similar untranslated texts
+ * the first is translated and the others are matched with it.
+ * @param {Map} translationCache - Map of source to translated texts, '' if untranslated
+ * @param {Array<string>} pendingTexts - Untranslated texts in input order
+ * @param {number} threshold - Minimum similarity between 0 and 1
+ * @returns {Map} Map of near-duplicate text to the matched text and similarity
+ */
+function findNearDuplicates(translationCache, pendingTexts, threshold) {
+    const index = new NearDuplicateIndex(threshold);
+    for (const [text, translation] of translationCache) {
+        if (translation) index.add(text);
+    }
+
+    const matches = new Map();
+    for (const text of pendingTexts) {
+        const match = index.find(text);
+        if (match) {
+            matches.set(text, match);
+        } else {
+            index.add(text);
+        }
+    }
+    return matches;
+}
+
+/**
+ * Gives near duplicates the translation of their matched text and reports them for review
+ * @param {Map} nearDuplicates - Matches from findNearDuplicates()
+ * @param {Map} translationCache - Map of source to translated texts
+ * @param {Map} origins - Map of source text to origin
+ * @param {string} targetLang - Target language code
+ * @param {RunReport} runReport - Collects the matches for the run
+ * @returns {number} Number of near duplicates translated
+ */
+function applyNearDuplicates(nearDuplicates, translationCache, origins, targetLang, runReport) {
+    let applied = 0;
+    for (const [text, match] of nearDuplicates) {
+        // Near duplicates of a failed text stay untranslated
+        const translation = translationCache.get(match.text);
+        if (!translation) continue;
+
+        translationCache.set(text, translation);
+        origins.set(text, 'fuzzy');
+        runReport.nearDuplicates.push({ targetLang, text, match: match.text, similarity: match.similarity, translation });
+        applied++;
+    }
+    return applied;
+}
+
+/**
+ * Counts the texts of each origin
+ * @param {Map} origins - Map of source text to origin
+ * @returns {Object} Number of texts per origin
+ */
+function countOrigins(origins) {
+    const counts = {};
+    for (const origin of origins.values()) {
+        counts[origin] = (counts[origin] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Checks all translations of one target language against the glossary
+ * @param {Map} translationCache - Map of source to translated texts
+ * @param {Glossary} glossary - Loaded glossary
+ * @param {string} targetLang - Target language code
+ * @param {Object} runReport - Collects glossary violations for the run
+ */
+function checkGlossaryTerms(translationCache, glossary, targetLang, runReport) {
+    let violationCount = 0;
+    for (const [sourceText, translation] of translationCache) {
+        if (!translation) continue;
+
+        for (const violation of glossary.check(sourceText, translation, targetLang)) {
+            runReport.addGlossaryViolation({ targetLang, sourceText, translation, ...violation });
+            violationCount++;
+        }
+    }
+    console.log(`- Glossary violations: ${violationCount}`);
+}
+
+/**
+ * Reads the whole input, translates it and saves the patched document
+ * @param {string} resolvedInputPath - Absolute path of the input
+ * @param {Object} inputFormat - Format adapter from getFormat()
+ * @param {string} outputPath - Path of the output
+ * @param {Object} options - readOptions, mapping, languages, columnNames, selection, testMode, dryRun, calibrate, resume, translationMemory,
+ *   glossary, runReport, fuzzyThreshold, onProgress, pool
+ * @returns {Promise<boolean>} Whether the output was saved (false on dry run)
+ */
+async function translateDocument(resolvedInputPath, inputFormat, outputPath, options) {
+    const {
+        readOptions, mapping, sourceLang, targetLangs, columnNames, selection, testMode, dryRun, calibrate, resume,
+        translationMemory, glossary, runReport, fuzzyThreshold, onProgress, pool
+    } = options;
+    const { document, sheets } = await inputFormat.read(resolvedInputPath, readOptions);
+
+    // Resolve and validate the column mapping before any translation starts
+    const { columnsBySheet, errors, warnings } = mapping.validate(sheets, sourceLang, targetLangs);
+    warnings.forEach(warning => console.warn(`Mapping warning: ${warning}`));
+    if (errors.length > 0) {
+        throw new Error(`Invalid column mapping:\n- ${errors.join('\n- ')}`);
+    }
+
+    const selectedSheets = sheets
+        .filter(sheet => columnsBySheet[sheet.name])
+        .map(sheet => ({
+            ...sheet,
+            columns: columnsBySheet[sheet.name].filter(column => !columnNames || columnNames.includes(column.source))
+        }))
+        .filter(sheet => sheet.columns.length > 0);
+    for (const name of columnNames || []) {
+        if (!selectedSheets.some(sheet => sheet.columns.some(column => column.source === name))) {
+            console.warn(`Mapping warning: Column "${name}" is not a source column of any sheet`);
+        }
+    }
+
+    for (const sheet of selectedSheets) {
+        console.log(`Columns to translate in sheet "${sheet.name}":`);
+        for (const column of sheet.columns) {
+            console.log(`- ${column.source} (${column.type}) -> ${Object.values(column.targets).join(', ')}`);
+        }
+        if (hasRowSelection(selection)) {
+            sheet.rows = selectRows(sheet.rows, selection, inputFormat.rowNumber);
+            console.log(`Rows selected in sheet "${sheet.name}": ${sheet.rows.length}`);
+        }
+        if (testMode) {
+            sheet.rows = sheet.rows.slice(0, 10);
+        }
+    }
+
+    const estimates = [];
+    for (const targetLang of targetLangs) {
+        if (isShuttingDown) break;
+
+        const languages = { source: sourceLang, target: targetLang };
+        const languageSheets = selection.onlyMissing
+            ? selectedSheets.map(sheet => ({ ...sheet, onlyMissingLang: targetLang }))
+            : selectedSheets;
+        const result = await translateColumns(
+            languageSheets, resolvedInputPath, languages,
+            { dryRun, calibrate, readOptions, rowNumber: inputFormat.rowNumber, resume, translationMemory, glossary, runReport, fuzzyThreshold, onProgress, pool }
+        );
+        if (!result) continue;
+        if (dryRun) {
+            estimates.push(result.estimate);
+            continue;
+        }
+        const { translationCache, origins } = result;
+
+        // Apply translations to the rows, one target column per source column
+        console.log(`\nApplying ${targetLang.toUpperCase()} translations...`);
+        for (const { sheet, row, column } of iterateCells(languageSheets)) {
+            const value = row[column.source];
+            if (!value) continue;
+
+            const translation = translateCell(value, column, translationCache);
+            if (translation !== null) {
+                row[column.targets[targetLang]] = translation;
             }
+
+            const texts = getCellTexts(value, column);
+            const textOrigins = texts.map(text => origins.get(text));
+            runReport.addCell(
+                { sheet: sheet.name, row: inputFormat.rowNumber(row), column: column.source, value, texts },
+                { targetLang, targetColumn: column.targets[targetLang], translation, origin: cellOrigin(translation, textOrigins) },
+                languages,
+                textOrigins.every(origin => origin === 'fixed')
+            );
+        }
+    }
+
+    if (dryRun) {
+        if (estimates.length > 1) printEstimateTotal(estimates);
+        return false;
+    }
+
+    // Patch the original document and save it in the same format and dialect
+    for (const sheet of selectedSheets) {
+        inputFormat.apply(document, sheet, sheet.columns, targetLangs);
+    }
+    await inputFormat.save(document, outputPath);
+    return true;
+}
+
+/**
+ * Main function to process an Excel, ODS, CSV, TSV or JSONL file or an image directory
+ * @param {string} inputPath - Path to input file or directory
+ * @param {Object} options - Processing options
+ * @param {boolean} options.testMode - Whether to run in test mode
+ * @param {boolean} options.dryRun - Whether to estimate without translating
+ * @param {boolean} options.calibrate - Whether a dry run times a few batches sent to the provider
+ * @param {string} options.sourceLang - Source language code
+ * @param {Array<string>} options.targetLangs - Target language codes
+ * @param {string|null} options.tmPath - Translation memory file, null to disable
+ * @param {string|null} options.glossaryPath - Glossary file (JSON, CSV or TSV)
+ * @param {string|null} options.mappingPath - Column mapping file, null for the defaults
+ * @param {Array<string>|null} options.sheetNames - Sheets to translate, null for all
+ * @param {string|null} options.format - Input format, null to detect from the extension
+ * @param {string} options.encoding - Encoding of CSV/TSV input
+ * @param {string|null} options.delimiter - Delimiter of CSV input, null to detect
+ * @param {string} options.xmpMode - Image output: 'sidecar' (.xmp files) or 'embed' (image copies)
+ * @param {Array<string>|null} options.columnNames - Source columns to translate, null for all mapped columns
+ * @param {Object} options.selection - Rows and cells to translate: rowRange (from and to row number, inclusive),
+ *   filters (expressions over column values), sample size, seed and stratify column, and onlyMissing
+ *   (only cells whose target is empty); rows left out are written unchanged
+ * @param {string|null} options.outputPath - Output path, null for output/<name>_translated.<ext>
+ * @param {boolean} options.stream - Read, translate and write in chunks of rows
+ * @param {string} options.resumeMode - 'auto' (resume unchanged input), 'resume' (also reuse a changed input's checkpoint) or 'fresh'
+ * @param {string|null} options.fromCheckpoint - Checkpoint file to take translations from
+ * @param {boolean} options.retryFailed - Only translate the texts that failed in the last run
+ * @param {boolean} options.report - Write the HTML and JSON run report
+ * @param {boolean} options.protectSpans - Send numbers, dates, URLs and credits as placeholders
+ * @param {number|null} options.fuzzyThreshold - Minimum similarity of near duplicates, null to translate every text
+ * @param {Function} options.onProgress - Receives the progress status after every batch or chunk
+ * @param {TranslationMemory|null} options.translationMemory - Open translation memory shared by several runs,
+ *   used instead of tmPath and left open
+ * @param {WorkerPool|null} options.pool - Worker pool shared by several runs
+ * @returns {Promise<Object|undefined>} outputPath, report paths (null without report), number of
+ *   failures and text counts per target language and origin; undefined on a dry run
+ */
+async function processExcelFile(inputPath, options = {}) {
+    const {
+        testMode = false,
+        dryRun = false,
+        calibrate = true,
+        sourceLang = config.SOURCE_LANG,
+        targetLangs = config.TARGET_LANGS,
+        tmPath = config.TM_PATH,
+        glossaryPath = null,
+        mappingPath = null,
+        sheetNames = null,
+        format = null,
+        encoding = 'utf-8',
+        delimiter = null,
+        xmpMode = 'sidecar',
+        columnNames = null,
+        selection: requestedSelection = {},
+        outputPath: outputOverride = null,
+        stream = false,
+        resumeMode = 'auto',
+        fromCheckpoint = null,
+        retryFailed = false,
+        report = true,
+        protectSpans = true,
+        fuzzyThreshold = null,
+        onProgress = null,
+        translationMemory: sharedMemory = null,
+        pool = null
+    } = options;
+    let translationMemory = sharedMemory;
+    let runReport = null;
+
+    try {
+        // Resolve the full path to the input file
+        const resolvedInputPath = path.resolve(inputPath);
+        console.log(`Processing file: ${resolvedInputPath}`);
+        console.log(`Languages: ${sourceLang.toUpperCase()} -> ${targetLangs.map(lang => lang.toUpperCase()).join(', ')}`);
+
+        // Pick the adapter of the input format
+        const formatName = detectFormat(resolvedInputPath, format);
+        const inputFormat = getFormat(formatName);
+        const readOptions = { format: formatName, encoding, delimiter, sheetNames, sourceLang, xmpMode };
+        console.log(`Input format: ${formatName}${stream ? ' (streaming)' : ''}`);
+
+        if (stream && dryRun) {
+            throw new Error('--dry-run cannot be combined with --stream');
+        }
+        if (fromCheckpoint && resumeMode === 'fresh') {
+            throw new Error('--from-checkpoint cannot be combined with --fresh');
+        }
+        if (fuzzyThreshold && stream) {
+            throw new Error('--fuzzy cannot be combined with --stream');
         }
+        if (requestedSelection.sample && stream) {
+            throw new Error('--sample cannot be combined with --stream');
+        }
+        if (retryFailed && (stream || resumeMode === 'fresh')) {
+            throw new Error('retry-failed needs the checkpoint of the last run and cannot be combined with --stream or --fresh');
+        }
+
+        const mapping = mappingPath
+            ? await loadMapping(mappingPath)
+            : (inputFormat.defaultMapping || defaultMapping)(sourceLang);
+
+        // Samples without a seed get a random one, logged so that the sample can be repeated
+        const selection = requestedSelection.sample && (requestedSelection.seed === undefined || requestedSelection.seed === null)
+            ? { ...requestedSelection, seed: Math.floor(Math.random() * 2 ** 31) }
+            : requestedSelection;
+
+        // Test mode or dry run modifications
+        for (const line of describeSelection(selection)) {
+            console.log(`Selection: ${line}`);
+        }
+        if (testMode) {
+            console.log('TEST MODE: Processing only first 10 rows of each sheet');
+        } else if (dryRun) {
+            console.log(`DRY RUN: Estimating time and cost without translating${calibrate ? ', calibrated on a few batches' : ''}`);
+        }
+
+        if (tmPath && !translationMemory) {
+            translationMemory = await TranslationMemory.open(tmPath, { paged: stream });
+        }
+
+        const glossary = glossaryPath ? await loadGlossary(glossaryPath) : null;
+        useGlossary(glossary);
+        useSpanProtection(protectSpans);
+
+        const outputPath = outputOverride ? path.resolve(outputOverride) : getOutputPath(resolvedInputPath);
+        // Streaming spools the report rows to disk instead of keeping them
+        runReport = new RunReport({
+            input: resolvedInputPath,
+            output: outputPath,
+            format: formatName,
+            provider: getProvider().name,
+            sourceLang,
+            targetLangs
+        }, { spool: stream });
+        const translationOptions = {
+            readOptions, mapping, sourceLang, targetLangs, columnNames, selection, testMode, translationMemory, glossary, runReport, onProgress, pool
+        };
 
-        // Save updated Excel file
-        const outputPath = resolvedInputPath.replace('.xlsx', '_translated.xlsx');
-        await saveToExcel(jsonData, outputPath);
+        if (stream) {
+            const stats = await translateStream(resolvedInputPath, outputPath, {
+                ...translationOptions,
+                formatName,
+                shouldStop: () => isShuttingDown
+            });
+            console.log(`\nStreamed ${stats.rows} rows: ${stats.translated} texts translated, ${runReport.failures.length} failed, ${stats.memoryHits} from translation memory`);
+        } else {
+            const resume = {
+                resumeMode,
+                fromCheckpoint: fromCheckpoint && path.resolve(fromCheckpoint),
+                inputHash: await hashInput(resolvedInputPath),
+                retryFailed
+            };
+            const saved = await translateDocument(resolvedInputPath, inputFormat, outputPath, { ...translationOptions, dryRun, calibrate, resume, fuzzyThreshold });
+            if (!saved) return;
+        }
 
         console.log('\nTranslation process completed:');
-        console.log(`- Total texts: ${totalTexts}`);
-        console.log(`- Successfully translated: ${translationCache.size}`);
-        console.log(`- Failed translations: ${totalTexts - translationCache.size}`);
+        if (translationMemory) {
+            console.log(`- Translation memory hit rate: ${translationMemory.formatHitRate()}`);
+            console.log(`- New translation memory entries: ${translationMemory.added}`);
+        }
+        if (glossary) {
+            console.log(`- Glossary violations: ${runReport.glossaryViolations.length}`);
+            for (const violation of runReport.glossaryViolations.first(20)) {
+                const detail = violation.term ? `"${violation.term}" -> expected "${violation.expected}"` : '';
+                console.log(`    [${violation.targetLang}] ${violation.reason} ${detail}: "${violation.translation}"`);
+            }
+            if (runReport.glossaryViolations.length > 20) {
+                console.log(`    ... and ${runReport.glossaryViolations.length - 20} more`);
+            }
+        }
+        if (runReport.failures.length > 0) {
+            console.log(`- Failed translations: ${runReport.failures.length}`);
+            for (const failure of runReport.failures.first(20)) {
+                const where = failure.locations.slice(0, 3).map(({ sheet, row, column }) => `${sheet} row ${row} ${column}`).join(', ');
+                const status = failure.status ? ` ${failure.status}` : '';
+                console.log(`    [${failure.targetLang}] ${failure.errorClass}${status} after ${failure.attempts} attempts at ${where}: "${failure.text}"`);
+            }
+            if (runReport.failures.length > 20) {
+                console.log(`    ... and ${runReport.failures.length - 20} more`);
+            }
+            if (!stream) {
+                console.log(`  Retry them with: node src/index.js retry-failed ${inputPath}`);
+            }
+        }
+        if (runReport.nearDuplicates.length > 0) {
+            console.log(`- Near duplicates to review: ${runReport.nearDuplicates.length} (see the report)`);
+        }
         console.log(`- Output saved to: ${outputPath}`);
 
-    } catch (error) {
-        console.error('Fatal error:', error);
-        throw error;
+        let reportPaths = null;
+        if (report) {
+            // Spreadsheet apps can open rows of workbook output from links
+            const linkRows = ['xlsx', 'xlsm', 'xls', 'ods'].includes(formatName);
+            reportPaths = await writeReport(runReport, { inputPath: resolvedInputPath, linkRows });
+            console.log(`- Report saved to: ${reportPaths.htmlPath} and ${reportPaths.jsonPath}`);
+        }
+
+        return { outputPath, report: reportPaths, failures: runReport.failures.length, texts: runReport.texts };
+    } finally {
+        await runReport?.close();
+        if (translationMemory !== sharedMemory) {
+            await translationMemory?.close();
+        }
+    }
+}
+
+/**
+ * Applies the provider and performance options of the command line
+ * @param {Object} options - Resolved command line options
+ */
+function applyRunOptions(options) {
+    if (options.concurrency) config.PARALLEL_BATCHES = options.concurrency;
+    if (options.batchSize) config.BATCH_SIZE = options.batchSize;
+    const provider = useProvider(options.provider, options.apiUrl ? { apiUrl: options.apiUrl } : {});
+    console.log(`Translation provider: ${provider.name}`);
+}
+
+/**
+ * Checks the provider before a run: language pairs, latency and a known sentence
+ * @param {Object} options - Resolved command line options
+ * @returns {Promise<boolean>} True if the provider is ready
+ */
+async function runPreflight(options) {
+    console.log('Preflight:');
+    const passed = await runChecks(providerChecks(getProvider(), options.source, options.target));
+    if (!passed) {
+        console.error('Preflight failed; check the provider with "node src/index.js doctor", or skip the check with --no-preflight');
+    }
+    return passed;
+}
+
+/**
+ * Builds the processing options of processExcelFile() from the command line options
+ * @param {string} command - Command name
+ * @param {Object} options - Resolved command line options
+ * @returns {Object} Processing options
+ */
+function processingOptions(command, options) {
+    return {
+        testMode: options.test,
+        dryRun: command === 'estimate',
+        calibrate: options.calibrate,
+        sourceLang: options.source,
+        targetLangs: options.target,
+        tmPath: options.tm,
+        glossaryPath: options.glossary,
+        mappingPath: options.mapping,
+        sheetNames: options.sheets,
+        format: options.format,
+        encoding: options.encoding,
+        delimiter: options.delimiter,
+        xmpMode: options.xmp,
+        columnNames: options.columns,
+        selection: {
+            rowRange: options.rows,
+            filters: options.where,
+            sample: options.sample,
+            seed: options.seed,
+            stratify: options.stratify,
+            onlyMissing: options.onlyMissing
+        },
+        outputPath: options.output,
+        stream: options.stream,
+        resumeMode: command === 'resume' ? 'resume' : (options.fresh ? 'fresh' : 'auto'),
+        fromCheckpoint: options.fromCheckpoint,
+        retryFailed: command === 'retry-failed',
+        report: options.report,
+        protectSpans: options.protect,
+        fuzzyThreshold: options.fuzzy
+    };
+}
+
+/**
+ * Runs translate, estimate, resume or retry-failed on one input
+ * @param {string} command - Command name
+ * @param {string} inputPath - Input file or image directory
+ * @param {Object} options - Resolved command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function runTranslation(command, inputPath, options) {
+    applyRunOptions(options);
+    if (options.preflight && !(await runPreflight(options))) {
+        return EXIT_CODES.CHECKS_FAILED;
     }
+    const result = await processExcelFile(inputPath, processingOptions(command, options));
+
+    if (isShuttingDown) return EXIT_CODES.INTERRUPTED;
+    return result?.failures > 0 ? EXIT_CODES.FAILURES : EXIT_CODES.OK;
 }
 
-// Start processing if file argument provided
-const inputFile = process.argv[2];
-if (!inputFile) {
-    console.error('Please provide an input Excel file path');
-    process.exit(1);
+/**
+ * Translates every input file of directories or glob patterns
+ * @param {Array<string>} patterns - Files, directories or glob patterns
+ * @param {Object} options - Resolved command line options
+ * @returns {Promise<number>} Exit code
+ */
+async function runBatchCommand(patterns, options) {
+    applyRunOptions(options);
+    const inputs = await discoverInputs(patterns, { recursive: options.recursive });
+    if (inputs.length === 0) {
+        throw new Error(`No input files found in ${patterns.join(', ')}`);
+    }
+    if (options.preflight && !(await runPreflight(options))) {
+        return EXIT_CODES.CHECKS_FAILED;
+    }
+
+    const manifest = await runBatch(inputs, {
+        processFile: processExcelFile,
+        fileOptions: processingOptions('batch', options),
+        outputDir: options.outputDir,
+        manifestPath: options.manifest,
+        force: options.force,
+        isShuttingDown: () => isShuttingDown
+    });
+
+    if (manifest.status === 'interrupted') return EXIT_CODES.INTERRUPTED;
+    if (manifest.summary.statuses.failed > 0) return EXIT_CODES.ERROR;
+    return manifest.summary.failures > 0 ? EXIT_CODES.FAILURES : EXIT_CODES.OK;
 }
 
-const testMode = process.argv.includes('--test');
-const dryRun = process.argv.includes('--dry-run');
+/**
+ * Runs a command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let command, args, options;
+    try {
+        const parsed = parseCommandLine(argv);
+        if (parsed.help) {
+            console.log(formatHelp(parsed.command));
+            return argv.length === 0 ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+        }
+        ({ command, args } = parsed);
+        options = resolveOptions(command, parsed.flags);
+    } catch (error) {
+        console.error(error.message);
+        console.error('Run "node src/index.js --help" for usage');
+        return error.exitCode ?? EXIT_CODES.USAGE;
+    }
+    if (options.configPath) {
+        console.log(`Config file: ${options.configPath}`);
+    }
+
+    try {
+        switch (command) {
+            case 'export-tm': {
+                const filter = options.all ? null : { sourceLang: options.source, targetLangs: options.target, provider: options.provider };
+                const count = await exportTranslationMemory(options.tm, args[0], filter);
+                const scope = filter ? ` (${options.provider}, ${options.source} -> ${options.target.join(', ')}; --all for every entry)` : '';
+                console.log(`Exported ${count} entries to ${args[0]}${scope}`);
+                return EXIT_CODES.OK;
+            }
+            case 'import-tm': {
+                if (!options.tm) {
+                    throw new Error('import-tm needs a translation memory; remove --no-tm');
+                }
+                const { imported, unchanged, skipped } = await importTranslationMemory(options.tm, args[0], {
+                    sourceLang: options.source,
+                    targetLang: options.target.length === 1 ? options.target[0] : null,
+                    provider: options.provider
+                });
+                console.log(`Imported ${imported} entries, ${unchanged} unchanged, ${skipped} skipped (missing text, language or provider)`);
+                return EXIT_CODES.OK;
+            }
+            case 'batch':
+                return await runBatchCommand(args, options);
+            case 'doctor':
+                applyRunOptions(options);
+                return await runDoctor(options) ? EXIT_CODES.OK : EXIT_CODES.CHECKS_FAILED;
+            case 'serve':
+                applyRunOptions(options);
+                // Command line options become the defaults of every job
+                await startServer({
+                    processFile: processExcelFile,
+                    defaults: {
+                        provider: options.provider, apiUrl: options.apiUrl, sourceLang: options.source, targetLangs: options.target,
+                        tmPath: options.tm, glossaryPath: options.glossary, mappingPath: options.mapping,
+                        encoding: options.encoding, report: options.report, protectSpans: options.protect
+                    },
+                    port: options.port,
+                    host: options.host,
+                    isShuttingDown: () => isShuttingDown
+                });
+                return EXIT_CODES.OK;
+            default:
+                return await runTranslation(command, args[0], options);
+        }
+    } catch (error) {
+        console.error('Fatal error:', error.message);
+        return error.exitCode ?? EXIT_CODES.ERROR;
+    }
+}
 
-processExcelFile(inputFile, testMode, dryRun).catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
-}); 
\ No newline at end of file
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,56 @@
+/**
+ * Keyword list module for the Excel Translation Tool
+ * Splits keyword cells into single keywords and rebuilds them after translation
+ */
+
+// Keyword delimiters, captured together with surrounding whitespace
+const DELIMITER_PATTERN = /(\s*[,;|]\s*)/;
+
+/**
+ * Splits a keyword cell into keywords and the delimiters between them
+ * @param {string} value - Cell value, e.g. "Baum, Haus; Auto"
+ * @returns {Object} keywords (trimmed, in order) and the original separators
+ */
+export function splitKeywords(value) {
+    const parts = String(value).split(DELIMITER_PATTERN);
+    const keywords = [];
+    const separators = [];
+    const leading = parts[0].match(/^\s*/)[0];
+    const trailing = parts[parts.length - 1].match(/\s*$/)[0];
+
+    for (let i = 0; i < parts.length; i++) {
+        if (i % 2 === 0) {
+            keywords.push(parts[i].trim());
+        } else {
+            separators.push(parts[i]);
+        }
+    }
+
+    return { keywords, separators, leading, trailing };
+}
+
+/**
+ * Rejoins translated keywords with the original delimiters
+ * @param {Array<string>} keywords - Translated keywords, same order as split
+ * @param {Object} layout - separators, leading and trailing whitespace from splitKeywords()
+ * @returns {string} Rebuilt keyword cell
+ */
+export function joinKeywords(keywords, { separators, leading, trailing }) {
+    let value = leading;
+    keywords.forEach((keyword, i) => {
+        value += keyword;
+        if (i < separators.length) {
+            value += separators[i];
+        }
+    });
+    return value + trailing;
+}
+
+/**
+ * Returns the non-empty keywords of a cell
+ * @param {string} value - Cell value
+ * @returns {Array<string>} Keywords to translate
+ */
+export function getKeywords(value) {
+    return splitKeywords(value).keywords.filter(Boolean);
+}
@@ -0,0 +1,236 @@
+/**
+ * Column mapping module for the Excel Translation Tool
+ * Decides which columns are translated, how, and where translations go
+ *
+ * A mapping file is JSON:
+ *   {
+ *     "columns": [
+ *       { "source": "IPTC_DE_Headline", "targets": { "en": "IPTC_EN_Headline" } },
+ *       { "source": "IPTC_DE_User_Keywords", "type": "keywords" },
+ *       { "source": "IPTC_DE_Land", "type": "enum", "values": { "en": { "Deutschland": "Germany" } } },
+ *       { "match": "*_DE", "type": "text" },
+ *       { "match": "/^Caption_DE_/i" }
+ *     ],
+ *     "ignore": ["IPTC_DE_Credit", "/_Aufnahmedatum$/"]
+ *   }
+ *
+ * Column types: "text" (free text), "keywords" (delimited keyword list) and
+ * "enum" (short repeated values such as locations; alias "location").
+ * Targets not named explicitly are derived by replacing the language token.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { COLUMNS_TO_TRANSLATE, COLUMNS_TO_IGNORE, KEYWORD_COLUMNS } from './config.js';
+import { getTargetColumn } from './columns.js';
+
+const COLUMN_TYPES = ['text', 'keywords', 'enum'];
+const TYPE_ALIASES = { location: 'enum', keyword: 'keywords', free: 'text' };
+
+/**
+ * Compiles a column pattern: "/regex/flags" or a glob with * and ?
+ * @param {string} pattern - Pattern from the mapping file
+ * @returns {RegExp} Compiled pattern
+ */
+function compilePattern(pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]);
+    }
+
+    const escaped = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Normalizes a column type name
+ * @param {string} type - Type from the mapping file
+ * @returns {string} One of COLUMN_TYPES
+ */
+function normalizeType(type = 'text') {
+    const normalized = TYPE_ALIASES[type] || type;
+    if (!COLUMN_TYPES.includes(normalized)) {
+        throw new Error(`Unknown column type "${type}" (use ${COLUMN_TYPES.join(', ')} or location)`);
+    }
+    return normalized;
+}
+
+class ColumnMapping {
+    /**
+     * @param {Object} definition - Parsed mapping definition
+     * @param {string|null} origin - File the mapping came from, null for the defaults
+     */
+    constructor(definition, origin = null) {
+        this.origin = origin;
+        this.rules = (definition.columns || []).map((rule, index) => {
+            if (!rule.source && !rule.match) {
+                throw new Error(`Mapping rule ${index + 1} needs "source" or "match"`);
+            }
+            return {
+                source: rule.source,
+                match: rule.match ? compilePattern(rule.match) : null,
+                pattern: rule.match,
+                type: normalizeType(rule.type),
+                targets: rule.targets || {},
+                values: rule.values || {}
+            };
+        });
+        this.ignore = (definition.ignore || []).map(compilePattern);
+    }
+
+    /**
+     * Resolves the mapping against the headers of a sheet
+     * @param {Array<string>} headers - Column headers
+     * @param {string} sourceLang - Source language code
+     * @param {Array<string>} targetLangs - Target language codes
+     * @returns {Array<Object>} Columns: source, type, targets (lang -> column), values
+     */
+    resolve(headers, sourceLang, targetLangs) {
+        const columns = [];
+        const claimed = new Set();
+
+        const addColumn = (header, rule) => {
+            if (claimed.has(header)) return;
+            claimed.add(header);
+
+            const targets = {};
+            for (const lang of targetLangs) {
+                targets[lang] = rule.targets[lang] || getTargetColumn(header, sourceLang, lang);
+            }
+            columns.push({ source: header, type: rule.type, targets, values: rule.values, explicit: Boolean(rule.source) });
+        };
+
+        // Explicit source columns first, in mapping order
+        for (const rule of this.rules.filter(rule => rule.source)) {
+            if (headers.includes(rule.source)) {
+                addColumn(rule.source, rule);
+            }
+        }
+
+        // Pattern rules apply to the remaining, non-ignored headers; first match wins
+        for (const header of headers) {
+            if (claimed.has(header) || this.ignore.some(pattern => pattern.test(header))) continue;
+
+            const rule = this.rules.find(rule => rule.match && rule.match.test(header));
+            if (rule) {
+                addColumn(header, rule);
+            }
+        }
+
+        // Drop pattern matches that are themselves targets of another column
+        const targetNames = new Set(columns.flatMap(column => Object.values(column.targets)));
+        return columns
+            .filter(column => column.explicit || !targetNames.has(column.source))
+            .sort((a, b) => headers.indexOf(a.source) - headers.indexOf(b.source));
+    }
+
+    /**
+     * Resolves and checks the mapping for a single sheet
+     * Every target column must be unique and must not overwrite a source column.
+     * @param {Object} sheet - Sheet with name and headers
+     * @param {string} sourceLang - Source language code
+     * @param {Array<string>} targetLangs - Target language codes
+     * @returns {Object} Resolved columns of the sheet and errors
+     */
+    validateSheet(sheet, sourceLang, targetLangs) {
+        const errors = [];
+        const columns = this.resolve(sheet.headers, sourceLang, targetLangs);
+
+        const sources = new Set(columns.map(column => column.source));
+        const seenTargets = new Map();
+        for (const column of columns) {
+            for (const [lang, target] of Object.entries(column.targets)) {
+                if (sources.has(target)) {
+                    errors.push(`${sheet.name}: target column "${target}" (${lang}) would overwrite a source column`);
+                }
+                if (seenTargets.has(target)) {
+                    errors.push(`${sheet.name}: target column "${target}" is used by both "${seenTargets.get(target)}" and "${column.source}"`);
+                }
+                seenTargets.set(target, column.source);
+            }
+        }
+
+        return { columns, errors };
+    }
+
+    /**
+     * Validates the mapping against the sheets before translation starts
+     * @param {Array<Object>} sheets - Sheets with name and headers
+     * @param {string} sourceLang - Source language code
+     * @param {Array<string>} targetLangs - Target language codes
+     * @returns {Object} Resolved columns per sheet name plus errors and warnings
+     */
+    validate(sheets, sourceLang, targetLangs) {
+        const errors = [];
+        const warnings = [];
+        const columnsBySheet = {};
+        const allHeaders = sheets.flatMap(sheet => sheet.headers);
+
+        for (const rule of this.rules) {
+            if (rule.source && !allHeaders.includes(rule.source)) {
+                errors.push(`Source column "${rule.source}" not found in any sheet`);
+            }
+            if (this.origin && rule.match && !allHeaders.some(header => rule.match.test(header))) {
+                warnings.push(`Rule "${rule.pattern}" matches no column`);
+            }
+        }
+
+        for (const sheet of sheets) {
+            const result = this.validateSheet(sheet, sourceLang, targetLangs);
+            errors.push(...result.errors);
+            if (result.columns.length > 0) {
+                columnsBySheet[sheet.name] = result.columns;
+            }
+        }
+
+        if (Object.keys(columnsBySheet).length === 0) {
+            errors.push(`No columns to translate (mapping: ${this.origin || 'built-in defaults'})`);
+        }
+
+        return { columnsBySheet, errors, warnings };
+    }
+}
+
+/**
+ * Builds the default mapping from the constants in config.js
+ * @param {string} sourceLang - Source language code
+ * @returns {ColumnMapping} Default mapping
+ */
+export function defaultMapping(sourceLang) {
+    // Names without wildcards match exactly; the defaults are optional columns
+    return new ColumnMapping({
+        columns: [
+            ...KEYWORD_COLUMNS.map(column => ({ match: column, type: 'keywords' })),
+            ...COLUMNS_TO_TRANSLATE.map(column => ({ match: column, type: 'text' })),
+            { match: `/_${sourceLang}$/i`, type: 'text' }
+        ],
+        ignore: COLUMNS_TO_IGNORE
+    });
+}
+
+/**
+ * Loads a column mapping file
+ * Files ending in .yml or .yaml are read as YAML, all others as JSON.
+ * @param {string} filePath - Path to the JSON or YAML mapping file
+ * @returns {Promise<ColumnMapping>} Loaded mapping
+ */
+export async function loadMapping(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const isYaml = ['.yml', '.yaml'].includes(path.extname(filePath).toLowerCase());
+    let definition;
+    try {
+        definition = isYaml ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid mapping file ${filePath}: ${error.message}`);
+    }
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error(`Invalid mapping file ${filePath}: expected an object with "columns"`);
+    }
+    return new ColumnMapping(definition, filePath);
+}
+
+export { ColumnMapping };
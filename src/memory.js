@@ -0,0 +1,363 @@
+/**
+ * Translation memory module for the Excel Translation Tool
+ * Persists every translation across files and runs in an append-only JSONL store
+ * In paged mode only a hash index of the store is kept in memory and
+ * translations are read from disk on lookup. Entries appended during the run
+ * are added to a second index, so they are found as well.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// Initial capacity of a paged index, doubled as entries are indexed
+const INITIAL_INDEX_CAPACITY = 1024;
+
+/**
+ * Builds the lookup key of a translation memory entry
+ * @param {string} text - Source text
+ * @param {Object} languages - source and target language codes
+ * @param {string} provider - Provider name
+ * @returns {string} Lookup key
+ */
+function entryKey(text, { source, target }, provider) {
+    return [provider, source, target, text].join('\u0000');
+}
+
+/**
+ * Hashes a lookup key to 32 bits (FNV-1a over UTF-16 code units)
+ * @param {string} key - Lookup key
+ * @returns {number} Unsigned hash
+ */
+function hashKey(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Parses a store line into its lookup key and translation
+ * @param {string} line - JSON line
+ * @returns {Array<string>} Lookup key and stored translation
+ * @throws {SyntaxError} If the line is not valid JSON
+ */
+function parseEntry(line) {
+    const entry = JSON.parse(line);
+    return [entryKey(entry.source, { source: entry.sourceLang, target: entry.targetLang }, entry.provider), entry.target];
+}
+
+/**
+ * Copies a typed array into a larger one
+ * @param {TypedArray} array - Array to grow
+ * @param {number} capacity - New length
+ * @returns {TypedArray} Array of the same type holding the old values
+ */
+function grow(array, capacity) {
+    const grown = new array.constructor(capacity);
+    grown.set(array);
+    return grown;
+}
+
+class TranslationMemory {
+    /**
+     * @param {string} filePath - Path to the JSONL store
+     * @param {Object} options - Memory options
+     * @param {boolean} options.paged - Keep only a hash index in memory and read entries from disk
+     */
+    constructor(filePath, { paged = false } = {}) {
+        this.filePath = filePath;
+        this.paged = paged;
+        this.entries = paged ? null : new Map();
+        this.index = null;                // Paged: hashes, offsets and lengths sorted by hash
+        this.appended = new Map();        // Paged: hash -> [offset, length, ...] of entries added since opening
+        this.fd = null;                   // Paged: read and append descriptor of the store
+        this.fileSize = 0;                // Paged: bytes in the store
+        this.stream = null;
+        this.hits = 0;
+        this.misses = 0;
+        this.added = 0;
+    }
+
+    /**
+     * Opens a translation memory file, loading all existing entries or, when
+     * paged, indexing them
+     * @param {string} filePath - Path to the JSONL store
+     * @param {Object} options - Memory options
+     * @param {boolean} options.paged - Keep only a hash index in memory (about 16 bytes per entry)
+     * @returns {Promise<TranslationMemory>} Loaded translation memory
+     */
+    static async open(filePath, { paged = false } = {}) {
+        const memory = new TranslationMemory(filePath, { paged });
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        if (paged) {
+            await memory.buildIndex();
+        } else if (fs.existsSync(filePath)) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(filePath, 'utf8'),
+                crlfDelay: Infinity
+            });
+            let skipped = 0;
+
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    memory.entries.set(...parseEntry(line));
+                } catch (error) {
+                    // A crash during an append can leave a truncated last line
+                    skipped++;
+                }
+            }
+
+            if (skipped > 0) {
+                console.warn(`Translation memory: skipped ${skipped} unreadable entries`);
+            }
+        }
+
+        if (paged) {
+            console.log(`Translation memory: ${memory.size} entries indexed from ${filePath}, read from disk on lookup`);
+        } else {
+            memory.stream = fs.createWriteStream(filePath, { flags: 'a', encoding: 'utf8' });
+            console.log(`Translation memory: ${memory.size} entries loaded from ${filePath}`);
+        }
+        return memory;
+    }
+
+    get size() {
+        return this.paged ? this.index.size + this.added : this.entries.size;
+    }
+
+    /**
+     * Indexes the store by the hash of each line's lookup key
+     * Lines are located by byte offset, so the store is read as raw bytes.
+     */
+    async buildIndex() {
+        let capacity = INITIAL_INDEX_CAPACITY;
+        let hashes = new Uint32Array(capacity);
+        let offsets = new Float64Array(capacity);
+        let lengths = new Uint32Array(capacity);
+        let size = 0;
+        let skipped = 0;
+
+        const indexLine = (line, offset) => {
+            let length = line.length;
+            if (line[length - 1] === 0x0d) length--;
+            const text = line.toString('utf8', 0, length);
+            if (!text.trim()) return;
+            try {
+                const [key] = parseEntry(text);
+                if (size === capacity) {
+                    capacity *= 2;
+                    hashes = grow(hashes, capacity);
+                    offsets = grow(offsets, capacity);
+                    lengths = grow(lengths, capacity);
+                }
+                hashes[size] = hashKey(key);
+                offsets[size] = offset;
+                lengths[size] = length;
+                size++;
+            } catch (error) {
+                // A crash during an append can leave a truncated last line
+                skipped++;
+            }
+        };
+
+        if (fs.existsSync(this.filePath)) {
+            let pending = Buffer.alloc(0);
+            let pendingOffset = 0;
+
+            for await (const chunk of fs.createReadStream(this.filePath)) {
+                const buffer = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+                let start = 0;
+                let end;
+                while ((end = buffer.indexOf(0x0a, start)) !== -1) {
+                    indexLine(buffer.subarray(start, end), pendingOffset + start);
+                    start = end + 1;
+                }
+                pending = Buffer.from(buffer.subarray(start));
+                pendingOffset += start;
+            }
+            if (pending.length > 0) indexLine(pending, pendingOffset);
+
+            if (skipped > 0) {
+                console.warn(`Translation memory: skipped ${skipped} unreadable entries`);
+            }
+        }
+
+        // Sort by hash; entries with the same hash stay in file order
+        const order = new Uint32Array(size);
+        for (let i = 0; i < size; i++) order[i] = i;
+        order.sort((a, b) => hashes[a] - hashes[b] || a - b);
+
+        this.index = {
+            hashes: order.map(i => hashes[i]),
+            offsets: Float64Array.from(order, i => offsets[i]),
+            lengths: order.map(i => lengths[i]),
+            size
+        };
+        // Appends are written synchronously, so that they can be read back at once
+        this.fd = fs.openSync(this.filePath, 'a+');
+        this.fileSize = fs.fstatSync(this.fd).size;
+    }
+
+    /**
+     * Reads the translation of a store line if it belongs to a lookup key
+     * @param {string} key - Lookup key
+     * @param {number} offset - Byte offset of the line
+     * @param {number} length - Byte length of the line
+     * @returns {string|undefined} Stored translation
+     */
+    readEntry(key, offset, length) {
+        const buffer = Buffer.alloc(length);
+        fs.readSync(this.fd, buffer, 0, length, offset);
+        const [entryKeyOnDisk, translation] = parseEntry(buffer.toString('utf8'));
+        return entryKeyOnDisk === key ? translation : undefined;
+    }
+
+    /**
+     * Reads the latest translation of a lookup key from disk
+     * @param {string} key - Lookup key
+     * @returns {string|undefined} Stored translation
+     */
+    readIndexed(key) {
+        const { hashes, offsets, lengths, size } = this.index;
+        const hash = hashKey(key);
+
+        // Entries added since opening are newer than the indexed ones
+        const appended = this.appended.get(hash) || [];
+        for (let i = appended.length - 2; i >= 0; i -= 2) {
+            const translation = this.readEntry(key, appended[i], appended[i + 1]);
+            if (translation !== undefined) return translation;
+        }
+
+        let low = 0;
+        let high = size;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (hashes[middle] < hash) low = middle + 1;
+            else high = middle;
+        }
+        let last = low;
+        while (last < size && hashes[last] === hash) last++;
+
+        // Later lines override earlier ones, so search the matches backwards
+        for (let i = last - 1; i >= low; i--) {
+            const translation = this.readEntry(key, offsets[i], lengths[i]);
+            if (translation !== undefined) return translation;
+        }
+        return undefined;
+    }
+
+    /**
+     * Looks up a translation and records the hit or miss
+     * @param {string} text - Source text
+     * @param {Object} languages - source and target language codes
+     * @param {string} provider - Provider name
+     * @returns {string|undefined} Stored translation
+     */
+    get(text, languages, provider) {
+        const key = entryKey(text, languages, provider);
+        const translation = this.paged ? this.readIndexed(key) : this.entries.get(key);
+        if (translation === undefined) {
+            this.misses++;
+        } else {
+            this.hits++;
+        }
+        return translation;
+    }
+
+    /**
+     * Adds translations and appends them to the store
+     * A paged memory indexes them by their position in the store.
+     * @param {Iterable<Array<string>>} translations - [source, target] pairs
+     * @param {Object} languages - source and target language codes
+     * @param {string} provider - Provider name
+     */
+    addMany(translations, languages, provider) {
+        const lines = [];
+        const keys = [];
+        const timestamp = new Date().toISOString();
+
+        for (const [text, translation] of translations) {
+            const key = entryKey(text, languages, provider);
+            if (this.paged) {
+                if (this.readIndexed(key) === translation) continue;
+            } else {
+                if (this.entries.get(key) === translation) continue;
+                this.entries.set(key, translation);
+            }
+
+            this.added++;
+            keys.push(key);
+            lines.push(JSON.stringify({
+                source: text,
+                sourceLang: languages.source,
+                targetLang: languages.target,
+                provider,
+                target: translation,
+                timestamp
+            }));
+        }
+
+        if (lines.length === 0) return;
+        if (!this.paged) {
+            this.stream.write(lines.join('\n') + '\n');
+            return;
+        }
+
+        const buffer = Buffer.from(lines.join('\n') + '\n', 'utf8');
+        fs.writeSync(this.fd, buffer);
+        let offset = this.fileSize;
+        for (const [i, line] of lines.entries()) {
+            const length = Buffer.byteLength(line);
+            const hash = hashKey(keys[i]);
+            if (!this.appended.has(hash)) this.appended.set(hash, []);
+            this.appended.get(hash).push(offset, length);
+            offset += length + 1;
+        }
+        this.fileSize = offset;
+    }
+
+    /**
+     * Lists the stored translations
+     * @yields {Object} source, sourceLang, targetLang, provider and target of every entry
+     * @throws {Error} For a paged memory, which does not hold its entries
+     */
+    *list() {
+        if (this.paged) throw new Error('A paged translation memory cannot list its entries');
+        for (const [key, target] of this.entries) {
+            const [provider, sourceLang, targetLang, ...text] = key.split('\u0000');
+            yield { source: text.join('\u0000'), sourceLang, targetLang, provider, target };
+        }
+    }
+
+    /**
+     * Formats the hit rate of all lookups so far
+     * @returns {string} e.g. "120/400 (30%)"
+     */
+    formatHitRate() {
+        const lookups = this.hits + this.misses;
+        const rate = lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0;
+        return `${this.hits}/${lookups} (${rate}%)`;
+    }
+
+    /**
+     * Flushes pending writes and closes the store
+     */
+    async close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+        if (!this.stream) return;
+        await new Promise((resolve, reject) => {
+            this.stream.end(error => error ? reject(error) : resolve());
+        });
+        this.stream = null;
+    }
+}
+
+export default TranslationMemory;
@@ -0,0 +1,102 @@
+/**
+ * Image metadata module for the Excel Translation Tool
+ * Reads caption fields from JPEG and TIFF files (IPTC IIM, embedded XMP and
+ * .xmp sidecars) and writes translated XMP without touching the image data
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseIim } from './iptc.js';
+import { readJpegMetadata, writeJpegXmp } from './jpeg.js';
+import { readTiffMetadata, writeTiffXmp } from './tiff.js';
+import { XMP_FIELDS, parseXmp, writeXmpTranslations, createXmpPacket } from './xmp.js';
+
+const IMAGE_TYPES = {
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.tif': 'tiff',
+    '.tiff': 'tiff'
+};
+
+export const IMAGE_FIELDS = XMP_FIELDS;
+
+/**
+ * Returns the image type of a file
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} 'jpeg', 'tiff' or null for other files
+ */
+export function getImageType(filePath) {
+    return IMAGE_TYPES[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Returns the sidecar path of an image (photo.jpg -> photo.xmp)
+ * @param {string} filePath - Path to the image
+ * @returns {string} Path of the .xmp sidecar
+ */
+export function getSidecarPath(filePath) {
+    const parsedPath = path.parse(filePath);
+    return path.join(parsedPath.dir, `${parsedPath.name}.xmp`);
+}
+
+/**
+ * Reads the caption fields of an image
+ * Values from a sidecar win over embedded XMP, which wins over IPTC IIM.
+ * @param {string} filePath - Path to the image
+ * @param {string} sourceLang - Source language code
+ * @returns {Promise<Object>} type, embedded and sidecar XMP packets, source
+ *   values per field and existing translations per field and language
+ */
+export async function readImageMetadata(filePath, sourceLang) {
+    const type = getImageType(filePath);
+    const buffer = await fs.readFile(filePath);
+    const embedded = type === 'jpeg' ? readJpegMetadata(buffer) : readTiffMetadata(buffer);
+
+    let sidecar = null;
+    try {
+        sidecar = await fs.readFile(getSidecarPath(filePath), 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const iim = embedded.iim ? parseIim(embedded.iim) : { keywords: [] };
+    const layers = [embedded.xmp, sidecar].filter(Boolean).map(packet => parseXmp(packet, sourceLang));
+
+    const values = {};
+    const translations = {};
+    for (const field of IMAGE_FIELDS) {
+        values[field] = field === 'keywords' && iim.keywords.length === 0 ? undefined : iim[field];
+        translations[field] = {};
+        for (const layer of layers) {
+            if (layer.values[field] !== undefined) values[field] = layer.values[field];
+            Object.assign(translations[field], layer.translations[field]);
+        }
+    }
+
+    return { type, xmp: embedded.xmp, sidecarXmp: sidecar, values, translations };
+}
+
+/**
+ * Builds the XMP packet with translations for an image
+ * @param {string|null} packet - Existing packet, null to start a new one
+ * @param {Object} values - Source-language values per field
+ * @param {Object} translations - Field -> language -> translated text
+ * @param {string} sourceLang - Source language code
+ * @returns {string} Updated packet
+ */
+export function buildXmp(packet, values, translations, sourceLang) {
+    return writeXmpTranslations(packet || createXmpPacket(), values, translations, sourceLang);
+}
+
+/**
+ * Writes a copy of an image with a new embedded XMP packet
+ * @param {string} filePath - Path to the original image
+ * @param {string} outputPath - Path of the copy
+ * @param {string} packet - XMP packet to embed
+ */
+export async function writeImageXmp(filePath, outputPath, packet) {
+    const buffer = await fs.readFile(filePath);
+    const output = getImageType(filePath) === 'jpeg' ? writeJpegXmp(buffer, packet) : writeTiffXmp(buffer, packet);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, output);
+}
@@ -0,0 +1,113 @@
+/**
+ * IPTC IIM module for the Excel Translation Tool
+ * Parses IPTC Information Interchange Model records, either raw (TIFF tag
+ * 33723) or wrapped in Photoshop image resource blocks (JPEG APP13)
+ */
+
+import { decodeText } from '../formats/encoding.js';
+
+// Application record (2) datasets we read
+const DATASETS = {
+    25: 'keywords',
+    90: 'city',
+    95: 'state',
+    101: 'country',
+    105: 'headline',
+    120: 'caption'
+};
+
+// Photoshop resource holding the IIM data
+const IRB_IPTC = 0x0404;
+
+/**
+ * Decodes an IIM value
+ * Without a declared character set, UTF-8 is used when the bytes are valid
+ * UTF-8 and Windows-1252 otherwise, which is what most writers produce.
+ * @param {Buffer} data - Raw dataset value
+ * @param {boolean} isUtf8 - Whether record 1:90 declares UTF-8
+ * @returns {string} Decoded text
+ */
+function decodeValue(data, isUtf8) {
+    if (isUtf8) {
+        return new TextDecoder('utf-8').decode(data);
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch (error) {
+        return decodeText(data, 'windows-1252').text;
+    }
+}
+
+/**
+ * Parses raw IIM data
+ * @param {Buffer} buffer - IIM records
+ * @returns {Object} Fields: caption, headline, city, state, country (strings), keywords (array)
+ */
+export function parseIim(buffer) {
+    const records = [];
+    let offset = 0;
+
+    // Records start with the tag marker 0x1C; anything else is padding
+    while (offset + 5 <= buffer.length && buffer[offset] === 0x1C) {
+        const record = buffer[offset + 1];
+        const dataset = buffer[offset + 2];
+        let size = buffer.readUInt16BE(offset + 3);
+        offset += 5;
+
+        // Extended datasets store the length of the size field in the low 15 bits
+        if (size & 0x8000) {
+            const sizeLength = size & 0x7FFF;
+            size = 0;
+            for (let i = 0; i < sizeLength; i++) {
+                size = size * 256 + buffer[offset + i];
+            }
+            offset += sizeLength;
+        }
+
+        records.push({ record, dataset, data: buffer.subarray(offset, offset + size) });
+        offset += size;
+    }
+
+    // Record 1:90 holds the coded character set; ESC % G is UTF-8
+    const charset = records.find(({ record, dataset }) => record === 1 && dataset === 90);
+    const isUtf8 = Boolean(charset) && charset.data.equals(Buffer.from([0x1B, 0x25, 0x47]));
+
+    const fields = { keywords: [] };
+    for (const { record, dataset, data } of records) {
+        const field = record === 2 ? DATASETS[dataset] : null;
+        if (!field) continue;
+
+        const value = decodeValue(data, isUtf8).replace(/\0+$/, '').trim();
+        if (!value) continue;
+        if (field === 'keywords') {
+            fields.keywords.push(value);
+        } else if (!fields[field]) {
+            fields[field] = value;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Extracts the IIM data from Photoshop image resource blocks
+ * @param {Buffer} buffer - Resource blocks ("8BIM" ...)
+ * @returns {Buffer|null} IIM records, null if there are none
+ */
+export function findIimInResources(buffer) {
+    let offset = 0;
+    while (offset + 12 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === '8BIM') {
+        const id = buffer.readUInt16BE(offset + 4);
+
+        // Pascal string name, padded to an even length including its length byte
+        const nameLength = buffer[offset + 6];
+        offset += 6 + nameLength + 1 + ((nameLength + 1) % 2);
+
+        const size = buffer.readUInt32BE(offset);
+        offset += 4;
+        if (id === IRB_IPTC) {
+            return buffer.subarray(offset, offset + size);
+        }
+        offset += size + (size % 2);
+    }
+    return null;
+}
@@ -0,0 +1,117 @@
+/**
+ * JPEG metadata module for the Excel Translation Tool
+ * Reads the XMP and IPTC segments of a JPEG file and replaces the XMP segment.
+ * Every other byte, including the compressed image data, is copied unchanged.
+ */
+
+import { findIimInResources } from './iptc.js';
+
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const PHOTOSHOP_HEADER = Buffer.from('Photoshop 3.0\0', 'latin1');
+
+const APP0 = 0xE0;
+const APP1 = 0xE1;
+const APP13 = 0xED;
+const SOS = 0xDA;
+
+// Largest segment payload: the 16-bit length field counts itself
+const MAX_SEGMENT_DATA = 0xFFFF - 2;
+
+/**
+ * Lists the marker segments in front of the image data
+ * @param {Buffer} buffer - JPEG file content
+ * @returns {Array<Object>} Segments with marker, start, end and data
+ */
+function readSegments(buffer) {
+    if (buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+        throw new Error('Not a JPEG file');
+    }
+
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            throw new Error(`Corrupt JPEG marker at byte ${offset}`);
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset++;   // fill byte
+            continue;
+        }
+        if (marker === SOS) break;
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;   // markers without a payload
+            continue;
+        }
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const end = offset + 2 + length;
+        segments.push({ marker, start: offset, end, data: buffer.subarray(offset + 4, end) });
+        offset = end;
+    }
+    return segments;
+}
+
+/**
+ * Checks whether a segment payload starts with a namespace header
+ * @param {Buffer} data - Segment payload
+ * @param {Buffer} header - Expected header
+ * @returns {boolean} Whether the header matches
+ */
+function hasHeader(data, header) {
+    return data.length >= header.length && data.subarray(0, header.length).equals(header);
+}
+
+/**
+ * Reads the metadata of a JPEG file
+ * @param {Buffer} buffer - JPEG file content
+ * @returns {Object} XMP packet (string or null) and IIM records (Buffer or null)
+ */
+export function readJpegMetadata(buffer) {
+    let xmp = null;
+    const resources = [];
+
+    for (const segment of readSegments(buffer)) {
+        if (segment.marker === APP1 && !xmp && hasHeader(segment.data, XMP_HEADER)) {
+            xmp = segment.data.subarray(XMP_HEADER.length).toString('utf8');
+        } else if (segment.marker === APP13 && hasHeader(segment.data, PHOTOSHOP_HEADER)) {
+            // Large resource blocks are split over several APP13 segments
+            resources.push(segment.data.subarray(PHOTOSHOP_HEADER.length));
+        }
+    }
+
+    const iim = resources.length > 0 ? findIimInResources(Buffer.concat(resources)) : null;
+    return { xmp, iim };
+}
+
+/**
+ * Replaces or inserts the XMP segment of a JPEG file
+ * @param {Buffer} buffer - JPEG file content
+ * @param {string} xmp - New XMP packet
+ * @returns {Buffer} New file content
+ */
+export function writeJpegXmp(buffer, xmp) {
+    const payload = Buffer.concat([XMP_HEADER, Buffer.from(xmp, 'utf8')]);
+    if (payload.length > MAX_SEGMENT_DATA) {
+        throw new Error(`XMP packet of ${payload.length} bytes does not fit into a JPEG segment`);
+    }
+
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xFFE1, 0);
+    header.writeUInt16BE(payload.length + 2, 2);
+    const segment = Buffer.concat([header, payload]);
+
+    const segments = readSegments(buffer);
+    const existing = segments.find(({ marker, data }) => marker === APP1 && hasHeader(data, XMP_HEADER));
+    if (existing) {
+        return Buffer.concat([buffer.subarray(0, existing.start), segment, buffer.subarray(existing.end)]);
+    }
+
+    // New XMP goes after the JFIF and Exif segments at the start of the file
+    let insertAt = 2;
+    for (const { marker, end } of segments) {
+        if (marker !== APP0 && marker !== APP1) break;
+        insertAt = end;
+    }
+    return Buffer.concat([buffer.subarray(0, insertAt), segment, buffer.subarray(insertAt)]);
+}
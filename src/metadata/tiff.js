@@ -0,0 +1,125 @@
+/**
+ * TIFF metadata module for the Excel Translation Tool
+ * Reads the XMP and IPTC tags of the first IFD and writes a new XMP tag.
+ * New data is appended to the file; image strips and tiles never move.
+ */
+
+import { findIimInResources } from './iptc.js';
+
+const TAG_XMP = 700;
+const TAG_IPTC = 33723;
+const TAG_PHOTOSHOP = 34377;
+
+const TYPE_BYTE = 1;
+
+// Byte size of the TIFF field types
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+/**
+ * Reads the header and first IFD of a TIFF file
+ * @param {Buffer} buffer - TIFF file content
+ * @returns {Object} Byte order helpers, IFD offset and entries
+ */
+function readIfd0(buffer) {
+    const byteOrder = buffer.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        throw new Error('Not a TIFF file');
+    }
+    const littleEndian = byteOrder === 'II';
+    const u16 = offset => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const u32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+    if (u16(2) !== 42) {
+        throw new Error('Unsupported TIFF variant (BigTIFF is not supported)');
+    }
+
+    const ifdOffset = u32(4);
+    const count = u16(ifdOffset);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const offset = ifdOffset + 2 + i * 12;
+        const type = u16(offset + 2);
+        const valueCount = u32(offset + 4);
+        const size = (TYPE_SIZES[type] || 1) * valueCount;
+        entries.push({
+            offset,
+            tag: u16(offset),
+            type,
+            size,
+            // Values of up to four bytes are stored in the entry itself
+            valueOffset: size <= 4 ? offset + 8 : u32(offset + 8)
+        });
+    }
+    const nextIfd = u32(ifdOffset + 2 + count * 12);
+
+    return { littleEndian, ifdOffset, entries, nextIfd };
+}
+
+/**
+ * Reads the metadata of a TIFF file
+ * @param {Buffer} buffer - TIFF file content
+ * @returns {Object} XMP packet (string or null) and IIM records (Buffer or null)
+ */
+export function readTiffMetadata(buffer) {
+    const { entries } = readIfd0(buffer);
+    const value = tag => {
+        const entry = entries.find(candidate => candidate.tag === tag);
+        return entry ? buffer.subarray(entry.valueOffset, entry.valueOffset + entry.size) : null;
+    };
+
+    const xmpData = value(TAG_XMP);
+    const photoshop = value(TAG_PHOTOSHOP);
+    return {
+        xmp: xmpData ? xmpData.toString('utf8') : null,
+        iim: value(TAG_IPTC) || (photoshop ? findIimInResources(photoshop) : null)
+    };
+}
+
+/**
+ * Writes a new XMP packet into a TIFF file
+ * The packet is appended; if the first IFD has no XMP tag yet, the IFD is
+ * rewritten at the end of the file with the tag added.
+ * @param {Buffer} buffer - TIFF file content
+ * @param {string} xmp - New XMP packet
+ * @returns {Buffer} New file content
+ */
+export function writeTiffXmp(buffer, xmp) {
+    const { littleEndian, entries, nextIfd } = readIfd0(buffer);
+    const writeU16 = (target, value, offset) => littleEndian ? target.writeUInt16LE(value, offset) : target.writeUInt16BE(value, offset);
+    const writeU32 = (target, value, offset) => littleEndian ? target.writeUInt32LE(value, offset) : target.writeUInt32BE(value, offset);
+
+    const packet = Buffer.from(xmp, 'utf8');
+    const padding = Buffer.alloc(buffer.length % 2);   // keep offsets word aligned
+    const packetOffset = buffer.length + padding.length;
+
+    const existing = entries.find(entry => entry.tag === TAG_XMP);
+    if (existing) {
+        const output = Buffer.concat([buffer, padding, packet]);
+        writeU16(output, TYPE_BYTE, existing.offset + 2);
+        writeU32(output, packet.length, existing.offset + 4);
+        writeU32(output, packetOffset, existing.offset + 8);
+        return output;
+    }
+
+    // Rebuild the IFD with the XMP entry in tag order
+    const packetPadding = Buffer.alloc(packet.length % 2);
+    const newIfdOffset = packetOffset + packet.length + packetPadding.length;
+    const xmpEntry = Buffer.alloc(12);
+    writeU16(xmpEntry, TAG_XMP, 0);
+    writeU16(xmpEntry, TYPE_BYTE, 2);
+    writeU32(xmpEntry, packet.length, 4);
+    writeU32(xmpEntry, packetOffset, 8);
+
+    const rawEntries = entries.map(entry => ({ tag: entry.tag, bytes: buffer.subarray(entry.offset, entry.offset + 12) }));
+    rawEntries.push({ tag: TAG_XMP, bytes: xmpEntry });
+    rawEntries.sort((a, b) => a.tag - b.tag);
+
+    const ifd = Buffer.alloc(2 + rawEntries.length * 12 + 4);
+    writeU16(ifd, rawEntries.length, 0);
+    rawEntries.forEach((entry, i) => entry.bytes.copy(ifd, 2 + i * 12));
+    writeU32(ifd, nextIfd, 2 + rawEntries.length * 12);
+
+    const output = Buffer.concat([buffer, padding, packet, packetPadding, ifd]);
+    writeU32(output, newIfdOffset, 4);
+    return output;
+}
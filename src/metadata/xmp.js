@@ -0,0 +1,363 @@
+/**
+ * XMP module for the Excel Translation Tool
+ * Reads caption fields from XMP packets and adds translated language
+ * alternatives to them
+ *
+ * Captions are read from dc:description, keywords from dc:subject and the
+ * headline and location from photoshop:*. Caption translations are written as
+ * xml:lang alternatives of dc:description, and translated keywords into the
+ * dc:subject bag as items qualified with their xml:lang; other applications
+ * read both. Headline and location are plain text in XMP with no standard
+ * place for translations, so theirs go to language alternatives of the same
+ * name in the tool's own ctr: namespace (ctr:Headline, ctr:City, ...), which
+ * only this tool reads.
+ *
+ * Packets are edited as text so that everything the tool does not touch stays
+ * byte for byte as it was; the conventional namespace prefixes are assumed.
+ */
+
+import { splitKeywords } from '../keywords.js';
+
+const NAMESPACES = {
+    dc: 'http://purl.org/dc/elements/1.1/',
+    photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+    ctr: 'http://ns.caption-translator.org/xmp/1.0/'
+};
+
+// Property each field is read from and the property its translations go to:
+// a language alternative, or for keywords the source bag itself
+const PROPERTIES = {
+    caption: { source: 'dc:description', translations: 'dc:description' },
+    headline: { source: 'photoshop:Headline', translations: 'ctr:Headline' },
+    keywords: { source: 'dc:subject', translations: 'dc:subject', bag: true },
+    city: { source: 'photoshop:City', translations: 'ctr:City' },
+    state: { source: 'photoshop:State', translations: 'ctr:State' },
+    country: { source: 'photoshop:Country', translations: 'ctr:Country' }
+};
+
+export const XMP_FIELDS = Object.keys(PROPERTIES);
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Decodes XML character references and the predefined entities
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+        const lower = entity.toLowerCase();
+        if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+        if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+    });
+}
+
+/**
+ * Escapes text for XML element content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Finds a property written as an element
+ * @param {string} packet - XMP packet
+ * @param {string} qname - Prefixed property name
+ * @returns {Object|null} Position, length and inner content of the element
+ */
+function findElement(packet, qname) {
+    const name = escapeRegExp(qname);
+    const match = packet.match(new RegExp(`<${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${name}>)`));
+    return match ? { index: match.index, length: match[0].length, content: match[2] || '' } : null;
+}
+
+/**
+ * Finds a property written as an attribute of rdf:Description
+ * @param {string} packet - XMP packet
+ * @param {string} qname - Prefixed property name
+ * @returns {Object|null} Position, length and decoded value of the attribute
+ */
+function findAttribute(packet, qname) {
+    const match = packet.match(new RegExp(`\\s${escapeRegExp(qname)}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+    return match ? { index: match.index, length: match[0].length, value: decodeXml(match[1] ?? match[2]) } : null;
+}
+
+/**
+ * Lists the rdf:li items of a container
+ * @param {string} content - Inner content of the property element
+ * @returns {Array<Object>} Items with lang (lower case, null if none) and text
+ */
+function listItems(content) {
+    const items = [];
+    for (const match of content.matchAll(/<rdf:li(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/rdf:li>)/g)) {
+        const lang = (match[1] || '').match(/xml:lang\s*=\s*["']([^"']+)["']/);
+        items.push({ lang: lang ? lang[1].toLowerCase() : null, text: decodeXml(match[2] || '') });
+    }
+    return items;
+}
+
+/**
+ * Reads a property value
+ * @param {string} packet - XMP packet
+ * @param {string} qname - Prefixed property name
+ * @returns {string|Array<string>|Object|null} Text, array for bags and
+ *   sequences, map of language to text for alternatives
+ */
+function readProperty(packet, qname) {
+    const attribute = findAttribute(packet, qname);
+    if (attribute) return attribute.value;
+
+    const element = findElement(packet, qname);
+    if (!element) return null;
+
+    if (/<rdf:Alt\b/.test(element.content)) {
+        return Object.fromEntries(listItems(element.content).map(({ lang, text }) => [lang || 'x-default', text]));
+    }
+    if (/<rdf:(Bag|Seq)\b/.test(element.content)) {
+        return listItems(element.content).map(({ text }) => text.trim()).filter(Boolean);
+    }
+    return decodeXml(element.content);
+}
+
+/**
+ * Reads a keyword bag whose translated keywords carry xml:lang qualifiers
+ * @param {string} packet - XMP packet
+ * @param {string} qname - Prefixed property name
+ * @param {string} sourceLang - Source language code
+ * @returns {Object} keywords (unqualified or in the source language) and
+ *   translations (language -> keywords joined with ", ")
+ */
+function readKeywordBag(packet, qname, sourceLang) {
+    const element = findElement(packet, qname);
+    const keywords = [];
+    const byLang = {};
+    for (const { lang, text } of element ? listItems(element.content) : []) {
+        if (!text.trim()) continue;
+        if (!lang || lang === sourceLang) {
+            keywords.push(text.trim());
+        } else {
+            (byLang[lang] ||= []).push(text.trim());
+        }
+    }
+    const translations = Object.fromEntries(Object.entries(byLang).map(([lang, list]) => [lang, list.join(', ')]));
+    return { keywords, translations };
+}
+
+/**
+ * Parses the caption fields of an XMP packet
+ * @param {string} packet - XMP packet
+ * @param {string} sourceLang - Source language code
+ * @returns {Object} Source-language values per field (keywords as an array)
+ *   and existing translations per field and language
+ */
+export function parseXmp(packet, sourceLang) {
+    const values = {};
+    const translations = {};
+
+    for (const [field, property] of Object.entries(PROPERTIES)) {
+        if (property.bag) {
+            const { keywords, translations: keywordTranslations } = readKeywordBag(packet, property.source, sourceLang);
+            if (keywords.length > 0) values[field] = keywords;
+            translations[field] = keywordTranslations;
+            continue;
+        }
+
+        const value = readProperty(packet, property.source);
+        const alternatives = property.translations === property.source ? value : readProperty(packet, property.translations);
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            // Language alternative: prefer the source language over x-default
+            values[field] = value[sourceLang] ?? value['x-default'] ?? Object.values(value)[0];
+        } else if (value !== null && value !== '') {
+            values[field] = value;
+        }
+
+        translations[field] = {};
+        if (alternatives && typeof alternatives === 'object' && !Array.isArray(alternatives)) {
+            for (const [lang, text] of Object.entries(alternatives)) {
+                if (lang !== 'x-default' && lang !== sourceLang && text) {
+                    translations[field][lang] = text;
+                }
+            }
+        }
+    }
+
+    return { values, translations };
+}
+
+/**
+ * Adds a namespace declaration if the packet does not declare it yet
+ * The declaration goes on the first rdf:Description, where new properties
+ * are inserted.
+ * @param {string} packet - XMP packet
+ * @param {string} prefix - Namespace prefix
+ * @returns {string} Updated packet
+ */
+function ensureNamespace(packet, prefix) {
+    const description = packet.match(/<rdf:Description\b[^>]*>/);
+    const scope = packet.slice(0, description.index + description[0].length);
+    if (new RegExp(`xmlns:${prefix}\\s*=`).test(scope)) return packet;
+
+    const position = description.index + '<rdf:Description'.length;
+    return `${packet.slice(0, position)} xmlns:${prefix}="${NAMESPACES[prefix]}"${packet.slice(position)}`;
+}
+
+/**
+ * Inserts a property element into the first rdf:Description
+ * @param {string} packet - XMP packet
+ * @param {string} xml - Property element
+ * @returns {string} Updated packet
+ */
+function insertProperty(packet, xml) {
+    const match = packet.match(/<rdf:Description\b[^>]*?(\/?)>/);
+    const end = match.index + match[0].length;
+    if (match[1]) {
+        const open = match[0].replace(/\s*\/>$/, '>');
+        return `${packet.slice(0, match.index)}${open}${xml}</rdf:Description>${packet.slice(end)}`;
+    }
+    return `${packet.slice(0, end)}${xml}${packet.slice(end)}`;
+}
+
+/**
+ * Sets language alternatives of a property, creating it when needed
+ * @param {string} packet - XMP packet
+ * @param {string} qname - Prefixed property name
+ * @param {Object} values - Language -> text, always written
+ * @param {Object} defaults - Language -> text, written only where missing
+ * @returns {string} Updated packet
+ */
+function setAlternatives(packet, qname, values, defaults) {
+    const item = (lang, text) => `<rdf:li xml:lang="${escapeXml(lang)}">${escapeXml(text)}</rdf:li>`;
+
+    // A plain text value becomes the x-default of a new alternative
+    const attribute = findAttribute(packet, qname);
+    if (attribute) {
+        defaults = { ...defaults, 'x-default': attribute.value };
+        packet = packet.slice(0, attribute.index) + packet.slice(attribute.index + attribute.length);
+    }
+    let element = findElement(packet, qname);
+    if (element && !/<rdf:Alt\b/.test(element.content)) {
+        if (element.content.trim()) {
+            defaults = { ...defaults, 'x-default': decodeXml(element.content) };
+        }
+        packet = packet.slice(0, element.index) + packet.slice(element.index + element.length);
+        element = null;
+    }
+
+    if (!element) {
+        const entries = { ...defaults, ...values };
+        const items = Object.entries(entries).filter(([, text]) => text).map(([lang, text]) => item(lang, text));
+        packet = ensureNamespace(packet, qname.split(':')[0]);
+        return insertProperty(packet, `<${qname}><rdf:Alt>${items.join('')}</rdf:Alt></${qname}>`);
+    }
+
+    let content = element.content;
+    const existing = new Set(listItems(content).map(({ lang }) => lang || 'x-default'));
+    for (const [lang, text] of Object.entries(defaults)) {
+        if (!existing.has(lang) && text) {
+            content = content.replace(/<\/rdf:Alt>/, `${item(lang, text)}</rdf:Alt>`);
+            existing.add(lang);
+        }
+    }
+    for (const [lang, text] of Object.entries(values)) {
+        const current = new RegExp(`<rdf:li(\\s[^>]*?xml:lang\\s*=\\s*["']${escapeRegExp(lang)}["'][^>]*?)(?:/>|>[\\s\\S]*?</rdf:li>)`, 'i');
+        content = current.test(content)
+            ? content.replace(current, () => item(lang, text))
+            : content.replace(/<\/rdf:Alt>/, `${item(lang, text)}</rdf:Alt>`);
+    }
+
+    const openTag = packet.slice(element.index, element.index + element.length - element.content.length - `</${qname}>`.length);
+    return packet.slice(0, element.index) + openTag + content + `</${qname}>` + packet.slice(element.index + element.length);
+}
+
+/**
+ * Replaces the translated keywords of one language in a keyword bag
+ * A missing bag is created with the source keywords.
+ * @param {string} packet - XMP packet
+ * @param {string} qname - Prefixed property name
+ * @param {string} lang - Language of the translated keywords
+ * @param {Array<string>} keywords - Translated keywords
+ * @param {Array<string>} sourceKeywords - Source keywords, written only into a new bag
+ * @returns {string} Updated packet
+ */
+function setBagLanguage(packet, qname, lang, keywords, sourceKeywords) {
+    const items = keywords.map(keyword => `<rdf:li xml:lang="${escapeXml(lang)}">${escapeXml(keyword)}</rdf:li>`).join('');
+
+    const element = findElement(packet, qname);
+    if (!element || !/<rdf:(Bag|Seq)\b/.test(element.content)) {
+        if (element) {
+            packet = packet.slice(0, element.index) + packet.slice(element.index + element.length);
+        }
+        const source = sourceKeywords.map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('');
+        packet = ensureNamespace(packet, qname.split(':')[0]);
+        return insertProperty(packet, `<${qname}><rdf:Bag>${source}${items}</rdf:Bag></${qname}>`);
+    }
+
+    // Drop the earlier translations of this language, keep everything else
+    const current = new RegExp(`\\s*<rdf:li(\\s[^>]*?xml:lang\\s*=\\s*["']${escapeRegExp(lang)}["'][^>]*?)(?:/>|>[\\s\\S]*?</rdf:li>)`, 'gi');
+    const content = element.content
+        .replace(current, '')
+        .replace(/<\/rdf:(Bag|Seq)>/, closing => `${items}${closing}`);
+
+    const openTag = packet.slice(element.index, element.index + element.length - element.content.length - `</${qname}>`.length);
+    return packet.slice(0, element.index) + openTag + content + `</${qname}>` + packet.slice(element.index + element.length);
+}
+
+/**
+ * Writes translations into an XMP packet
+ * The source language alternative is added next to x-default where missing;
+ * translated keywords are added to the keyword bag.
+ * @param {string} packet - XMP packet
+ * @param {Object} sourceValues - Source-language values per field
+ * @param {Object} translations - Field -> language -> translated text
+ * @param {string} sourceLang - Source language code
+ * @returns {string} Updated packet
+ */
+export function writeXmpTranslations(packet, sourceValues, translations, sourceLang) {
+    for (const [field, values] of Object.entries(translations)) {
+        if (Object.keys(values).length === 0) continue;
+
+        if (PROPERTIES[field].bag) {
+            const sourceKeywords = [].concat(sourceValues[field] ?? []);
+            for (const [lang, text] of Object.entries(values)) {
+                const keywords = splitKeywords(text).keywords.filter(Boolean);
+                packet = setBagLanguage(packet, PROPERTIES[field].translations, lang, keywords, sourceKeywords);
+            }
+            continue;
+        }
+
+        const source = Array.isArray(sourceValues[field]) ? sourceValues[field].join(', ') : sourceValues[field];
+        packet = setAlternatives(packet, PROPERTIES[field].translations, values, { 'x-default': source, [sourceLang]: source });
+    }
+    return packet;
+}
+
+/**
+ * Creates an empty XMP packet
+ * @returns {string} Packet with one empty rdf:Description
+ */
+export function createXmpPacket() {
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '  <rdf:Description rdf:about=""/>',
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
@@ -0,0 +1,157 @@
+/**
+ * Normalization module for the Excel Translation Tool
+ * Cleans cell values into the keys used to deduplicate and look up texts, and
+ * finds near-duplicate texts for optional fuzzy matching
+ */
+
+// Zero-width characters, word joiners, byte order marks and soft hyphens
+const INVISIBLE_PATTERN = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+// Characters compared at the start and the end of texts to find candidates
+const BUCKET_PREFIX_LENGTH = 8;
+
+// Candidates kept per bucket; boilerplate openings would otherwise make buckets huge
+const MAX_BUCKET_SIZE = 200;
+
+/**
+ * Turns a cell value into the text used as its translation key
+ * Numbers, booleans and dates become strings; Unicode is composed (NFC), line
+ * breaks become \n, non-breaking and repeated spaces become single spaces and
+ * invisible characters are dropped. Leading and trailing whitespace is
+ * trimmed from the text and from every line.
+ * @param {*} value - Cell value of any type
+ * @returns {string} Normalized text, empty for empty cells
+ */
+export function normalizeText(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    return text
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(INVISIBLE_PATTERN, '')
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/ ?\n ?/g, '\n')
+        .trim();
+}
+
+/**
+ * Computes the edit distance of two strings, giving up above a maximum
+ * Only the diagonal band that can stay within the maximum is computed.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} Levenshtein distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = new Array(b.length + 1).fill(maxDistance + 1);
+        current[0] = i;
+        let rowMinimum = i;
+        const from = Math.max(1, i - maxDistance);
+        const to = Math.min(b.length, i + maxDistance);
+        for (let j = from; j <= to; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMinimum = Math.min(rowMinimum, current[j]);
+        }
+        if (rowMinimum > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return Math.min(previous[b.length], maxDistance + 1);
+}
+
+/**
+ * Computes the similarity of two texts, ignoring case
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @param {number} minSimilarity - Similarity below which the exact value does not matter
+ * @returns {number} 1 - edit distance / length of the longer text; 0 below minSimilarity
+ */
+export function similarity(a, b, minSimilarity = 0) {
+    const first = a.toLowerCase();
+    const second = b.toLowerCase();
+    const length = Math.max(first.length, second.length);
+    if (length === 0) return 1;
+
+    const maxDistance = Math.floor((1 - minSimilarity) * length);
+    const distance = editDistance(first, second, maxDistance);
+    return distance > maxDistance ? 0 : 1 - distance / length;
+}
+
+/**
+ * Returns the digits of a text; near duplicates must not differ in numbers
+ * @param {string} text - Text
+ * @returns {string} Digit sequences joined by spaces
+ */
+function digitsOf(text) {
+    return (text.match(/\d+/g) || []).join(' ');
+}
+
+/**
+ * Index of texts for finding near duplicates
+ * Candidates share their first or their last characters, so two texts that
+ * differ at both ends are not compared.
+ */
+export class NearDuplicateIndex {
+    /**
+     * @param {number} threshold - Minimum similarity of a match, between 0 and 1
+     */
+    constructor(threshold) {
+        this.threshold = threshold;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Returns the bucket keys of a text
+     * @param {string} text - Text
+     * @returns {Array<string>} Start and end key
+     */
+    static keysOf(text) {
+        const folded = text.toLowerCase();
+        return [`^${folded.slice(0, BUCKET_PREFIX_LENGTH)}`, `$${folded.slice(-BUCKET_PREFIX_LENGTH)}`];
+    }
+
+    /**
+     * Adds a text that later texts may match
+     * @param {string} text - Normalized text
+     */
+    add(text) {
+        for (const key of NearDuplicateIndex.keysOf(text)) {
+            if (!this.buckets.has(key)) this.buckets.set(key, []);
+            const bucket = this.buckets.get(key);
+            bucket.push(text);
+            if (bucket.length > MAX_BUCKET_SIZE) bucket.shift();
+        }
+    }
+
+    /**
+     * Finds the most similar indexed text
+     * @param {string} text - Normalized text
+     * @returns {Object|null} text and similarity of the best match at or above the threshold
+     */
+    find(text) {
+        const digits = digitsOf(text);
+        const seen = new Set();
+        let best = null;
+
+        for (const key of NearDuplicateIndex.keysOf(text)) {
+            for (const candidate of this.buckets.get(key) || []) {
+                if (candidate === text || seen.has(candidate)) continue;
+                seen.add(candidate);
+                if (digitsOf(candidate) !== digits) continue;
+
+                const score = similarity(text, candidate, this.threshold);
+                if (score >= this.threshold && (!best || score > best.similarity)) {
+                    best = { text: candidate, similarity: score };
+                }
+            }
+        }
+        return best;
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Worker pool module for the Excel Translation Tool
+ * Keeps several translation batches in flight and adapts the concurrency
+ * to observed latency and errors (additive increase, multiplicative decrease)
+ */
+
+class WorkerPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {number} options.maxConcurrency - Upper bound of batches in flight
+     * @param {number} options.minConcurrency - Lower bound of batches in flight
+     * @param {number} options.initialConcurrency - Starting number of batches in flight
+     */
+    constructor({ maxConcurrency, minConcurrency = 1, initialConcurrency = minConcurrency }) {
+        this.maxConcurrency = Math.max(1, maxConcurrency);
+        this.minConcurrency = Math.min(minConcurrency, this.maxConcurrency);
+        this.concurrency = Math.min(Math.max(initialConcurrency, this.minConcurrency), this.maxConcurrency);
+        this.latencyAverage = null;       // Exponentially weighted batch latency (ms)
+        this.latencySamples = 0;
+        this.successesSinceChange = 0;
+        this.lastDecrease = 0;
+        this.active = new Set();
+    }
+
+    /**
+     * Records a successful batch and grows the pool by one slot per full window
+     * @param {number} latency - Batch duration in milliseconds
+     */
+    recordSuccess(latency) {
+        const isSlow = this.latencySamples >= 5 && latency > this.latencyAverage * 2;
+        this.latencyAverage = this.latencyAverage === null
+            ? latency
+            : this.latencyAverage * 0.8 + latency * 0.2;
+        this.latencySamples++;
+
+        if (isSlow) {
+            this.decrease('latency spike');
+            return;
+        }
+
+        this.successesSinceChange++;
+        if (this.successesSinceChange >= this.concurrency && this.concurrency < this.maxConcurrency) {
+            this.concurrency++;
+            this.successesSinceChange = 0;
+            console.log(`Worker pool: increasing concurrency to ${this.concurrency}`);
+        }
+    }
+
+    /**
+     * Records a server error or timeout and halves the pool
+     * @param {Error} error - The error that occurred
+     */
+    recordError(error) {
+        this.decrease(error.message);
+    }
+
+    /**
+     * Halves the concurrency, at most once per average latency period so that
+     * a burst of errors from batches already in flight counts as one signal
+     * @param {string} reason - Reason for the decrease
+     */
+    decrease(reason) {
+        const now = Date.now();
+        if (now - this.lastDecrease < (this.latencyAverage || 1000)) return;
+
+        this.lastDecrease = now;
+        this.successesSinceChange = 0;
+        const reduced = Math.max(this.minConcurrency, Math.floor(this.concurrency / 2));
+        if (reduced !== this.concurrency) {
+            this.concurrency = reduced;
+            console.log(`Worker pool: reducing concurrency to ${this.concurrency} (${reason})`);
+        }
+    }
+
+    /**
+     * Runs the worker for every item, keeping up to `concurrency` in flight
+     * @param {Array} items - Items to process
+     * @param {Function} worker - async (item, index) => void
+     * @param {Function} shouldStop - Returns true to stop dispatching new items
+     */
+    async run(items, worker, shouldStop = () => false) {
+        let nextIndex = 0;
+
+        while (nextIndex < items.length && !shouldStop()) {
+            while (this.active.size < this.concurrency && nextIndex < items.length && !shouldStop()) {
+                const index = nextIndex++;
+                const startTime = Date.now();
+                const task = Promise.resolve()
+                    .then(() => worker(items[index], index))
+                    .then(
+                        () => this.recordSuccess(Date.now() - startTime),
+                        error => this.recordError(error)
+                    )
+                    .finally(() => this.active.delete(task));
+                this.active.add(task);
+            }
+
+            if (this.active.size > 0) {
+                await Promise.race(this.active);
+            }
+        }
+
+        // Let batches already in flight complete
+        await Promise.all(this.active);
+    }
+}
+
+export default WorkerPool;
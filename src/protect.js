@@ -0,0 +1,73 @@
+/**
+ * Span protection module for the Excel Translation Tool
+ * Keeps URLs, e-mail addresses, credits, HTML entities, photo IDs, dates and
+ * numbers away from the provider: they are replaced with placeholders before
+ * translation and restored unchanged afterwards.
+ */
+
+// Alternatives are tried in order, so URLs and IDs win over the numbers inside them
+const SPAN_PATTERN = new RegExp([
+    // URLs, without trailing punctuation of the sentence
+    /(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)\]]/.source,
+    // E-mail addresses
+    /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/.source,
+    // Credits up to the end of the line or the next list separator
+    /©[^\n,;|]*[^\s,;|]/.source,
+    // Named and numeric HTML entities
+    /&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/.source,
+    // Photo IDs: letters and at least three digits, e.g. IMG_1234 or dpa-20240312-ab1
+    /(?<![\p{L}\p{N}])(?=[\p{L}\p{N}_-]*\p{L})(?=(?:[\p{L}_-]*\p{N}){3})[\p{L}\p{N}][\p{L}\p{N}_-]*[\p{L}\p{N}](?![\p{L}\p{N}])/.source,
+    // Dates, times and numbers with their separators: 12.03.2024, 14:30, 1.234,56
+    /(?<![\p{L}\p{N}])\d+(?:[.,:/-]\d+)*(?![\p{L}\p{N}])/.source
+].join('|'), 'giu');
+
+const MARKUP_PATTERN = /<\/?[a-z][\w-]*(?:\s[^<>]*)?\/?>/i;
+
+/**
+ * Checks whether a text contains HTML markup
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text holds at least one tag
+ */
+export function hasMarkup(text) {
+    return MARKUP_PATTERN.test(text);
+}
+
+/**
+ * Replaces protected spans with placeholders
+ * Identical spans share one placeholder.
+ * @param {string} text - Source text
+ * @returns {Object} Text with placeholders and the spans to restore, by placeholder index
+ */
+export function protectSpans(text) {
+    const spans = [];
+    const protectedText = text.replace(SPAN_PATTERN, span => {
+        let index = spans.indexOf(span);
+        if (index === -1) {
+            index = spans.length;
+            spans.push(span);
+        }
+        return `{{P${index}}}`;
+    });
+    return { text: protectedText, spans };
+}
+
+/**
+ * Restores protected spans in a translation
+ * @param {string} text - Translated text containing placeholders
+ * @param {Array<string>} spans - Spans returned by protectSpans()
+ * @returns {Object} Restored text and the spans whose placeholder did not survive
+ */
+export function restoreSpans(text, spans) {
+    let restored = text;
+    const lost = [];
+    spans.forEach((span, i) => {
+        // Engines sometimes add spaces inside the braces
+        const token = new RegExp(`\\{\\s*\\{\\s*P${i}\\s*\\}\\s*\\}`, 'g');
+        if (!token.test(restored)) {
+            lost.push(span);
+            return;
+        }
+        restored = restored.replace(token, () => span);
+    });
+    return { text: restored, lost };
+}
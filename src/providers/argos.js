@@ -0,0 +1,43 @@
+/**
+ * Argos/CTranslate2 provider for the Excel Translation Tool
+ *
+ * Expects a local HTTP shim in front of argos-translate or a CTranslate2 model:
+ *   POST /translate  { texts: [...], source, target }  ->  { translations: [...] }
+ */
+
+import { TranslationProvider, postJson } from './base.js';
+
+export class ArgosProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super(options);
+        this.apiUrl = options.apiUrl || process.env.ARGOS_API_URL || 'http://localhost:5000';
+    }
+
+    get name() {
+        return 'argos';
+    }
+
+    get limits() {
+        return {
+            maxChars: 10000,
+            batch: true,
+            maxBatchSize: 64,
+            rateLimit: { requests: 100, window: 10000 }
+        };
+    }
+
+    get listPrice() {
+        // Runs locally
+        return { perMillionChars: 0, currency: 'USD' };
+    }
+
+    async translate(texts, { source, target, signal } = {}) {
+        const result = await postJson(`${this.apiUrl}/translate`, {
+            texts,
+            source,
+            target
+        }, { signal });
+
+        return result.translations;
+    }
+}
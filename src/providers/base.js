@@ -0,0 +1,160 @@
+/**
+ * Provider base module for the Excel Translation Tool
+ * Defines the interface shared by all translation backends
+ */
+
+import fetch from 'node-fetch';
+import http from 'http';
+import https from 'https';
+import { config } from '../config.js';
+
+// Persistent HTTP agents shared by every provider and pool worker
+const httpAgent = new http.Agent({
+    keepAlive: true,
+    maxSockets: config.PARALLEL_BATCHES,  // One connection per batch in flight
+    timeout: 60000,       // 1 minute timeout
+    maxFreeSockets: 2,    // Keep fewer idle sockets
+    scheduling: 'fifo'    // Predictable request ordering
+});
+
+const httpsAgent = new https.Agent({
+    keepAlive: true,
+    maxSockets: config.PARALLEL_BATCHES,
+    timeout: 60000,
+    maxFreeSockets: 2,
+    scheduling: 'fifo'
+});
+
+/**
+ * Picks the shared agent matching the request protocol
+ * @param {URL} parsedUrl - URL of the outgoing request
+ * @returns {http.Agent} Agent to use for the request
+ */
+export function agent(parsedUrl) {
+    const shared = parsedUrl.protocol === 'https:' ? httpsAgent : httpAgent;
+    // PARALLEL_BATCHES can be set on the command line after the agents were created
+    shared.maxSockets = config.PARALLEL_BATCHES;
+    return shared;
+}
+
+/**
+ * Sends a JSON POST request and returns the parsed response body
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request payload
+ * @param {Object} options - Extra headers and abort signal
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function postJson(url, body, { headers = {}, signal } = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        body: JSON.stringify(body),
+        headers: {
+            'Content-Type': 'application/json',
+            'Connection': 'keep-alive',
+            ...headers
+        },
+        agent,
+        signal
+    });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Sends a GET request and returns the parsed response body
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - Extra headers and abort signal
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export async function getJson(url, { headers = {}, signal } = {}) {
+    const response = await fetch(url, { headers: { 'Connection': 'keep-alive', ...headers }, agent, signal });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Base class for translation providers
+ *
+ * Subclasses implement translate() and describe their limits so the
+ * translator can size batches and rate-limit requests accordingly.
+ */
+export class TranslationProvider {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Short identifier used in config and on the command line
+     * @returns {string} Provider name
+     */
+    get name() {
+        return 'base';
+    }
+
+    /**
+     * Limits of the backend
+     * @returns {Object} maxChars per request, batch support, maxBatchSize and rateLimit
+     */
+    get limits() {
+        return {
+            maxChars: 5000,
+            batch: false,
+            maxBatchSize: 1,
+            rateLimit: { requests: 30, window: 10000 }
+        };
+    }
+
+    /**
+     * Price per million source characters, used by cost estimates
+     * <NAME>_PRICE_PER_MILLION_CHARS and <NAME>_CURRENCY override the list price.
+     * @returns {Object|null} perMillionChars, currency and an optional note, null if unknown
+     */
+    get pricing() {
+        const prefix = this.name.toUpperCase();
+        const price = process.env[`${prefix}_PRICE_PER_MILLION_CHARS`];
+        if (price !== undefined && price !== '' && Number.isFinite(Number(price))) {
+            return { perMillionChars: Number(price), currency: process.env[`${prefix}_CURRENCY`] || 'USD' };
+        }
+        return this.listPrice;
+    }
+
+    /**
+     * Published price of the backend
+     * @returns {Object|null} perMillionChars, currency and an optional note, null if unknown
+     */
+    get listPrice() {
+        return null;
+    }
+
+    /**
+     * Languages supported by the backend, for the preflight check
+     * @param {Object} options - Abort signal
+     * @returns {Promise<Array<Object>|null>} code and targets (codes, null for every
+     *   listed language) of each source language; null if the backend does not tell
+     */
+    async languages(options = {}) {
+        return null;
+    }
+
+    /**
+     * Translates texts, returning translations in the same order
+     * @param {Array<string>} texts - Texts to translate
+     * @param {Object} options - source and target language codes, format ('text' or 'html'), abort signal
+     * @returns {Promise<Array<string>>} Translated texts
+     */
+    async translate(texts, options) {
+        throw new Error(`Provider ${this.name} does not implement translate()`);
+    }
+}
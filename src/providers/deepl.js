@@ -0,0 +1,70 @@
+/**
+ * DeepL provider for the Excel Translation Tool
+ * Works with the DeepL API and compatible self-hosted endpoints
+ */
+
+import { TranslationProvider, postJson, getJson } from './base.js';
+
+export class DeepLProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super(options);
+        this.apiUrl = options.apiUrl || process.env.DEEPL_API_URL || 'https://api-free.deepl.com';
+        this.apiKey = options.apiKey || process.env.DEEPL_API_KEY;
+    }
+
+    get name() {
+        return 'deepl';
+    }
+
+    get limits() {
+        return {
+            maxChars: 120000,     // Request body is capped at 128 KiB
+            batch: true,
+            maxBatchSize: 50,
+            rateLimit: { requests: 50, window: 10000 }
+        };
+    }
+
+    get listPrice() {
+        // API Free has a monthly character quota; API Pro is charged per character
+        const { hostname } = new URL(this.apiUrl);
+        if (hostname === 'api-free.deepl.com') {
+            return { perMillionChars: 0, currency: 'EUR', note: 'DeepL API Free allows 500,000 characters per month' };
+        }
+        return hostname === 'api.deepl.com' ? { perMillionChars: 20, currency: 'EUR' } : null;
+    }
+
+    async languages({ signal } = {}) {
+        if (!this.apiKey) {
+            throw new Error('DEEPL_API_KEY is not set');
+        }
+        const headers = { 'Authorization': `DeepL-Auth-Key ${this.apiKey}` };
+        const [sources, targets] = await Promise.all(['source', 'target'].map(type =>
+            getJson(`${this.apiUrl}/v2/languages?type=${type}`, { headers, signal })
+        ));
+        const targetCodes = targets.map(language => language.language.toLowerCase());
+        return sources.map(language => ({ code: language.language.toLowerCase(), targets: targetCodes }));
+    }
+
+    async translate(texts, { source, target, format = 'text', signal } = {}) {
+        if (!this.apiKey) {
+            throw new Error('DEEPL_API_KEY is not set');
+        }
+
+        const body = {
+            text: texts,
+            source_lang: source.toUpperCase(),
+            target_lang: target.toUpperCase()
+        };
+        if (format === 'html') {
+            body.tag_handling = 'html';
+        }
+
+        const result = await postJson(`${this.apiUrl}/v2/translate`, body, {
+            headers: { 'Authorization': `DeepL-Auth-Key ${this.apiKey}` },
+            signal
+        });
+
+        return result.translations.map(translation => translation.text);
+    }
+}
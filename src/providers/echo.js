@@ -0,0 +1,29 @@
+/**
+ * Echo provider for the Excel Translation Tool
+ * Deterministic offline mock for tests and dry pipeline runs
+ */
+
+import { TranslationProvider } from './base.js';
+
+export class EchoProvider extends TranslationProvider {
+    get name() {
+        return 'echo';
+    }
+
+    get limits() {
+        return {
+            maxChars: Infinity,
+            batch: true,
+            maxBatchSize: 100,
+            rateLimit: { requests: Infinity, window: 1000 }
+        };
+    }
+
+    get listPrice() {
+        return { perMillionChars: 0, currency: 'USD' };
+    }
+
+    async translate(texts, { target } = {}) {
+        return texts.map(text => `[${target}] ${text}`);
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Provider registry for the Excel Translation Tool
+ * Maps provider names from config or the command line to implementations
+ */
+
+import { config } from '../config.js';
+import { LibreTranslateProvider } from './libretranslate.js';
+import { DeepLProvider } from './deepl.js';
+import { OpenAIProvider } from './openai.js';
+import { ArgosProvider } from './argos.js';
+import { EchoProvider } from './echo.js';
+
+const PROVIDERS = {
+    libretranslate: LibreTranslateProvider,
+    deepl: DeepLProvider,
+    openai: OpenAIProvider,
+    argos: ArgosProvider,
+    echo: EchoProvider
+};
+
+/**
+ * Lists the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+    return Object.keys(PROVIDERS);
+}
+
+/**
+ * Creates a provider instance by name
+ * @param {string} name - Provider name; falls back to TRANSLATION_PROVIDER and config
+ * @param {Object} options - Provider-specific options (apiUrl, apiKey, ...)
+ * @returns {TranslationProvider} Provider instance
+ */
+export function createProvider(name, options = {}) {
+    const providerName = (name || process.env.TRANSLATION_PROVIDER || config.PROVIDER).toLowerCase();
+    const Provider = PROVIDERS[providerName];
+
+    if (!Provider) {
+        throw new Error(`Unknown translation provider "${providerName}". Available: ${listProviders().join(', ')}`);
+    }
+
+    return new Provider(options);
+}
@@ -0,0 +1,49 @@
+/**
+ * LibreTranslate provider for the Excel Translation Tool
+ * Talks to a local or remote LibreTranslate /translate endpoint
+ */
+
+import { TranslationProvider, postJson, getJson } from './base.js';
+
+export class LibreTranslateProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super(options);
+        this.apiUrl = options.apiUrl || process.env.LIBRETRANSLATE_API_URL || 'http://localhost:5555';
+        this.apiKey = options.apiKey || process.env.LIBRETRANSLATE_API_KEY;
+    }
+
+    get name() {
+        return 'libretranslate';
+    }
+
+    get limits() {
+        return {
+            maxChars: 5000,
+            batch: true,
+            maxBatchSize: 50,
+            rateLimit: { requests: 30, window: 10000 }
+        };
+    }
+
+    async languages({ signal } = {}) {
+        const result = await getJson(`${this.apiUrl}/languages`, { signal });
+        return result.map(language => ({ code: language.code, targets: language.targets || null }));
+    }
+
+    async translate(texts, { source, target, format = 'text', signal } = {}) {
+        const body = {
+            // LibreTranslate accepts either a single string or an array for q
+            q: texts.length === 1 ? texts[0] : texts,
+            source,
+            target,
+            format
+        };
+        if (this.apiKey) {
+            body.api_key = this.apiKey;
+        }
+
+        const result = await postJson(`${this.apiUrl}/translate`, body, { signal });
+        const translated = result.translatedText;
+        return Array.isArray(translated) ? translated : [translated];
+    }
+}
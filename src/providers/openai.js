@@ -0,0 +1,78 @@
+/**
+ * OpenAI-compatible provider for the Excel Translation Tool
+ * Uses a chat completion endpoint (OpenAI, vLLM, Ollama, LM Studio, ...)
+ */
+
+import { TranslationProvider, postJson } from './base.js';
+
+export class OpenAIProvider extends TranslationProvider {
+    constructor(options = {}) {
+        super(options);
+        this.apiUrl = options.apiUrl || process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    }
+
+    get name() {
+        return 'openai';
+    }
+
+    get limits() {
+        return {
+            maxChars: 8000,
+            batch: true,
+            maxBatchSize: 20,
+            rateLimit: { requests: 20, window: 10000 }
+        };
+    }
+
+    get listPrice() {
+        // gpt-4o-mini at about 4 characters per token, in and out
+        if (new URL(this.apiUrl).hostname === 'api.openai.com' && this.model === 'gpt-4o-mini') {
+            return { perMillionChars: 0.2, currency: 'USD', note: 'approximate, billed by tokens' };
+        }
+        return null;
+    }
+
+    async translate(texts, { source, target, format = 'text', signal } = {}) {
+        const headers = {};
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        // Texts go in and come back as a JSON array so positions can be matched
+        const result = await postJson(`${this.apiUrl}/chat/completions`, {
+            model: this.model,
+            temperature: 0,
+            messages: [
+                {
+                    role: 'system',
+                    content: `Translate each string in the JSON array from ${source} to ${target}. ` +
+                        'Reply with a JSON array of the same length containing only the translations, ' +
+                        'in the same order. Keep placeholders such as {{P0}}, numbers and punctuation unchanged.' +
+                        (format === 'html' ? ' Keep HTML tags and entities in place.' : '')
+                },
+                { role: 'user', content: JSON.stringify(texts) }
+            ]
+        }, { headers, signal });
+
+        const content = (result.choices?.[0]?.message?.content ?? '').trim()
+            .replace(/^```(?:json)?\s*/, '')
+            .replace(/\s*```$/, '');
+        let translations;
+        try {
+            translations = JSON.parse(content);
+        } catch {
+            throw new Error(`Expected a JSON array of translations from ${this.model}, got: ${content.slice(0, 100)}`);
+        }
+
+        if (!Array.isArray(translations)) {
+            throw new Error(`Expected a JSON array of translations from ${this.model}, got ${translations === null ? 'null' : typeof translations}`);
+        }
+        if (translations.length !== texts.length) {
+            throw new Error(`Expected ${texts.length} translations from ${this.model}, got ${translations.length}`);
+        }
+
+        return translations.map(String);
+    }
+}
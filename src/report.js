@@ -0,0 +1,538 @@
+/**
+ * Run report module for the Excel Translation Tool
+ * Collects per-column counts, the origin of every translation and
+ * suspicious outputs for editors to review, and writes them as JSON and HTML
+ * When spooling, report rows are written to temporary files as they are
+ * collected, so that the report of a streamed file does not grow in memory.
+ */
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream, mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import BoundedCache from './cache.js';
+import { config } from './config.js';
+
+// Sources shorter than this are not checked for length outliers
+const MIN_RATIO_LENGTH = 20;
+// Accepted range of translation length / source length
+const LENGTH_RATIO_RANGE = [0.5, 2.0];
+// Locations listed per suspicious output
+const MAX_LOCATIONS = 50;
+// Rows of each section kept in memory when spooling, for the console summary
+const SUMMARY_ROWS = 20;
+
+// Function words of a source language that should not survive translation.
+// Words that are common in other target languages (die, also, was, des) are left out.
+const STOPWORDS = {
+    de: ['und', 'der', 'das', 'nicht', 'ist', 'mit', 'für', 'auf', 'von', 'eine', 'einer', 'einem', 'dem',
+        'sich', 'auch', 'wird', 'werden', 'wurde', 'sind', 'bei', 'aus', 'nach', 'oder', 'über', 'unter',
+        'zwischen', 'sowie', 'zum', 'zur', 'vom', 'beim', 'ein', 'im']
+};
+
+// Placeholders and markup that must be carried over unchanged
+const PLACEHOLDER_PATTERN = /\{\{[^{}]+\}\}|\$\{[^{}]+\}|\{[\w.-]+\}|%(?:\d+\$)?[sdif]|<\/?[a-z][^<>]*>|\[\[[^\]]+\]\]/gi;
+
+const ORIGINS = ['fixed', 'existing', 'checkpoint', 'memory', 'fuzzy', 'cache', 'api'];
+
+/**
+ * Extracts the digits of every number in a text, ignoring separators
+ * @param {string} text - Text to scan
+ * @returns {Array<string>} Sorted digit strings
+ */
+function numberTokens(text) {
+    return (text.match(/\d+(?:[.,:/-]\d+)*/g) || [])
+        .map(token => token.replace(/\D/g, ''))
+        .sort();
+}
+
+/**
+ * Counts the occurrences of each placeholder in a text
+ * @param {string} text - Text to scan
+ * @returns {Map} Map of placeholder to count
+ */
+function placeholderCounts(text) {
+    const counts = new Map();
+    for (const placeholder of text.match(PLACEHOLDER_PATTERN) || []) {
+        counts.set(placeholder, (counts.get(placeholder) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Runs the checks for suspicious translations on one cell
+ * @param {string} source - Source cell value
+ * @param {string} translation - Translated cell value
+ * @param {Object} languages - source and target language codes
+ * @returns {Array<Object>} Findings with reason and detail
+ */
+export function findSuspicious(source, translation, { source: sourceLang, target: targetLang }) {
+    const findings = [];
+
+    if (/\p{L}{3,}/u.test(source) && source.trim().toLowerCase() === translation.trim().toLowerCase()) {
+        findings.push({ reason: 'identical', detail: 'Translation is identical to the source' });
+    }
+
+    if (source.length >= MIN_RATIO_LENGTH) {
+        const ratio = translation.length / source.length;
+        if (ratio < LENGTH_RATIO_RANGE[0] || ratio > LENGTH_RATIO_RANGE[1]) {
+            findings.push({ reason: 'length-ratio', detail: `Length ratio ${ratio.toFixed(2)}` });
+        }
+    }
+
+    if (STOPWORDS[sourceLang] && sourceLang !== targetLang) {
+        const words = new Set(translation.toLowerCase().match(/\p{L}+/gu) || []);
+        const left = STOPWORDS[sourceLang].filter(word => words.has(word));
+        if (left.length > 0) {
+            findings.push({ reason: 'stopwords', detail: `${sourceLang.toUpperCase()} words left: ${left.join(', ')}` });
+        }
+    }
+
+    const sourceNumbers = numberTokens(source);
+    const targetNumbers = numberTokens(translation);
+    if (sourceNumbers.join(' ') !== targetNumbers.join(' ')) {
+        findings.push({ reason: 'numbers', detail: `Numbers changed: ${sourceNumbers.join(', ') || '-'} -> ${targetNumbers.join(', ') || '-'}` });
+    }
+
+    const targetPlaceholders = placeholderCounts(translation);
+    const lost = [...placeholderCounts(source)]
+        .filter(([placeholder, count]) => (targetPlaceholders.get(placeholder) || 0) < count)
+        .map(([placeholder]) => placeholder);
+    if (lost.length > 0) {
+        findings.push({ reason: 'placeholders', detail: `Lost: ${lost.join(' ')}` });
+    }
+
+    return findings;
+}
+
+/**
+ * Rows of one report section, kept in memory or spooled to a JSONL file
+ */
+class ReportRows {
+    /**
+     * @param {string|null} spoolPath - File to write the rows to, null to keep them in memory
+     */
+    constructor(spoolPath = null) {
+        this.spoolPath = spoolPath;
+        this.rows = [];                   // All rows, or the first SUMMARY_ROWS when spooling
+        this.length = 0;
+        this.stream = null;
+    }
+
+    /**
+     * Adds rows to the section
+     * @param {...Object} rows - Rows to add
+     * @returns {number} Number of rows in the section
+     */
+    push(...rows) {
+        for (const row of rows) {
+            if (!this.spoolPath || this.rows.length < SUMMARY_ROWS) {
+                this.rows.push(row);
+            }
+            if (this.spoolPath) {
+                this.stream ||= createWriteStream(this.spoolPath, { encoding: 'utf8' });
+                this.stream.write(JSON.stringify(row) + '\n');
+            }
+            this.length++;
+        }
+        return this.length;
+    }
+
+    /**
+     * Returns the first rows of the section
+     * @param {number} count - Number of rows, at most SUMMARY_ROWS when spooling
+     * @returns {Array<Object>} Rows
+     */
+    first(count) {
+        return this.rows.slice(0, count);
+    }
+
+    /**
+     * Reads all rows, from the spool file when spooling
+     * @yields {Object} Rows in the order they were added
+     */
+    async *[Symbol.asyncIterator]() {
+        if (!this.stream) {
+            yield* this.rows;
+            return;
+        }
+
+        // The callback of an empty write runs once everything before it is written
+        await new Promise((resolve, reject) => {
+            this.stream.write('', error => error ? reject(error) : resolve());
+        });
+        const lines = readline.createInterface({
+            input: createReadStream(this.spoolPath, 'utf8'),
+            crlfDelay: Infinity
+        });
+        for await (const line of lines) {
+            if (line) yield JSON.parse(line);
+        }
+    }
+
+    /**
+     * Closes the spool file
+     */
+    async close() {
+        if (!this.stream) return;
+        await new Promise((resolve, reject) => {
+            this.stream.end(error => error ? reject(error) : resolve());
+        });
+        this.stream = null;
+    }
+}
+
+/**
+ * Collects the outcome of a run for the report
+ */
+export class RunReport {
+    /**
+     * @param {Object} meta - input, output, format, provider, sourceLang and targetLangs of the run
+     * @param {Object} options - Report options
+     * @param {boolean} options.spool - Write the report rows to temporary files instead of keeping
+     *   them; the glossary violations looked up for cells are then kept for STREAM_CACHE_SIZE texts
+     */
+    constructor(meta, { spool = false } = {}) {
+        this.meta = { ...meta, startedAt: new Date().toISOString() };
+        this.spoolDir = spool ? mkdtempSync(path.join(os.tmpdir(), 'translation-report-')) : null;
+        const rows = name => new ReportRows(this.spoolDir && path.join(this.spoolDir, `${name}.jsonl`));
+        this.glossaryViolations = rows('glossaryViolations');
+        this.failures = rows('failures');
+        this.nearDuplicates = rows('nearDuplicates');
+        this.suspicious = rows('suspicious');
+        this.texts = {};
+        this.columns = new Map();
+        this.pendingSuspicious = new Map();
+        this.violationsByText = spool ? new BoundedCache(config.STREAM_CACHE_SIZE) : new Map();
+    }
+
+    /**
+     * Adds the origin counts of the unique texts of one target language
+     * @param {string} targetLang - Target language code
+     * @param {Object} counts - Number of texts per origin (fixed, existing, checkpoint, memory, fuzzy, cache, api, failed)
+     */
+    addTextCounts(targetLang, counts) {
+        const totals = this.texts[targetLang] || (this.texts[targetLang] = {});
+        for (const [origin, count] of Object.entries(counts)) {
+            totals[origin] = (totals[origin] || 0) + count;
+        }
+    }
+
+    /**
+     * Records a glossary violation and indexes it by source text
+     * @param {Object} violation - targetLang, sourceText, translation, reason and the term details
+     */
+    addGlossaryViolation(violation) {
+        this.glossaryViolations.push(violation);
+        const key = `${violation.targetLang}\u0000${violation.sourceText}`;
+        let violations = this.violationsByText.get(key);
+        if (!violations) {
+            violations = [];
+            this.violationsByText.set(key, violations);
+        }
+        violations.push(violation);
+    }
+
+    /**
+     * Returns the glossary violations of a source text
+     * @param {string} targetLang - Target language code
+     * @param {string} text - Source text
+     * @returns {Array<Object>} Violations
+     */
+    violationsOf(targetLang, text) {
+        return this.violationsByText.get(`${targetLang}\u0000${text}`) || [];
+    }
+
+    /**
+     * Records one translated (or untranslated) cell
+     * @param {Object} cell - sheet, row (number as shown in the file), column, source value
+     *   and the texts translated for it (the keywords of keyword cells)
+     * @param {Object} target - targetLang, targetColumn, translation (null if missing),
+     *   origin ('cache', 'api' or 'failed'; null if not attempted)
+     * @param {Object} languages - source and target language codes
+     * @param {boolean} fixed - Whether the cell holds a fixed value of the mapping
+     */
+    addCell({ sheet, row, column, value, texts }, { targetLang, targetColumn, translation, origin }, languages, fixed = false) {
+        const key = `${sheet}\u0000${column}\u0000${targetLang}`;
+        if (!this.columns.has(key)) {
+            this.columns.set(key, { sheet, column, targetColumn, targetLang, cells: 0, translated: 0, cache: 0, api: 0, failed: 0, missing: 0, suspicious: 0 });
+        }
+        const counts = this.columns.get(key);
+        counts.cells++;
+
+        if (translation === null) {
+            counts[origin === 'failed' ? 'failed' : 'missing']++;
+            return;
+        }
+        counts.translated++;
+        counts[origin === 'api' ? 'api' : 'cache']++;
+
+        const source = String(value);
+        const findings = fixed ? [] : findSuspicious(source, translation, languages);
+        for (const text of texts) {
+            for (const violation of this.violationsOf(targetLang, text)) {
+                const detail = violation.term ? `${violation.reason}: "${violation.term}" -> expected "${violation.expected}"` : violation.reason;
+                findings.push({ reason: 'glossary', detail });
+            }
+        }
+        if (findings.length === 0) return;
+
+        counts.suspicious++;
+        const entryKey = `${targetLang}\u0000${source}\u0000${translation}`;
+        if (!this.pendingSuspicious.has(entryKey)) {
+            this.pendingSuspicious.set(entryKey, { targetLang, source, translation, findings, occurrences: 0, locations: [] });
+        }
+        const entry = this.pendingSuspicious.get(entryKey);
+        entry.occurrences++;
+        if (entry.locations.length < MAX_LOCATIONS) {
+            entry.locations.push({ sheet, row, column, targetColumn });
+        }
+    }
+
+    /**
+     * Adds the suspicious outputs collected so far to the report rows
+     * Outputs found again after a flush get a row of their own, so streaming
+     * flushes after every chunk.
+     */
+    flush() {
+        this.suspicious.push(...this.pendingSuspicious.values());
+        this.pendingSuspicious.clear();
+    }
+
+    /**
+     * Builds the summary of the report, without the row sections
+     * @returns {Object} Meta data, totals, texts and columns
+     */
+    summary() {
+        const columns = [...this.columns.values()];
+        const totals = { cells: 0, translated: 0, cache: 0, api: 0, failed: 0, missing: 0, suspicious: 0 };
+        for (const counts of columns) {
+            for (const key of Object.keys(totals)) {
+                totals[key] += counts[key];
+            }
+        }
+
+        return {
+            ...this.meta,
+            finishedAt: new Date().toISOString(),
+            totals,
+            texts: this.texts,
+            columns
+        };
+    }
+
+    /**
+     * Returns the row sections of the report
+     * @returns {Object} suspicious, failures, nearDuplicates and glossaryViolations rows
+     */
+    sections() {
+        this.flush();
+        return {
+            suspicious: this.suspicious,
+            failures: this.failures,
+            nearDuplicates: this.nearDuplicates,
+            glossaryViolations: this.glossaryViolations
+        };
+    }
+
+    /**
+     * Closes and removes the spool files
+     */
+    async close() {
+        for (const rows of [this.glossaryViolations, this.failures, this.nearDuplicates, this.suspicious]) {
+            await rows.close();
+        }
+        if (this.spoolDir) {
+            await fs.rm(this.spoolDir, { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a location as a link into the output file where the format allows
+ * Spreadsheet apps open links of the form file.xlsx#'Sheet'!A5 at that row.
+ * @param {Object} location - sheet, row and column
+ * @param {string|null} outputHref - Relative link to the output file, null for no links
+ * @returns {string} HTML
+ */
+function renderLocation({ sheet, row, column }, outputHref) {
+    const label = `${escapeHtml(sheet)}!${row} ${escapeHtml(column)}`;
+    if (!outputHref) return label;
+    const target = `${outputHref}#'${String(sheet).replace(/'/g, "''")}'!A${row}`;
+    return `<a href="${escapeHtml(encodeURI(target))}">${label}</a>`;
+}
+
+/**
+ * Renders an HTML table
+ * @param {Array<string>} headers - Column titles
+ * @param {Array<Object>|ReportRows} rows - Rows to render
+ * @param {Function} renderRow - Returns the cells of a row as HTML
+ * @yields {string} HTML
+ */
+async function* renderTable(headers, rows, renderRow) {
+    if (rows.length === 0) {
+        yield '<p class="empty">None</p>';
+        return;
+    }
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+    yield `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n`;
+    for await (const row of rows) {
+        yield `<tr>${renderRow(row).map(cell => `<td>${cell}</td>`).join('')}</tr>\n`;
+    }
+    yield '</tbody>\n</table>';
+}
+
+/**
+ * Renders the report as a static HTML page
+ * @param {Object} report - Report summary from RunReport.summary()
+ * @param {Object} sections - Report rows from RunReport.sections()
+ * @param {string|null} outputHref - Relative link to the output file, null for no links
+ * @yields {string} Parts of the HTML document
+ */
+export async function* renderHtml(report, sections, outputHref) {
+    const { totals } = report;
+    const { suspicious, failures, nearDuplicates } = sections;
+
+    yield `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Translation report: ${escapeHtml(path.basename(report.input))}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f0f0; }
+.reason { font-weight: bold; color: #a33; }
+.empty { color: #777; }
+</style>
+</head>
+<body>
+<h1>Translation report</h1>
+<p>
+Input: ${escapeHtml(report.input)}<br>
+Output: ${escapeHtml(report.output)}<br>
+Provider: ${escapeHtml(report.provider)} | ${escapeHtml(report.sourceLang.toUpperCase())} -&gt; ${escapeHtml(report.targetLangs.map(lang => lang.toUpperCase()).join(', '))}<br>
+Run: ${escapeHtml(report.startedAt)} to ${escapeHtml(report.finishedAt)}
+</p>
+<p>
+Cells: ${totals.cells} | Translated: ${totals.translated} (cache ${totals.cache}, API ${totals.api}) |
+Failed: ${totals.failed} | Missing: ${totals.missing} | Suspicious: ${totals.suspicious}
+</p>
+<h2>Texts by origin</h2>
+`;
+    yield* renderTable(
+        ['Language', 'Fixed', 'Existing output', 'Checkpoint', 'Memory', 'Near duplicate', 'Cache', 'API', 'Failed'],
+        Object.entries(report.texts),
+        ([lang, counts]) => [
+            escapeHtml(lang.toUpperCase()),
+            ...ORIGINS.map(origin => String(counts[origin] || 0)),
+            String(counts.failed || 0)
+        ]
+    );
+    yield '\n<h2>Columns</h2>\n';
+    yield* renderTable(
+        ['Sheet', 'Column', 'Target', 'Cells', 'Translated', 'Cache', 'API', 'Failed', 'Missing', 'Suspicious'],
+        report.columns,
+        counts => [
+            escapeHtml(counts.sheet),
+            escapeHtml(counts.column),
+            escapeHtml(counts.targetColumn),
+            ...['cells', 'translated', 'cache', 'api', 'failed', 'missing', 'suspicious'].map(key => String(counts[key]))
+        ]
+    );
+    yield `\n<h2>Suspicious translations (${suspicious.length})</h2>\n`;
+    yield* renderTable(['Reason', 'Language', 'Source', 'Translation', 'Rows'], suspicious, entry => [
+        entry.findings.map(finding => `<span class="reason">${escapeHtml(finding.reason)}</span> ${escapeHtml(finding.detail)}`).join('<br>'),
+        escapeHtml(entry.targetLang.toUpperCase()),
+        escapeHtml(entry.source),
+        escapeHtml(entry.translation),
+        entry.locations.map(location => renderLocation(location, outputHref)).join('<br>') +
+            (entry.occurrences > entry.locations.length ? `<br>... ${entry.occurrences - entry.locations.length} more` : '')
+    ]);
+    yield `\n<h2>Near duplicates (${nearDuplicates.length})</h2>\n`;
+    yield* renderTable(['Language', 'Text', 'Translated like', 'Similarity', 'Translation'], nearDuplicates, entry => [
+        escapeHtml(entry.targetLang.toUpperCase()),
+        escapeHtml(entry.text),
+        escapeHtml(entry.match),
+        `${Math.floor(entry.similarity * 100)}%`,
+        escapeHtml(entry.translation)
+    ]);
+    yield `\n<h2>Failed translations (${failures.length})</h2>\n`;
+    yield* renderTable(['Language', 'Text', 'Error', 'Attempts', 'Message', 'Rows'], failures, failure => [
+        escapeHtml(failure.targetLang.toUpperCase()),
+        escapeHtml(failure.text),
+        escapeHtml(`${failure.errorClass}${failure.status ? ` ${failure.status}` : ''}`),
+        String(failure.attempts),
+        escapeHtml(failure.message),
+        (failure.locations || []).slice(0, MAX_LOCATIONS).map(location => renderLocation(location, outputHref)).join('<br>')
+    ]);
+    yield '\n</body>\n</html>\n';
+}
+
+/**
+ * Renders the report as JSON, laid out like JSON.stringify(report, null, 2)
+ * @param {Object} report - Report summary from RunReport.summary()
+ * @param {Object} sections - Report rows from RunReport.sections()
+ * @yields {string} Parts of the JSON document
+ */
+async function* renderJson(report, sections) {
+    // The summary without its closing brace
+    yield JSON.stringify(report, null, 2).slice(0, -2);
+    for (const [name, rows] of Object.entries(sections)) {
+        yield `,\n  ${JSON.stringify(name)}: [`;
+        let separator = '';
+        for await (const row of rows) {
+            yield `${separator}\n    ${JSON.stringify(row, null, 2).replace(/\n/g, '\n    ')}`;
+            separator = ',';
+        }
+        yield rows.length > 0 ? '\n  ]' : ']';
+    }
+    yield '\n}';
+}
+
+/**
+ * Builds the report path for an input
+ * @param {string} inputPath - Path to the input file or directory
+ * @param {string} extension - '.json' or '.html'
+ * @param {string} outputDir - Directory of the output
+ * @returns {string} Path inside the output directory
+ */
+export function getReportPath(inputPath, extension, outputDir = 'output') {
+    return path.join(outputDir, `${path.parse(inputPath).name}_report${extension}`);
+}
+
+/**
+ * Writes the report as JSON and HTML next to the output
+ * @param {RunReport} runReport - Collected run data
+ * @param {Object} options - inputPath, and whether the output format supports row links
+ * @returns {Promise<Object>} Paths of the json and html files
+ */
+export async function writeReport(runReport, { inputPath, linkRows }) {
+    const report = runReport.summary();
+    const sections = runReport.sections();
+    const jsonPath = getReportPath(inputPath, '.json', path.dirname(report.output));
+    const htmlPath = getReportPath(inputPath, '.html', path.dirname(report.output));
+    const outputHref = linkRows ? path.relative(path.dirname(htmlPath), report.output).split(path.sep).join('/') : null;
+
+    await fs.mkdir(path.dirname(jsonPath), { recursive: true });
+    await pipeline(Readable.from(renderJson(report, sections)), createWriteStream(jsonPath, 'utf8'));
+    await pipeline(Readable.from(renderHtml(report, sections, outputHref)), createWriteStream(htmlPath, 'utf8'));
+    return { jsonPath, htmlPath };
+}
@@ -0,0 +1,137 @@
+/**
+ * Sentence segmentation module for the Excel Translation Tool
+ * Splits texts longer than a provider accepts into sentences, keeping the
+ * whitespace and line breaks between them so translations can be rejoined
+ * in the original layout.
+ */
+
+// Abbreviations that end with a period without ending the sentence, lowercased
+const ABBREVIATIONS = {
+    de: [
+        'z.b', 'd.h', 'u.a', 'o.ä', 'u.ä', 's.o', 's.u', 'i.d.r', 'z.t', 'u.u', 'v.a', 'bzw', 'usw', 'etc',
+        'ca', 'vgl', 'evtl', 'ggf', 'inkl', 'exkl', 'zzgl', 'sog', 'bzgl', 'ehem', 'geb', 'gest', 'verh',
+        'dr', 'prof', 'dipl', 'ing', 'hr', 'fr', 'st', 'nr', 'str', 'abb', 'bd', 'jh', 'jhd', 'jhdt',
+        'mio', 'mrd', 'tsd', 'mind', 'max', 'min', 'gem', 'kath', 'ev', 'hl', 'bhf', 'hbf',
+        'jan', 'feb', 'mär', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'okt', 'nov', 'dez'
+    ],
+    en: [
+        'e.g', 'i.e', 'etc', 'vs', 'approx', 'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'no', 'jr', 'sr',
+        'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+    ]
+};
+
+// Sentence end: terminal punctuation with optional closing quotes or brackets, then whitespace
+const BOUNDARY_PATTERN = /[.!?…]+["'»«“”)\]]*(?=\s)/g;
+
+/**
+ * Checks whether the period at the end of a text belongs to an abbreviation,
+ * an initial or an ordinal number
+ * @param {string} before - Text up to and including the period
+ * @param {Set<string>} abbreviations - Known abbreviations of the language
+ * @returns {boolean} True if the period does not end the sentence
+ */
+function isAbbreviation(before, abbreviations) {
+    // Ordinal numbers such as "3. März" or "19. Jahrhundert"; years end sentences
+    const number = before.match(/(?<![\p{L}\p{N}])(\d+)\.$/u);
+    if (number) return number[1].length <= 2;
+
+    // Multi-part abbreviations are written with or without spaces: "z. B." or "z.B."
+    const chain = before.match(/(?:\p{L}+\.\s?)*\p{L}+\.$/u)?.[0];
+    if (!chain) return false;
+    const parts = chain.toLowerCase().split(/\.\s?/).filter(Boolean);
+
+    // Initials such as "Max M. Müller" and the parts of "z. B."
+    if (parts[parts.length - 1].length === 1) return true;
+    for (let count = 1; count <= parts.length; count++) {
+        if (abbreviations.has(parts.slice(-count).join('.'))) return true;
+    }
+    return false;
+}
+
+/**
+ * Splits a text into sentences
+ * Line breaks always end a sentence; periods after abbreviations, initials
+ * and ordinal numbers do not.
+ * @param {string} text - Text to split
+ * @param {string} lang - Language of the text
+ * @returns {Object} sentences and the separators around them:
+ *   separators[0] + sentences[0] + separators[1] + ... + separators[n] === text
+ */
+export function splitSentences(text, lang = 'de') {
+    const abbreviations = new Set(ABBREVIATIONS[lang] || ABBREVIATIONS.en);
+    const sentences = [];
+    const separators = [];
+
+    // Cut positions: after each sentence end that is not an abbreviation
+    const cuts = [];
+    for (const match of text.matchAll(BOUNDARY_PATTERN)) {
+        const end = match.index + match[0].length;
+        if (match[0].startsWith('.') && match[0].length === 1 && isAbbreviation(text.slice(0, end), abbreviations)) {
+            continue;
+        }
+        cuts.push(end);
+    }
+    for (const match of text.matchAll(/\r?\n/g)) {
+        cuts.push(match.index);
+    }
+    cuts.sort((a, b) => a - b);
+
+    let position = 0;
+    let separator = '';
+    for (const cut of [...cuts, text.length]) {
+        if (cut < position) continue;
+        const piece = text.slice(position, cut);
+        const leading = piece.match(/^\s*/)[0];
+        const sentence = piece.trim();
+        if (sentence) {
+            separators.push(separator + leading);
+            sentences.push(sentence);
+            separator = piece.slice(leading.length + sentence.length);
+        } else {
+            separator += piece;
+        }
+        position = cut;
+    }
+    separators.push(separator);
+
+    return { sentences, separators };
+}
+
+/**
+ * Splits a text into sentences no longer than a maximum length
+ * Sentences that are still too long are cut at the last whitespace before the limit.
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum length of a piece
+ * @param {string} lang - Language of the text
+ * @returns {Object} sentences and separators as returned by splitSentences()
+ */
+export function splitLongText(text, maxLength, lang = 'de') {
+    const { sentences, separators } = splitSentences(text, lang);
+    const pieces = [];
+    const pieceSeparators = [separators[0]];
+
+    sentences.forEach((sentence, i) => {
+        let rest = sentence;
+        while (rest.length > maxLength) {
+            const space = rest.lastIndexOf(' ', maxLength);
+            const cut = space > 0 ? space : maxLength;
+            pieces.push(rest.slice(0, cut));
+            pieceSeparators.push(space > 0 ? ' ' : '');
+            rest = rest.slice(space > 0 ? cut + 1 : cut);
+        }
+        pieces.push(rest);
+        pieceSeparators.push(separators[i + 1]);
+    });
+
+    return { sentences: pieces, separators: pieceSeparators };
+}
+
+/**
+ * Rejoins translated sentences with the original separators
+ * @param {Array<string>} sentences - Translated sentences in order
+ * @param {Array<string>} separators - Separators returned by splitSentences()
+ * @returns {string} Joined text
+ */
+export function joinSentences(sentences, separators) {
+    return sentences.reduce((text, sentence, i) => text + sentence.trim() + separators[i + 1], separators[0]);
+}
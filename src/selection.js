@@ -0,0 +1,186 @@
+/**
+ * Row selection module for the Excel Translation Tool
+ * Narrows down the rows of a sheet that are translated: row ranges, filters
+ * over column values and random or stratified samples. Rows that are not
+ * selected are written unchanged.
+ */
+
+import { normalizeText } from './normalize.js';
+
+// Operators of filter expressions, longest first
+const FILTER_PATTERN = /^(.+?)\s*(!=|!~|=|~)\s*(.*)$/s;
+
+/**
+ * Parses a filter expression
+ * "column=a|b" keeps rows whose cell is one of the values, "column!=a|b" the
+ * others; an empty value stands for an empty cell, so "column=" keeps rows
+ * where the cell is empty. "column~pattern" and "column!~pattern" match a
+ * regular expression. Values are compared without regard to case.
+ * @param {string} expression - Filter expression, e.g. "IPTC_DE_Land=Deutschland"
+ * @returns {Object} column, operator and the values or pattern
+ * @throws {Error} If the expression is malformed
+ */
+export function parseFilter(expression) {
+    const match = String(expression).match(FILTER_PATTERN);
+    if (!match) {
+        throw new Error(`expected column=value, column!=value, column~pattern or column!~pattern, got "${expression}"`);
+    }
+    const [, column, operator, value] = match;
+    if (operator.endsWith('~')) {
+        try {
+            return { column: column.trim(), operator, pattern: new RegExp(value, 'iu') };
+        } catch (error) {
+            throw new Error(`invalid pattern in "${expression}": ${error.message}`);
+        }
+    }
+    return { column: column.trim(), operator, values: value.split('|').map(item => normalizeText(item).toLowerCase()) };
+}
+
+/**
+ * Checks whether a row passes a filter
+ * @param {Object} row - Row keyed by column name
+ * @param {Object} filter - Filter from parseFilter()
+ * @returns {boolean} True if the row is kept
+ */
+function matchesFilter(row, filter) {
+    const value = normalizeText(row[filter.column]);
+    switch (filter.operator) {
+        case '=': return filter.values.includes(value.toLowerCase());
+        case '!=': return !filter.values.includes(value.toLowerCase());
+        case '~': return filter.pattern.test(value);
+        default: return !filter.pattern.test(value);
+    }
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks random items, keeping their order
+ * @param {Array} items - Items to pick from
+ * @param {number} count - Number of items to pick
+ * @param {Function} random - Random number generator
+ * @returns {Array} Picked items in their original order
+ */
+function pickRandom(items, count, random) {
+    const indices = items.map((_, i) => i);
+    const picked = Math.min(count, items.length);
+    // Partial Fisher-Yates shuffle
+    for (let i = 0; i < picked; i++) {
+        const j = i + Math.floor(random() * (indices.length - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, picked).sort((a, b) => a - b).map(i => items[i]);
+}
+
+/**
+ * Samples rows at random, or in proportion to the groups of a column
+ * Stratified samples give every group its share of the sample size, rounded
+ * by largest remainder; ties between groups are broken at random.
+ * @param {Array<Object>} rows - Rows to sample from
+ * @param {number} size - Sample size
+ * @param {Object} options - seed and stratify (column name, null for a simple random sample)
+ * @returns {Array<Object>} Sampled rows in their original order
+ */
+export function sampleRows(rows, size, { seed, stratify = null }) {
+    const random = createRandom(seed);
+    if (!stratify || size >= rows.length) {
+        return pickRandom(rows, size, random);
+    }
+
+    const groups = new Map();
+    for (const row of rows) {
+        const key = normalizeText(row[stratify]).toLowerCase();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+
+    const shares = [...groups.values()].map(group => {
+        const exact = (size * group.length) / rows.length;
+        return { group, count: Math.floor(exact), remainder: exact - Math.floor(exact), tiebreak: random() };
+    });
+    let left = size - shares.reduce((sum, share) => sum + share.count, 0);
+    for (const share of [...shares].sort((a, b) => b.remainder - a.remainder || a.tiebreak - b.tiebreak)) {
+        if (left === 0) break;
+        share.count++;
+        left--;
+    }
+
+    const picked = new Set(shares.flatMap(({ group, count }) => pickRandom(group, count, random)));
+    return rows.filter(row => picked.has(row));
+}
+
+/**
+ * Selects the rows of a sheet to translate
+ * The row range applies first, then the filters, then the sample.
+ * @param {Array<Object>} rows - Rows of the sheet
+ * @param {Object} selection - rowRange, filters (expressions), sample size, seed and stratify column
+ * @param {Function} rowNumber - Row number of a row as shown in the file, from the format
+ * @returns {Array<Object>} Selected rows in their original order
+ */
+export function selectRows(rows, selection, rowNumber) {
+    const { rowRange, filters, sample, seed, stratify } = selection;
+    let selected = rows;
+
+    if (rowRange) {
+        selected = selected.filter(row => {
+            const number = rowNumber(row);
+            return number >= rowRange.from && number <= rowRange.to;
+        });
+    }
+    if (filters?.length > 0) {
+        const parsed = filters.map(parseFilter);
+        selected = selected.filter(row => parsed.every(filter => matchesFilter(row, filter)));
+    }
+    if (sample) {
+        selected = sampleRows(selected, sample, { seed, stratify });
+    }
+    return selected;
+}
+
+/**
+ * Checks whether a selection narrows down the rows at all
+ * @param {Object} selection - Selection options
+ * @returns {boolean} True if some rows may be left out
+ */
+export function hasRowSelection({ rowRange, filters, sample } = {}) {
+    return Boolean(rowRange || filters?.length > 0 || sample);
+}
+
+/**
+ * Describes a selection for the log
+ * @param {Object} selection - Selection options
+ * @returns {Array<string>} One line per part of the selection
+ */
+export function describeSelection({ rowRange, filters, sample, seed, stratify, onlyMissing }) {
+    const lines = [];
+    if (rowRange) lines.push(`Rows ${rowRange.from} to ${rowRange.to === Infinity ? 'the end' : rowRange.to}`);
+    for (const filter of filters || []) lines.push(`Rows where ${filter}`);
+    if (sample) lines.push(`Sample of ${sample} rows per sheet${stratify ? `, stratified by ${stratify}` : ''} (seed ${seed})`);
+    if (onlyMissing) lines.push('Only cells whose target is empty');
+    return lines;
+}
+
+/**
+ * Checks whether the target cell of a column is still empty
+ * @param {Object} row - Row keyed by column name
+ * @param {Object} column - Resolved column with its targets
+ * @param {string} targetLang - Target language code
+ * @returns {boolean} True if the target cell holds no text
+ */
+export function isTargetMissing(row, column, targetLang) {
+    return normalizeText(row[column.targets[targetLang]]) === '';
+}
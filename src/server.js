@@ -0,0 +1,568 @@
+/**
+ * Job service module for the Excel Translation Tool
+ * Accepts uploads and translation jobs over HTTP and runs the jobs one after
+ * another. Jobs are stored as JSON files; after a restart, queued and
+ * interrupted jobs run again and resume from their checkpoints.
+ *
+ * Endpoints:
+ *   POST /api/uploads?name=<file>    file as request body or multipart/form-data -> upload
+ *   POST /api/jobs                   { upload, options }                         -> job
+ *   GET  /api/jobs                                                               -> jobs
+ *   GET  /api/jobs/:id                                                           -> job with progress
+ *   GET  /api/jobs/:id/events        server-sent events: status and progress
+ *   GET  /api/jobs/:id/result        translated file
+ *   GET  /api/jobs/:id/report        run report, ?format=html for the HTML page
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { EventEmitter } from 'events';
+import path from 'path';
+import { config } from './config.js';
+import { useProvider } from './translator.js';
+import { parseLanguageList } from './columns.js';
+import { detectFormat } from './formats/index.js';
+
+// Job options a client may set; everything else comes from the server defaults
+const JOB_OPTIONS = {
+    provider: value => String(value),
+    sourceLang: value => String(value).toLowerCase(),
+    targetLangs: value => {
+        const langs = parseLanguageList(value);
+        if (langs.length === 0) throw new Error('targetLangs must name at least one language');
+        return langs;
+    },
+    sheetNames: value => {
+        const names = (Array.isArray(value) ? value : String(value).split(',')).map(name => String(name).trim()).filter(Boolean);
+        return names.length > 0 ? names : null;
+    },
+    format: value => String(value),
+    encoding: value => String(value),
+    delimiter: value => value === 'tab' || value === '\\t' ? '\t' : String(value),
+    stream: Boolean,
+    testMode: Boolean,
+    protectSpans: Boolean,
+    fuzzyThreshold: value => {
+        const threshold = Number(value);
+        if (!(threshold > 0 && threshold <= 1)) throw new Error('fuzzyThreshold must be between 0 and 1');
+        return threshold;
+    }
+};
+
+/**
+ * Creates an error answered with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message for the client
+ * @returns {Error} Error with status
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Creates a short random identifier
+ * @returns {string} 12 hex characters
+ */
+function createId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Writes a JSON file atomically
+ * @param {string} filePath - Target path
+ * @param {Object} data - Data to write
+ */
+async function writeJson(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Validates the options of a new job
+ * @param {Object} options - Options sent by the client
+ * @returns {Object} Accepted options
+ * @throws {Error} With status 400 for unknown or invalid options
+ */
+function parseJobOptions(options = {}) {
+    const parsed = {};
+    for (const [key, value] of Object.entries(options)) {
+        if (!JOB_OPTIONS[key]) {
+            throw httpError(400, `Unknown job option "${key}" (allowed: ${Object.keys(JOB_OPTIONS).join(', ')})`);
+        }
+        if (value === null || value === undefined) continue;
+        try {
+            parsed[key] = JOB_OPTIONS[key](value);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Finds the file part of a multipart/form-data body
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Object|null} name and content of the first file, null if there is none
+ */
+function parseMultipartFile(body, contentType) {
+    const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundary) return null;
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const headerEnd = body.indexOf('\r\n\r\n', start);
+        if (headerEnd === -1) break;
+        const next = body.indexOf(delimiter, headerEnd + 4);
+        if (next === -1) break;
+
+        const headers = body.subarray(start + delimiter.length, headerEnd).toString('utf8');
+        const name = headers.match(/filename="([^"]*)"/i)?.[1];
+        if (name) {
+            // The part ends with CRLF before the next delimiter
+            return { name, content: body.subarray(headerEnd + 4, next - 2) };
+        }
+        start = next;
+    }
+    return null;
+}
+
+/**
+ * Reads a request body into memory up to a size limit
+ * @param {http.IncomingMessage} request - Request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(request, limit) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > limit) {
+            throw httpError(413, `Request body exceeds ${limit} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Creates a stream that passes data through up to a size limit
+ * Chunked uploads declare no size, so the limit is checked as data arrives.
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Transform} Stream that fails with a 413 error once the limit is passed
+ */
+function limitSize(limit) {
+    let size = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > limit) {
+                callback(httpError(413, `Upload exceeds ${limit} bytes`));
+            } else {
+                callback(null, chunk);
+            }
+        }
+    });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ */
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(data));
+}
+
+/**
+ * Sends a file as a download
+ * @param {http.ServerResponse} response - Response
+ * @param {string} filePath - File to send
+ * @param {string} downloadName - File name offered to the client
+ * @param {string} contentType - MIME type
+ */
+async function sendFile(response, filePath, downloadName, contentType = 'application/octet-stream') {
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats) {
+        throw httpError(404, 'File not found');
+    }
+    response.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Length': stats.size,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`
+    });
+    await pipeline(createReadStream(filePath), response);
+}
+
+/**
+ * Queue of translation jobs, persisted in the jobs directory
+ * Emits 'update' with the job whenever its status or progress changes.
+ */
+class JobQueue extends EventEmitter {
+    /**
+     * @param {Object} options - jobsDir, processFile(inputPath, options), defaults and isShuttingDown
+     */
+    constructor({ jobsDir, processFile, defaults, isShuttingDown }) {
+        super();
+        this.jobsDir = jobsDir;
+        this.uploadsDir = path.join(jobsDir, 'uploads');
+        this.processFile = processFile;
+        this.defaults = defaults;
+        this.isShuttingDown = isShuttingDown;
+        this.jobs = new Map();
+        this.running = null;
+    }
+
+    /**
+     * Loads stored jobs; queued and interrupted jobs are queued again
+     */
+    async load() {
+        await fs.mkdir(this.uploadsDir, { recursive: true });
+        const files = (await fs.readdir(this.jobsDir)).filter(file => file.endsWith('.json'));
+        for (const file of files) {
+            try {
+                const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf8'));
+                if (job.status === 'running') {
+                    console.log(`Job ${job.id} was interrupted; it resumes from its checkpoint`);
+                    job.status = 'queued';
+                }
+                this.jobs.set(job.id, job);
+            } catch (error) {
+                console.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+            }
+        }
+        const queued = [...this.jobs.values()].filter(job => job.status === 'queued').length;
+        console.log(`Jobs: ${this.jobs.size} stored, ${queued} queued`);
+    }
+
+    /**
+     * Stores an uploaded file
+     * @param {string} name - Original file name
+     * @param {Function} write - Writes the content to the given path
+     * @returns {Promise<Object>} id, name and size of the upload
+     */
+    async addUpload(name, write) {
+        const safeName = path.basename(String(name || '')).replace(/[^\w.\- ]/g, '_');
+        if (!safeName || safeName.startsWith('.')) {
+            throw httpError(400, 'Upload needs a file name, e.g. ?name=export.xlsx');
+        }
+        try {
+            detectFormat(safeName);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+
+        // The id prefix keeps outputs of uploads with the same name apart
+        const id = createId();
+        const filePath = path.join(this.uploadsDir, `${id}-${safeName}`);
+        try {
+            await write(filePath);
+        } catch (error) {
+            // Partial uploads are not kept
+            await fs.rm(filePath, { force: true });
+            throw error;
+        }
+        const { size } = await fs.stat(filePath);
+        console.log(`Upload ${id}: ${safeName} (${size} bytes)`);
+        return { id, name: safeName, size };
+    }
+
+    /**
+     * Finds the stored file of an upload
+     * @param {string} uploadId - Upload id
+     * @returns {Promise<string|null>} Path of the file
+     */
+    async findUpload(uploadId) {
+        if (!/^[0-9a-f]{12}$/.test(String(uploadId))) return null;
+        const file = (await fs.readdir(this.uploadsDir)).find(name => name.startsWith(`${uploadId}-`));
+        return file ? path.join(this.uploadsDir, file) : null;
+    }
+
+    /**
+     * Creates and queues a job
+     * @param {string} uploadId - Upload to translate
+     * @param {Object} options - Job options sent by the client
+     * @returns {Promise<Object>} The queued job
+     */
+    async add(uploadId, options) {
+        const jobOptions = parseJobOptions(options);
+        const inputPath = await this.findUpload(uploadId);
+        if (!inputPath) {
+            throw httpError(404, `Upload not found: ${uploadId}`);
+        }
+
+        const job = {
+            id: createId(),
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            upload: uploadId,
+            name: path.basename(inputPath).slice(uploadId.length + 1),
+            inputPath,
+            options: jobOptions,
+            progress: null,
+            output: null,
+            report: null,
+            failures: null,
+            error: null
+        };
+        this.jobs.set(job.id, job);
+        await this.save(job);
+        console.log(`Job ${job.id} queued for ${job.name}`);
+        this.start();
+        return job;
+    }
+
+    /**
+     * Persists a job and notifies listeners
+     * @param {Object} job - Job to save
+     */
+    async save(job) {
+        await writeJson(path.join(this.jobsDir, `${job.id}.json`), job);
+        this.emit('update', job);
+    }
+
+    /**
+     * Runs queued jobs one after another until none is left
+     */
+    start() {
+        if (this.running) return;
+        this.running = this.runQueued().finally(() => {
+            this.running = null;
+        });
+    }
+
+    /**
+     * Runs the next queued job while no shutdown is requested
+     */
+    async runQueued() {
+        let job;
+        while (!this.isShuttingDown() && (job = [...this.jobs.values()].find(entry => entry.status === 'queued'))) {
+            await this.run(job);
+        }
+    }
+
+    /**
+     * Runs one job; a job stopped by a shutdown stays queued
+     * @param {Object} job - Queued job
+     */
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.error = null;
+        await this.save(job);
+
+        try {
+            // Providers are selected for the whole process, so jobs run one at a time
+            const { provider, apiUrl, ...defaults } = this.defaults;
+            const { provider: jobProvider, ...options } = job.options;
+            const useDefaultProvider = !jobProvider || jobProvider === provider;
+            useProvider(useDefaultProvider ? provider : jobProvider, useDefaultProvider && apiUrl ? { apiUrl } : {});
+
+            const result = await this.processFile(job.inputPath, {
+                ...defaults,
+                ...options,
+                onProgress: status => {
+                    job.progress = status;
+                    this.emit('update', job);
+                }
+            });
+
+            if (this.isShuttingDown()) {
+                job.status = 'queued';
+                console.log(`Job ${job.id} stopped by shutdown; it resumes after a restart`);
+            } else {
+                job.status = 'completed';
+                job.output = path.resolve(result.outputPath);
+                job.report = result.report && {
+                    json: path.resolve(result.report.jsonPath),
+                    html: path.resolve(result.report.htmlPath)
+                };
+                job.failures = result.failures;
+            }
+        } catch (error) {
+            console.error(`Job ${job.id} failed: ${error.message}`);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finishedAt = job.status === 'queued' ? null : new Date().toISOString();
+        await this.save(job);
+    }
+}
+
+/**
+ * Streams the status and progress of a job as server-sent events
+ * @param {http.ServerResponse} response - Response kept open for events
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} job - Job to follow
+ */
+function streamEvents(response, queue, job) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    const send = (event, data) => response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    let lastStatus = null;
+    const onUpdate = updated => {
+        if (updated.id !== job.id) return;
+        if (updated.status !== lastStatus) {
+            lastStatus = updated.status;
+            send('status', updated);
+        } else if (updated.progress) {
+            send('progress', updated.progress);
+        }
+        if (updated.status === 'completed' || updated.status === 'failed') {
+            close();
+        }
+    };
+
+    // Comments keep proxies from closing idle connections
+    const heartbeat = setInterval(() => response.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+        clearInterval(heartbeat);
+        queue.off('update', onUpdate);
+        response.end();
+    };
+    response.on('close', close);
+    queue.on('update', onUpdate);
+    onUpdate(job);
+}
+
+/**
+ * Handles one request of the job API
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {JobQueue} queue - Job queue
+ */
+async function handleRequest(request, response, queue) {
+    const url = new URL(request.url, 'http://localhost');
+    const route = `${request.method} ${url.pathname.replace(/\/+$/, '')}`;
+    let match;
+
+    if (route === 'POST /api/uploads') {
+        const contentType = request.headers['content-type'] || '';
+        let upload;
+        if (contentType.startsWith('multipart/form-data')) {
+            const file = parseMultipartFile(await readBody(request, config.MAX_UPLOAD_SIZE), contentType);
+            if (!file) {
+                throw httpError(400, 'No file in the form data');
+            }
+            upload = await queue.addUpload(file.name, filePath => fs.writeFile(filePath, file.content));
+        } else {
+            const declaredSize = Number(request.headers['content-length'] || 0);
+            if (declaredSize > config.MAX_UPLOAD_SIZE) {
+                throw httpError(413, `Upload exceeds ${config.MAX_UPLOAD_SIZE} bytes`);
+            }
+            upload = await queue.addUpload(url.searchParams.get('name'), filePath => pipeline(request, limitSize(config.MAX_UPLOAD_SIZE), createWriteStream(filePath)));
+        }
+        return sendJson(response, 201, upload);
+    }
+
+    if (route === 'POST /api/jobs') {
+        let body;
+        try {
+            body = JSON.parse((await readBody(request, 1024 * 1024)).toString('utf8') || '{}');
+        } catch (error) {
+            throw httpError(400, `Invalid JSON: ${error.message}`);
+        }
+        if (!body.upload) {
+            throw httpError(400, 'Job needs the id of an upload');
+        }
+        return sendJson(response, 202, await queue.add(body.upload, body.options));
+    }
+
+    if (route === 'GET /api/jobs') {
+        return sendJson(response, 200, [...queue.jobs.values()]);
+    }
+
+    if ((match = route.match(/^GET \/api\/jobs\/([0-9a-f]{12})(?:\/(events|result|report))?$/))) {
+        const [, id, action] = match;
+        const job = queue.jobs.get(id);
+        if (!job) {
+            throw httpError(404, `Job not found: ${id}`);
+        }
+
+        if (!action) {
+            return sendJson(response, 200, job);
+        }
+        if (action === 'events') {
+            return streamEvents(response, queue, job);
+        }
+        if (job.status !== 'completed') {
+            throw httpError(409, `Job ${id} is ${job.status}`);
+        }
+
+        const parsed = path.parse(job.name);
+        if (action === 'result') {
+            return sendFile(response, job.output, `${parsed.name}_translated${parsed.ext}`);
+        }
+        if (!job.report) {
+            throw httpError(404, `Job ${id} has no report`);
+        }
+        return url.searchParams.get('format') === 'html'
+            ? sendFile(response, job.report.html, `${parsed.name}_report.html`, 'text/html; charset=utf-8')
+            : sendFile(response, job.report.json, `${parsed.name}_report.json`, 'application/json; charset=utf-8');
+    }
+
+    throw httpError(404, `No route for ${request.method} ${url.pathname}`);
+}
+
+/**
+ * Starts the job service
+ * @param {Object} options - Service options
+ * @param {Function} options.processFile - Translates one input: processFile(inputPath, options)
+ * @param {Object} options.defaults - Options of every job unless the job sets them
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Address to listen on
+ * @param {Function} options.isShuttingDown - Returns true once a shutdown was requested
+ * @returns {Promise<http.Server>} Listening server
+ */
+export async function startServer({ processFile, defaults, port, host, isShuttingDown }) {
+    const queue = new JobQueue({ jobsDir: config.JOBS_DIR, processFile, defaults, isShuttingDown });
+    await queue.load();
+
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response, queue).catch(error => {
+            if (!error.status) {
+                console.error(`Error handling ${request.method} ${request.url}:`, error);
+            }
+            if (response.headersSent) {
+                response.destroy();
+            } else {
+                sendJson(response, error.status || 500, { error: error.message });
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    console.log(`Job service listening on http://${host}:${port}`);
+
+    // Stop accepting requests; the running job stops after its current batch
+    process.once('SIGINT', async () => {
+        server.close();
+        server.closeAllConnections();
+        await queue.running;
+        process.exit(0);
+    });
+
+    queue.start();
+    return server;
+}
@@ -0,0 +1,262 @@
+/**
+ * Streaming module for the Excel Translation Tool
+ * Translates very large files chunk by chunk: CHUNK_SIZE rows are read, their
+ * new texts translated and the rows written before the next chunk is read, so
+ * memory use does not grow with the number of rows.
+ *
+ * Translations are kept in a bounded cache; the translation memory remembers
+ * everything beyond it, across chunks and runs. The memory is paged from disk
+ * and the run report spools its rows, so neither grows with the input.
+ */
+
+import WorkerPool from './pool.js';
+import BoundedCache from './cache.js';
+import { config } from './config.js';
+import { translateBatch, groupTextsByLength, classifyError, getProvider } from './translator.js';
+import { getCellTexts, translateCell, cellOrigin } from './cells.js';
+import { getStreamFormat } from './formats/index.js';
+import { selectRows, hasRowSelection, isTargetMissing } from './selection.js';
+
+/**
+ * Translates the texts of one chunk into one target language
+ * @param {Array<Object>} rows - Rows of the chunk, updated with the translations
+ * @param {Array<Object>} columns - Resolved column mapping of the sheet
+ * @param {Object} languages - source and target language codes
+ * @param {Object} context - cache, failures (bounded cache of failed texts), sheet name, rowNumber
+ *   of the format, pool, hooks, translationMemory, glossary, runReport, stats, shouldStop, onlyMissing
+ */
+async function translateChunk(rows, columns, languages, context) {
+    const { cache, failures, sheet, rowNumber, pool, hooks, translationMemory, glossary, runReport, stats, shouldStop, onlyMissing } = context;
+    const providerName = getProvider().name;
+    const locations = new Map();
+    const origins = new Map();
+
+    // Collect the texts that are neither cached, fixed, remembered nor failed before
+    const pending = new Set();
+    for (const row of rows) {
+        for (const column of columns) {
+            if (onlyMissing && !isTargetMissing(row, column, languages.target)) continue;
+            for (const text of getCellTexts(row[column.source], column)) {
+                if (failures.has(text)) {
+                    origins.set(text, 'failed');
+                    continue;
+                }
+                if (!locations.has(text)) locations.set(text, []);
+                locations.get(text).push({ sheet, row: rowNumber(row), column: column.source });
+                if (origins.has(text)) continue;
+
+                const fixedValue = column.values[languages.target]?.[text];
+                if (fixedValue) {
+                    cache.set(text, fixedValue);
+                    origins.set(text, 'fixed');
+                } else if (cache.has(text)) {
+                    origins.set(text, 'cache');
+                } else {
+                    const remembered = translationMemory?.get(text, languages, providerName);
+                    if (remembered) {
+                        cache.set(text, remembered);
+                        origins.set(text, 'memory');
+                        stats.memoryHits++;
+                    } else {
+                        origins.set(text, 'api');
+                        pending.add(text);
+                    }
+                }
+            }
+        }
+    }
+
+    if (pending.size > 0) {
+        const recordFailures = batchFailures => {
+            // Failed texts are not sent again in later chunks; the report lists
+            // their locations in this chunk
+            for (const failure of batchFailures) {
+                failures.set(failure.text, true);
+                runReport.failures.push({ targetLang: languages.target, ...failure, locations: locations.get(failure.text) });
+                origins.set(failure.text, 'failed');
+                stats.failed++;
+            }
+        };
+
+        await pool.run(groupTextsByLength([...pending]), async (batch, i) => {
+            let result;
+            try {
+                result = await translateBatch(batch, i, languages, hooks);
+            } catch (error) {
+                // The whole batch fails with its error; the pool backs off
+                console.error(`\nError processing batch ${i}:`, error.message);
+                recordFailures(batch.map(text => ({
+                    text,
+                    errorClass: error.errorClass || classifyError(error),
+                    status: error.status ?? null,
+                    attempts: error.attempts || 1,
+                    message: error.message
+                })));
+                throw error;
+            }
+            const { translations, failures: batchFailures } = result;
+            for (const [original, translated] of translations) {
+                cache.set(original, translated);
+                stats.translated++;
+
+                for (const violation of glossary?.check(original, translated, languages.target) || []) {
+                    runReport.addGlossaryViolation({ targetLang: languages.target, sourceText: original, translation: translated, ...violation });
+                }
+            }
+            translationMemory?.addMany(translations, languages, providerName);
+            recordFailures(batchFailures);
+        }, shouldStop);
+    }
+
+    // Texts are counted once per chunk
+    const counts = {};
+    for (const [text, origin] of origins) {
+        // Texts left pending when stopping early were never sent
+        const counted = origin === 'api' && !cache.has(text) ? null : origin;
+        if (counted) counts[counted] = (counts[counted] || 0) + 1;
+    }
+    runReport.addTextCounts(languages.target, counts);
+
+    for (const row of rows) {
+        for (const column of columns) {
+            if (onlyMissing && !isTargetMissing(row, column, languages.target)) continue;
+            const value = row[column.source];
+            if (!value) continue;
+
+            const translation = translateCell(value, column, cache);
+            if (translation !== null) {
+                row[column.targets[languages.target]] = translation;
+            }
+
+            const texts = getCellTexts(value, column);
+            const textOrigins = texts.map(text => origins.get(text) === 'api' && !cache.has(text) ? null : origins.get(text));
+            runReport.addCell(
+                { sheet, row: rowNumber(row), column: column.source, value, texts },
+                { targetLang: languages.target, targetColumn: column.targets[languages.target], translation, origin: cellOrigin(translation, textOrigins) },
+                languages,
+                textOrigins.every(origin => origin === 'fixed')
+            );
+        }
+    }
+    runReport.flush();
+}
+
+/**
+ * Translates a file in streaming mode and writes the output as it goes
+ * @param {string} inputPath - Absolute path of the input file
+ * @param {string} outputPath - Path of the output file
+ * @param {Object} options - Streaming options
+ * @param {string} options.formatName - Input format from detectFormat()
+ * @param {Object} options.readOptions - Options passed to the format reader
+ * @param {ColumnMapping} options.mapping - Column mapping
+ * @param {string} options.sourceLang - Source language code
+ * @param {Array<string>} options.targetLangs - Target language codes
+ * @param {Array<string>|null} options.columnNames - Source columns to translate, null for all mapped columns
+ * @param {Object} options.selection - rowRange, filters and onlyMissing; samples need the whole sheet
+ *   and are not supported while streaming
+ * @param {TranslationMemory|null} options.translationMemory - Shared translation memory
+ * @param {Glossary|null} options.glossary - Loaded glossary
+ * @param {RunReport} options.runReport - Collects cells, glossary violations and failures for the run
+ * @param {boolean} options.testMode - Translate only the first 10 rows of each sheet
+ * @param {Function} options.shouldStop - Returns true to stop after the current chunk
+ * @param {Function} options.onProgress - Receives rows, translated, failed and memoryHits after every chunk
+ * @param {WorkerPool|null} options.pool - Worker pool shared by several runs
+ * @returns {Promise<Object>} Statistics: rows, translated, failed, memoryHits, stopped
+ */
+export async function translateStream(inputPath, outputPath, options) {
+    const {
+        formatName, readOptions, mapping, sourceLang, targetLangs, columnNames, selection,
+        translationMemory, glossary, runReport, testMode, shouldStop, onProgress, pool: sharedPool
+    } = options;
+
+    const format = getStreamFormat(formatName);
+    const writer = format.createWriter(outputPath);
+    const caches = new Map(targetLangs.map(lang => [lang, new BoundedCache(config.STREAM_CACHE_SIZE)]));
+    const failuresByLang = new Map(targetLangs.map(lang => [lang, new BoundedCache(config.STREAM_CACHE_SIZE)]));
+    const pool = sharedPool || new WorkerPool({
+        maxConcurrency: config.PARALLEL_BATCHES,
+        initialConcurrency: Math.ceil(config.PARALLEL_BATCHES / 2)
+    });
+    const hooks = { onRequestError: error => pool.recordError(error) };
+    const stats = { rows: 0, translated: 0, failed: 0, memoryHits: 0, stopped: false };
+    const usedSources = new Set();
+    let columns = [];
+    let sheetName = null;
+    let rowsInSheet = 0;
+
+    console.log(`Streaming in chunks of ${config.CHUNK_SIZE} rows`);
+
+    try {
+        for await (const event of format.stream(inputPath, { ...readOptions, chunkSize: config.CHUNK_SIZE })) {
+            if (event.type === 'sheet') {
+                columns = [];
+                if (event.selected !== false) {
+                    const result = mapping.validateSheet(event.sheet, sourceLang, targetLangs);
+                    if (result.errors.length > 0) {
+                        throw new Error(`Invalid column mapping:\n- ${result.errors.join('\n- ')}`);
+                    }
+                    columns = result.columns.filter(column => !columnNames || columnNames.includes(column.source));
+                }
+
+                if (columns.length > 0) {
+                    console.log(`Columns to translate in sheet "${event.sheet.name}":`);
+                    for (const column of columns) {
+                        console.log(`- ${column.source} (${column.type}) -> ${Object.values(column.targets).join(', ')}`);
+                        usedSources.add(column.source);
+                    }
+                }
+                await writer.startSheet(event, columns, targetLangs);
+                sheetName = event.sheet.name;
+                rowsInSheet = 0;
+                continue;
+            }
+
+            // Test mode translates the first 10 selected rows of each sheet and copies the rest;
+            // rows left out by the selection are copied as well
+            const selected = hasRowSelection(selection) ? selectRows(event.rows, selection, format.rowNumber) : event.rows;
+            const rows = testMode ? selected.slice(0, Math.max(0, 10 - rowsInSheet)) : selected;
+            rowsInSheet += selected.length;
+
+            if (columns.length > 0 && rows.length > 0) {
+                for (const target of targetLangs) {
+                    await translateChunk(rows, columns, { source: sourceLang, target }, {
+                        cache: caches.get(target), failures: failuresByLang.get(target), sheet: sheetName, rowNumber: format.rowNumber,
+                        pool, hooks, translationMemory, glossary, runReport, stats, shouldStop, onlyMissing: selection.onlyMissing
+                    });
+                }
+            }
+
+            await writer.writeRows(event.rows);
+            stats.rows += event.rows.length;
+
+            const heapUsed = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+            console.log(`Rows: ${stats.rows} | Translated: ${stats.translated} | Failed: ${stats.failed} | TM hits: ${stats.memoryHits} | Heap: ${heapUsed}MB | Workers: ${pool.concurrency}`);
+            onProgress?.({ rows: stats.rows, translated: stats.translated, failed: stats.failed, memoryHits: stats.memoryHits });
+
+            if (shouldStop()) {
+                stats.stopped = true;
+                console.log('Stopping after the current chunk; the output holds the rows written so far');
+                break;
+            }
+        }
+    } finally {
+        await writer.close();
+    }
+
+    // Sources of the mapping can only be checked once every sheet was seen
+    for (const rule of mapping.rules.filter(rule => rule.source)) {
+        if (!usedSources.has(rule.source) && !stats.stopped) {
+            console.warn(`Mapping warning: Source column "${rule.source}" not found in any sheet`);
+        }
+    }
+    for (const name of columnNames || []) {
+        if (!usedSources.has(name)) {
+            console.warn(`Mapping warning: Column "${name}" is not a source column of any sheet`);
+        }
+    }
+    if (usedSources.size === 0) {
+        console.warn(`Mapping warning: No columns to translate (mapping: ${mapping.origin || 'built-in defaults'})`);
+    }
+
+    return stats;
+}
@@ -0,0 +1,153 @@
+/**
+ * Translation memory transfer module for the Excel Translation Tool
+ * Exports the translation memory to JSONL, CSV or TSV files and imports
+ * translations from them, e.g. to share a memory or seed it from older work
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import TranslationMemory from './memory.js';
+import { readCsv } from './formats/csv.js';
+import { normalizeText } from './normalize.js';
+
+// Columns of exported CSV and TSV files; imports need source and target
+const FIELDS = ['source', 'target', 'sourceLang', 'targetLang', 'provider'];
+
+/**
+ * Determines the file type of an export or import from its extension
+ * @param {string} filePath - Path of the file
+ * @returns {string} 'jsonl', 'csv' or 'tsv'
+ */
+function fileType(filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    const type = { jsonl: 'jsonl', ndjson: 'jsonl', csv: 'csv', tsv: 'tsv', tab: 'tsv' }[extension];
+    if (!type) {
+        throw new Error(`Unsupported translation memory file: ${filePath} (use .jsonl, .csv or .tsv)`);
+    }
+    return type;
+}
+
+/**
+ * Formats one field of a CSV or TSV line
+ * @param {string} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Field text, quoted if needed
+ */
+function formatField(value, delimiter) {
+    const text = value ?? '';
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes the entries of the translation memory to a file
+ * @param {string} tmPath - Path of the translation memory
+ * @param {string} filePath - Path of the JSONL, CSV or TSV file to write
+ * @param {Object|null} filter - sourceLang, targetLangs and provider of the entries to export, null for all
+ * @returns {Promise<number>} Number of exported entries
+ */
+export async function exportTranslationMemory(tmPath, filePath, filter) {
+    const type = fileType(filePath);
+    if (!fs.existsSync(tmPath)) {
+        throw new Error(`Translation memory not found: ${tmPath}`);
+    }
+
+    const memory = await TranslationMemory.open(tmPath);
+    try {
+        const entries = [...memory.list()].filter(entry => !filter || (
+            entry.sourceLang === filter.sourceLang &&
+            filter.targetLangs.includes(entry.targetLang) &&
+            entry.provider === filter.provider
+        ));
+
+        let content;
+        if (type === 'jsonl') {
+            content = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+        } else {
+            // A byte order mark lets spreadsheet apps detect UTF-8
+            const delimiter = type === 'tsv' ? '\t' : ',';
+            const lines = [FIELDS, ...entries.map(entry => FIELDS.map(field => entry[field]))]
+                .map(fields => fields.map(value => formatField(value, delimiter)).join(delimiter));
+            content = '\uFEFF' + lines.join('\r\n') + '\r\n';
+        }
+
+        await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.promises.writeFile(filePath, content, 'utf8');
+        return entries.length;
+    } finally {
+        await memory.close();
+    }
+}
+
+/**
+ * Reads the records of a JSONL, CSV or TSV file
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<Array<Object>>} Records with source, target and optionally sourceLang, targetLang and provider
+ */
+async function readRecords(filePath) {
+    if (fileType(filePath) !== 'jsonl') {
+        const { sheets } = await readCsv(filePath);
+        const { headers, rows } = sheets[0];
+        if (!headers.includes('source') || !headers.includes('target')) {
+            throw new Error(`${filePath} needs a header row with source and target columns`);
+        }
+        return rows;
+    }
+
+    const records = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${lineNumber} of ${filePath}: ${error.message}`);
+        }
+    }
+    return records;
+}
+
+/**
+ * Adds the translations of a file to the translation memory
+ * Records without languages or provider take the given defaults; source texts
+ * are normalized like the cells they will be looked up for.
+ * @param {string} tmPath - Path of the translation memory
+ * @param {string} filePath - Path of the JSONL, CSV or TSV file to import
+ * @param {Object} defaults - sourceLang, targetLang (null if ambiguous) and provider
+ * @returns {Promise<Object>} Numbers of imported, unchanged and skipped records
+ */
+export async function importTranslationMemory(tmPath, filePath, defaults) {
+    const records = await readRecords(filePath);
+    const groups = new Map();
+    let skipped = 0;
+
+    for (const record of records) {
+        const source = normalizeText(record.source);
+        const target = record.target === undefined || record.target === null ? '' : String(record.target).trim();
+        const sourceLang = (record.sourceLang || defaults.sourceLang || '').toLowerCase();
+        const targetLang = (record.targetLang || defaults.targetLang || '').toLowerCase();
+        const provider = (record.provider || defaults.provider || '').toLowerCase();
+        if (!source || !target || !sourceLang || !targetLang || !provider) {
+            skipped++;
+            continue;
+        }
+
+        const key = [provider, sourceLang, targetLang].join('\u0000');
+        if (!groups.has(key)) {
+            groups.set(key, { languages: { source: sourceLang, target: targetLang }, provider, pairs: [] });
+        }
+        groups.get(key).pairs.push([source, target]);
+    }
+
+    const memory = await TranslationMemory.open(tmPath);
+    try {
+        for (const { languages, provider, pairs } of groups.values()) {
+            memory.addMany(pairs, languages, provider);
+        }
+        return { imported: memory.added, unchanged: records.length - skipped - memory.added, skipped };
+    } finally {
+        await memory.close();
+    }
+}
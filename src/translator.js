@@ -3,18 +3,13 @@
  * Handles all translation-related functionality and API communication
  */
 
-import fetch from 'node-fetch';
-import http from 'http';
 import { config } from './config.js';
-
-// Create a persistent HTTP agent with conservative settings
-const agent = new http.Agent({
-    keepAlive: true,
-    maxSockets: 3,        // Limit concurrent connections
-    timeout: 60000,       // 1 minute timeout
-    maxFreeSockets: 2,    // Keep fewer idle sockets
-    scheduling: 'fifo'    // Predictable request ordering
-});
+import { createProvider } from './providers/index.js';
+import { protectSpans, restoreSpans, hasMarkup } from './protect.js';
+import { splitLongText, joinSentences } from './segment.js';
+import BoundedCache from './cache.js';
+import CircuitBreaker from './breaker.js';
+import { getTestSentence, CHECK_TIMEOUT } from './health.js';
 
 // Rate limiter implementation
 class RateLimiter {
@@ -39,109 +34,449 @@ class RateLimiter {
     }
 }
 
-// Create rate limiter: max 30 requests per 10 seconds
-const rateLimiter = new RateLimiter(30, 10000);
+// Active provider, its rate limiter and circuit breaker, created on first use
+let provider = null;
+let rateLimiter = null;
+let breaker = null;
+
+// Active glossary, applied to every batch when set
+let glossary = null;
+
+// Whether numbers, dates, URLs and similar spans are kept away from the provider
+let spanProtection = true;
+
+// Translated sentences of long texts, per language pair
+let sentenceCache = new BoundedCache(config.SENTENCE_CACHE_SIZE);
+
+/**
+ * Selects the translation provider used by all subsequent requests
+ * @param {string} name - Provider name (defaults to TRANSLATION_PROVIDER or config)
+ * @param {Object} options - Provider-specific options
+ * @returns {TranslationProvider} The active provider
+ */
+export function useProvider(name, options = {}) {
+    provider = createProvider(name, options);
+    sentenceCache = new BoundedCache(config.SENTENCE_CACHE_SIZE);
+    const { requests, window } = provider.limits.rateLimit;
+    rateLimiter = new RateLimiter(requests, window);
+    const probedProvider = provider;
+    breaker = new CircuitBreaker({
+        threshold: config.BREAKER_THRESHOLD,
+        probeInterval: config.BREAKER_PROBE_INTERVAL,
+        maxProbeInterval: config.BREAKER_MAX_PROBE_INTERVAL,
+        maxOpenTime: config.BREAKER_MAX_OPEN_TIME,
+        probe: ({ source, target }) => probedProvider.translate([getTestSentence(source)], {
+            source,
+            target,
+            signal: AbortSignal.timeout(CHECK_TIMEOUT)
+        })
+    });
+    return provider;
+}
+
+/**
+ * Stops waiting for a paused provider to recover, e.g. on shutdown
+ * Requests waiting for it fail with the last error.
+ */
+export function releaseCircuitBreaker() {
+    breaker?.release();
+}
+
+/**
+ * Sets the glossary whose terms are masked before and restored after translation
+ * @param {Glossary|null} activeGlossary - Loaded glossary or null to disable
+ */
+export function useGlossary(activeGlossary) {
+    glossary = activeGlossary;
+}
+
+/**
+ * Enables or disables placeholders for numbers, dates, URLs, credits and entities
+ * @param {boolean} enabled - False to send texts as they are
+ */
+export function useSpanProtection(enabled) {
+    spanProtection = enabled;
+}
+
+/**
+ * Returns the active provider, creating the default one if none was selected
+ * @returns {TranslationProvider} The active provider
+ */
+export function getProvider() {
+    return provider || useProvider();
+}
+
+/**
+ * Returns the longest text sent in one request
+ * @returns {number} Characters allowed by the config and the provider
+ */
+function maxRequestLength() {
+    return Math.min(config.MAX_TEXT_LENGTH, getProvider().limits.maxChars);
+}
+
+/**
+ * Builds the sentence cache key of a sentence
+ * @param {string} sentence - Source sentence
+ * @param {Object} languages - source and target language codes
+ * @returns {string} Key unique per language pair
+ */
+function sentenceKey(sentence, { source, target }) {
+    return `${source}\u0000${target}\u0000${sentence}`;
+}
+
+/**
+ * Checks whether an error indicates an overloaded or unreachable backend
+ * @param {Error} error - Request error
+ * @returns {boolean} True for timeouts, network errors, 408, 429 and 5xx responses
+ */
+export function isTransientError(error) {
+    return error.name === 'AbortError' ||
+        error.type === 'system' ||
+        error.status === 408 ||
+        error.status === 429 ||
+        error.status >= 500;
+}
+
+/**
+ * Checks whether the provider rejected a request, so sending it again cannot help
+ * @param {Error} error - Request error
+ * @returns {boolean} True for 4xx responses other than 408 and 429
+ */
+function isRejectedRequest(error) {
+    return error.status >= 400 && error.status < 500 && !isTransientError(error);
+}
+
+/**
+ * Checks whether the provider rejected the credentials, which fails every request
+ * @param {Error} error - Request error
+ * @returns {boolean} True for 401 and 403 responses
+ */
+function isAuthError(error) {
+    return error.status === 401 || error.status === 403;
+}
+
+/**
+ * Classifies a request error for failure records
+ * @param {Error} error - Request error
+ * @returns {string} 'timeout', 'network', 'rate-limit', 'server', 'client' or 'provider'
+ */
+export function classifyError(error) {
+    if (error.name === 'AbortError' || error.status === 408) return 'timeout';
+    if (error.type === 'system') return 'network';
+    if (error.status === 429) return 'rate-limit';
+    if (error.status >= 500) return 'server';
+    if (error.status >= 400) return 'client';
+    return 'provider';
+}
 
 /**
- * Translates a single text with robust error handling
- * @param {string} text - Text to translate
+ * Sends one translation request for a list of texts with retries
+ * While the circuit breaker is open, requests wait for the provider to
+ * recover; an attempt that failed because of the outage is sent again
+ * without counting as a retry, up to MAX_RETRIES times. Requests the
+ * provider rejected with a 4xx other than 408 or 429 are not retried.
+ * @param {Array<string>} texts - Texts to translate in a single request
+ * @param {Object} languages - source and target language codes, format ('text' or 'html')
+ * @param {number} maxRetries - Retry attempts before giving up
+ * @param {Object} hooks - Optional onRequestError callback for transient errors
  * @param {number} retryCount - Current retry attempt
- * @returns {Promise<string>} Translated text
+ * @param {number} recoveries - Attempts already sent again after an outage
+ * @returns {Promise<Array<string>>} Translated texts in input order
+ * @throws {Error} After the last attempt, with errorClass, status and attempts of the last error
  */
-async function translateSingle(text, retryCount = 0) {
-    const apiUrl = process.env.LIBRETRANSLATE_API_URL || 'http://localhost:5555';
+async function requestTranslations(texts, { source, target, format }, maxRetries, hooks = {}, retryCount = 0, recoveries = 0) {
+    const activeProvider = getProvider();
+    const activeBreaker = breaker;
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000);
+    let timeout = null;
 
     try {
-        // Wait for rate limiter
+        // Wait for a paused provider, then for the rate limiter; the timeout
+        // covers only the request itself
+        if (!(await activeBreaker.waitUntilClosed())) {
+            throw activeBreaker.lastError;
+        }
         await rateLimiter.waitForSlot();
+        timeout = setTimeout(() => controller.abort(), 30000);
 
-        const response = await fetch(`${apiUrl}/translate`, {
-            method: 'POST',
-            body: JSON.stringify({
-                q: text,
-                source: 'de',
-                target: 'en',
-                format: 'text'
-            }),
-            headers: {
-                'Content-Type': 'application/json',
-                'Connection': 'keep-alive'
-            },
-            agent,
+        const translations = await activeProvider.translate(texts, {
+            source,
+            target,
+            format,
             signal: controller.signal
         });
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        if (!Array.isArray(translations) || translations.length !== texts.length) {
+            throw new Error(`Expected ${texts.length} translations, received ${translations?.length ?? 0}`);
         }
-
-        const result = await response.json();
-        return result.translatedText;
+        activeBreaker.recordSuccess();
+        return translations;
     } catch (error) {
-        if (retryCount < config.MAX_RETRIES) {
+        if (isTransientError(error) && !activeBreaker.hasFailed) {
+            hooks.onRequestError?.(error);
+            activeBreaker.recordFailure(error, { source, target });
+        }
+
+        if (activeBreaker.isOpen && recoveries < config.MAX_RETRIES) {
+            clearTimeout(timeout);
+            if (await activeBreaker.waitUntilClosed()) {
+                return requestTranslations(texts, { source, target, format }, maxRetries, hooks, retryCount, recoveries + 1);
+            }
+        }
+
+        if (retryCount < maxRetries && !activeBreaker.hasFailed && !isRejectedRequest(error)) {
             // Calculate delay with exponential backoff and jitter
             const baseDelay = config.RETRY_DELAY * Math.pow(1.5, retryCount);
             const jitter = Math.random() * 1000;
             const delay = baseDelay + jitter;
             
-            console.log(`Translation failed (attempt ${retryCount + 1}/${config.MAX_RETRIES}). Retrying in ${Math.round(delay)}ms...`);
+            console.log(`Translation failed (attempt ${retryCount + 1}/${maxRetries}). Retrying in ${Math.round(delay)}ms...`);
             await new Promise(resolve => setTimeout(resolve, delay));
             
-            return translateSingle(text, retryCount + 1);
+            return requestTranslations(texts, { source, target, format }, maxRetries, hooks, retryCount + 1, recoveries);
         }
-        throw new Error(`Translation failed after ${config.MAX_RETRIES} retries: ${error.message}`);
+        const failure = new Error(isRejectedRequest(error)
+            ? `Translation rejected by ${activeProvider.name}: ${error.message}`
+            : `Translation failed after ${maxRetries} retries: ${error.message}`);
+        failure.errorClass = classifyError(error);
+        failure.status = error.status ?? null;
+        failure.attempts = retryCount + 1;
+        throw failure;
     } finally {
         clearTimeout(timeout);
     }
 }
 
+/**
+ * Translates a group of texts in one request, splitting it in half on failure
+ * Multi-text requests get a single retry before splitting, so one bad text
+ * does not cost a full retry cycle for the whole group. Rejected credentials
+ * fail the whole group without splitting.
+ * @param {Array<string>} texts - Texts to translate
+ * @param {Object} languages - source and target language codes, format ('text' or 'html')
+ * @param {Map} results - Map receiving original -> translated texts
+ * @param {Map} failedTexts - Receives the final error of each text that could not be translated
+ * @param {Object} hooks - Optional request callbacks
+ */
+async function translateGroup(texts, languages, results, failedTexts, hooks) {
+    const maxRetries = texts.length > 1 ? 1 : config.MAX_RETRIES;
+
+    try {
+        const translations = await requestTranslations(texts, languages, maxRetries, hooks);
+        texts.forEach((text, i) => results.set(text, translations[i]));
+    } catch (error) {
+        if (texts.length === 1 || isAuthError(error)) {
+            console.error(`Failed to translate ${texts.length === 1 ? 'text' : `${texts.length} texts`}:`, error.message);
+            texts.forEach(text => failedTexts.set(text, error));
+            return;
+        }
+
+        const middle = Math.ceil(texts.length / 2);
+        console.log(`Batch of ${texts.length} failed (${error.message}), splitting into ${middle} + ${texts.length - middle}`);
+        await translateGroup(texts.slice(0, middle), languages, results, failedTexts, hooks);
+        await translateGroup(texts.slice(middle), languages, results, failedTexts, hooks);
+    }
+}
+
+/**
+ * Protects spans of a text, then masks glossary terms
+ * @param {string} text - Source text
+ * @param {boolean} protect - Whether to replace spans with placeholders
+ * @param {Object} languages - source and target language codes
+ * @returns {Object} Masked text, glossary placeholders and protected spans
+ */
+function maskText(text, protect, languages) {
+    const { text: protectedText, spans } = protect ? protectSpans(text) : { text, spans: [] };
+    const entry = glossary ? glossary.mask(protectedText, languages.target) : { text: protectedText, placeholders: [] };
+    return { ...entry, spans };
+}
+
+/**
+ * Describes the error of a text that could not be translated
+ * @param {Error|undefined} error - Final request error of the text
+ * @returns {Object} errorClass, status, attempts and message
+ */
+function describeFailure(error) {
+    return {
+        errorClass: error?.errorClass || 'provider',
+        status: error?.status ?? null,
+        attempts: error?.attempts || 0,
+        message: error?.message || 'No translation returned'
+    };
+}
+
+/**
+ * Sends masked texts to the provider
+ * Texts with markup are sent apart so the provider keeps their tags.
+ * @param {Array<string>} requestTexts - Unique masked texts
+ * @param {Object} languages - source and target language codes
+ * @param {Object} hooks - Optional request callbacks
+ * @returns {Promise<Object>} translated (Map of masked text to translation) and
+ *   failedTexts (Map of masked text to its final error)
+ */
+async function sendTexts(requestTexts, languages, hooks) {
+    const translated = new Map();
+    const failedTexts = new Map();
+
+    const markupTexts = requestTexts.filter(hasMarkup);
+    const plainTexts = requestTexts.filter(text => !hasMarkup(text));
+    for (const [format, formatTexts] of [['text', plainTexts], ['html', markupTexts]]) {
+        if (formatTexts.length === 0) continue;
+        const requestLanguages = { ...languages, format };
+        if (getProvider().limits.batch) {
+            for (const group of groupTextsByLength(formatTexts)) {
+                await translateGroup(group, requestLanguages, translated, failedTexts, hooks);
+            }
+        } else {
+            for (const text of formatTexts) {
+                await translateGroup([text], requestLanguages, translated, failedTexts, hooks);
+            }
+        }
+    }
+
+    return { translated, failedTexts };
+}
+
+/**
+ * Translates unique texts, protecting spans and masking glossary terms
+ * A text whose translation lost a placeholder is sent once more without
+ * span protection and kept if all of its spans come back unchanged.
+ * @param {Array<string>} texts - Unique texts, each short enough for one request
+ * @param {Object} languages - source and target language codes
+ * @param {Object} hooks - Optional request callbacks
+ * @returns {Promise<Object>} translations (Map of text to translation) and
+ *   failures (Map of text to errorClass, status, attempts and message)
+ */
+async function translateTexts(texts, languages, hooks) {
+    // Different texts may share one masked form
+    const masked = new Map(texts.map(text => [text, maskText(text, spanProtection, languages)]));
+    const { translated, failedTexts } = await sendTexts([...new Set([...masked.values()].map(entry => entry.text))], languages, hooks);
+
+    const translations = new Map();
+    const failures = new Map();
+    const spansLost = [];
+    for (const [text, entry] of masked) {
+        if (!translated.has(entry.text)) {
+            failures.set(text, describeFailure(failedTexts.get(entry.text)));
+            continue;
+        }
+        const unmasked = glossary ? glossary.unmask(translated.get(entry.text), entry.placeholders) : translated.get(entry.text);
+        const { text: restored, lost } = restoreSpans(unmasked, entry.spans);
+        if (lost.length === 0) {
+            translations.set(text, restored);
+        } else {
+            spansLost.push(text);
+        }
+    }
+    if (spansLost.length === 0) return { translations, failures };
+
+    // Some providers drop placeholders they do not understand
+    console.log(`${spansLost.length} translations lost protected spans, sending them again without placeholders`);
+    const inlined = new Map(spansLost.map(text => [text, maskText(text, false, languages)]));
+    const retry = await sendTexts([...new Set([...inlined.values()].map(entry => entry.text))], languages, hooks);
+    for (const [text, entry] of inlined) {
+        if (!retry.translated.has(entry.text)) {
+            failures.set(text, describeFailure(retry.failedTexts.get(entry.text)));
+            continue;
+        }
+        const translation = glossary ? glossary.unmask(retry.translated.get(entry.text), entry.placeholders) : retry.translated.get(entry.text);
+        const lost = masked.get(text).spans.filter(span => !translation.includes(span));
+        if (lost.length === 0) {
+            translations.set(text, translation);
+            continue;
+        }
+
+        // A translation missing a number, date or URL is not written
+        failures.set(text, {
+            errorClass: 'provider',
+            status: null,
+            attempts: 2,
+            message: `Protected spans lost in translation: ${lost.join(', ')}`
+        });
+    }
+
+    return { translations, failures };
+}
+
 /**
  * Translates a batch of texts with improved error handling
+ * The batch is sent as a single request when the provider supports it.
+ * Protected spans and glossary terms travel as placeholders; a translation
+ * that lost a protected span is sent again without placeholders and
+ * reported as failed if a span is still missing. Texts longer than one
+ * request allows are translated sentence by sentence and rejoined; their
+ * sentences are cached so repeated sentences are translated once.
  * @param {Array<string>} texts - Texts to translate
  * @param {number} batchIndex - Index of the current batch
- * @returns {Map} Map of original to translated texts
+ * @param {Object} languages - source and target language codes
+ * @param {Object} hooks - Optional onRequestError callback for transient errors
+ * @returns {Promise<Object>} translations (Map of original to translated texts) and
+ *   failures (text, errorClass, status, attempts and message of each failed text)
  */
-export async function translateBatch(texts, batchIndex) {
+export async function translateBatch(texts, batchIndex, languages, hooks = {}) {
     const uniqueTexts = [...new Set(texts.filter(text => text))];
-    if (uniqueTexts.length === 0) return new Map();
+    if (uniqueTexts.length === 0) return { translations: new Map(), failures: [] };
 
-    const results = new Map();
-    const failedTexts = [];
+    // Split long texts into sentences; known sentences come from the cache
+    const maxLength = maxRequestLength();
+    const segmented = new Map();
+    const units = new Set();
+    const cachedSentences = new Map();
+    for (const text of uniqueTexts) {
+        if (text.length <= maxLength) {
+            units.add(text);
+            continue;
+        }
+        const segments = splitLongText(text, maxLength, languages.source);
+        segmented.set(text, segments);
+        for (const sentence of segments.sentences) {
+            const cached = sentenceCache.get(sentenceKey(sentence, languages));
+            if (cached !== undefined) {
+                cachedSentences.set(sentence, cached);
+            } else {
+                units.add(sentence);
+            }
+        }
+    }
 
-    // Process texts sequentially with controlled delays
-    for (let i = 0; i < uniqueTexts.length; i++) {
-        const text = uniqueTexts[i];
-        
-        try {
-            // Add delay based on position in batch
-            const delay = i * 200; // 200ms between texts
-            await new Promise(resolve => setTimeout(resolve, delay));
+    const { translations: unitTranslations, failures: unitFailures } = await translateTexts([...units], languages, hooks);
 
-            const translation = await translateSingle(text);
-            results.set(text, translation);
+    const translations = new Map();
+    const failures = [];
+    for (const text of uniqueTexts) {
+        const segments = segmented.get(text);
+        if (!segments) {
+            if (unitTranslations.has(text)) {
+                translations.set(text, unitTranslations.get(text));
+            } else {
+                failures.push({ text, ...unitFailures.get(text) });
+            }
+            continue;
+        }
 
-            // Log progress
-            console.log(`Batch ${batchIndex}: ${i + 1}/${uniqueTexts.length} texts completed`);
-        } catch (error) {
-            console.error(`Failed to translate text in batch ${batchIndex}:`, error.message);
-            failedTexts.push(text);
-            
-            // Add longer delay after failure
-            await new Promise(resolve => setTimeout(resolve, 2000));
+        // A long text fails with its first failed sentence
+        const failedSentence = segments.sentences.find(sentence => unitFailures.has(sentence));
+        if (failedSentence) {
+            failures.push({ text, ...unitFailures.get(failedSentence) });
+            continue;
         }
+        const sentences = segments.sentences.map(sentence => {
+            if (cachedSentences.has(sentence)) return cachedSentences.get(sentence);
+            sentenceCache.set(sentenceKey(sentence, languages), unitTranslations.get(sentence));
+            return unitTranslations.get(sentence);
+        });
+        translations.set(text, joinSentences(sentences, segments.separators));
     }
 
-    // Handle failed texts
-    if (failedTexts.length > 0) {
-        console.log(`Batch ${batchIndex}: ${failedTexts.length} texts failed, marking as failed`);
-        for (const text of failedTexts) {
-            results.set(text, `[TRANSLATION FAILED]`);
-        }
+    console.log(`Batch ${batchIndex}: ${translations.size}/${uniqueTexts.length} texts completed`);
+    if (segmented.size > 0) {
+        console.log(`Batch ${batchIndex}: ${segmented.size} long texts split into sentences, ${cachedSentences.size} sentences from cache`);
+    }
+    if (failures.length > 0) {
+        console.log(`Batch ${batchIndex}: ${failures.length} texts failed`);
     }
 
-    return results;
+    return { translations, failures };
 }
 
 /**
@@ -150,14 +485,17 @@ export async function translateBatch(texts, batchIndex) {
  * @returns {Array<Array<string>>} Grouped texts
  */
 export function groupTextsByLength(texts) {
+    const limits = getProvider().limits;
+    const maxLength = maxRequestLength();
+    const maxGroupSize = limits.batch ? Math.min(config.BATCH_SIZE, limits.maxBatchSize) : config.BATCH_SIZE;
     const sortedTexts = [...texts].sort((a, b) => a.length - b.length);
     const groups = [];
     let currentGroup = [];
     let currentLength = 0;
 
     for (const text of sortedTexts) {
-        if (currentLength + text.length > config.MAX_TEXT_LENGTH || 
-            currentGroup.length >= config.BATCH_SIZE) {
+        if (currentLength + text.length > maxLength || 
+            currentGroup.length >= maxGroupSize) {
             if (currentGroup.length > 0) {
                 groups.push(currentGroup);
                 currentGroup = [];
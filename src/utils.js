@@ -3,6 +3,9 @@
  * Contains common helper functions
  */
 
+import { once } from 'events';
+import readline from 'readline/promises';
+
 /**
  * Formats remaining time in HH:MM format
  * @param {number} seconds - Seconds to format
@@ -14,6 +17,19 @@ export function formatTimeRemaining(seconds) {
     return `${hours}h${minutes}m`;
 }
 
+/**
+ * Formats a duration for estimates, with seconds below one hour
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration such as "2.5s", "45s", "12m 05s" or "3h 20m"
+ */
+export function formatDuration(seconds) {
+    if (seconds < 10) return `${seconds.toFixed(1)}s`;
+    const total = Math.round(seconds);
+    if (total < 60) return `${total}s`;
+    if (total < 3600) return `${Math.floor(total / 60)}m ${String(total % 60).padStart(2, '0')}s`;
+    return `${Math.floor(total / 3600)}h ${String(Math.floor((total % 3600) / 60)).padStart(2, '0')}m`;
+}
+
 /**
  * Calculates and formats progress information
  * @param {number} current - Current progress
@@ -58,4 +74,32 @@ export function checkMemory() {
  */
 export function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
-} 
\ No newline at end of file
+}
+
+/**
+ * Writes to a stream, waiting for it to drain when its buffer is full
+ * @param {Writable} stream - Target stream
+ * @param {Buffer|string} data - Data to write
+ * @returns {Promise} Resolves when more data may be written
+ */
+export async function writeToStream(stream, data) {
+    if (!stream.write(data)) {
+        await once(stream, 'drain');
+    }
+}
+
+/**
+ * Asks a yes/no question on the terminal
+ * @param {string} question - Question to print
+ * @param {boolean} defaultAnswer - Answer for an empty reply
+ * @returns {Promise<boolean>} The answer
+ */
+export async function confirm(question, defaultAnswer = true) {
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = (await prompt.question(`${question} ${defaultAnswer ? '[Y/n]' : '[y/N]'} `)).trim().toLowerCase();
+        return answer ? answer.startsWith('y') : defaultAnswer;
+    } finally {
+        prompt.close();
+    }
+}